@@ -0,0 +1,808 @@
+// src/__test__/conformance.test.js
+// Every spatial index must honour the ISpatialIndex query contract: entity objects back,
+// AABB-overlap semantics, no duplicates. Same seeded workloads, checked against brute force.
+import { describe, it, expect } from 'vitest';
+import SpatialHashGrid from '../spatial/SpatialHashGrid';
+import HierarchicalHashGrid from '../spatial/HierarchicalHashGrid';
+import PackedHashGrid, { cellKey } from '../spatial/PackedHashGrid';
+import Quadtree from '../spatial/Quadtree';
+import KDTree from '../spatial/KDTree';
+import BVH from '../spatial/BVH';
+import SweepAndPrune from '../spatial/SweepAndPrune';
+import RTree from '../spatial/RTree';
+import MortonIndex, { mortonEncode, bigmin, litmax } from '../spatial/MortonIndex';
+import { mulberry32 } from '../utils/prng';
+import { LAYER } from '../spatial/layers';
+import { BatchResults, BOX_STRIDE } from '../spatial/batch';
+
+const WORLD = { minX: -2000, minY: -2000, maxX: 2000, maxY: 2000 };
+
+const INDEXES = {
+  grid: () => new SpatialHashGrid(64),
+  packedGrid: () => new PackedHashGrid(64),
+  hgrid: () => new HierarchicalHashGrid({ baseCellSize: 4, levels: 4 }),
+  quadtree: () => new Quadtree(WORLD, 6, 8),
+  looseQuadtree: () => new Quadtree(WORLD, 6, 8, 2),
+  kdtree: () => new KDTree({ capacity: 8 }),
+  bvh: () => new BVH(8),
+  bvhMedian: () => new BVH({ capacity: 8, builder: 'median' }),
+  bvhRoundRobin: () => new BVH({ capacity: 8, builder: 'roundRobin' }),
+  sap: () => new SweepAndPrune(),
+  sapBothAxes: () => new SweepAndPrune({ axes: 'xy' }),
+  rtree: () => new RTree(6),
+  morton: () => new MortonIndex(),
+};
+
+function makeWorkload(preset, count, seed) {
+  const rand = mulberry32(seed);
+  const entities = [];
+  for (let i = 0; i < count; i++) {
+    let x, y;
+    switch (preset) {
+      case 'cluster': {
+        const c = Math.floor(rand() * 5);
+        x = -800 + c * 400 + (rand() - 0.5) * 60;
+        y = 300 - c * 150 + (rand() - 0.5) * 60;
+        break;
+      }
+      case 'line': {
+        const t = rand() * 2 - 1;
+        x = t * 1500;
+        y = t * 400 + (rand() - 0.5) * 4;
+        break;
+      }
+      default:
+        x = (rand() - 0.5) * 3000;
+        y = (rand() - 0.5) * 3000;
+    }
+    entities.push({ id: i + 1, x, y, r: 2 + rand() * 10, active: true });
+  }
+  return entities;
+}
+
+function makeQueries(count, seed) {
+  const rand = mulberry32(seed);
+  const queries = [];
+  for (let i = 0; i < count; i++) {
+    const x = (rand() - 0.5) * 3200;
+    const y = (rand() - 0.5) * 3200;
+    const w = rand() * 400;
+    const h = rand() * 400;
+    queries.push({ minX: x, minY: y, maxX: x + w, maxY: y + h });
+  }
+  return queries;
+}
+
+function bruteForce(entities, range) {
+  return entities
+    .filter(
+      (e) =>
+        e.x + e.r >= range.minX &&
+        e.x - e.r <= range.maxX &&
+        e.y + e.r >= range.minY &&
+        e.y - e.r <= range.maxY
+    )
+    .map((e) => e.id)
+    .sort((a, b) => a - b);
+}
+
+function bruteForceCircle(entities, x, y, r) {
+  return entities
+    .filter((e) => Math.hypot(e.x - x, e.y - y) <= r + e.r)
+    .map((e) => e.id)
+    .sort((a, b) => a - b);
+}
+
+// Independent ray-vs-circle entry distance, Infinity on a miss
+function bruteForceRay(entities, o, dir, maxDist) {
+  const len = Math.hypot(dir.x, dir.y);
+  const dx = dir.x / len;
+  const dy = dir.y / len;
+  const hits = [];
+  for (const e of entities) {
+    const fx = o.x - e.x;
+    const fy = o.y - e.y;
+    const c = fx * fx + fy * fy - e.r * e.r;
+    const b = fx * dx + fy * dy;
+    let t = Infinity;
+    if (c <= 0) t = 0;
+    else if (b * b - c >= 0 && -b - Math.sqrt(b * b - c) >= 0) t = -b - Math.sqrt(b * b - c);
+    if (t < Infinity && t <= maxDist) hits.push({ id: e.id, t });
+  }
+  return hits.sort((a, b) => a.t - b.t);
+}
+
+// Every (a, b) pair whose AABBs overlap, keyed "a:b" with a on the filterA side
+function bruteForcePairs(entities, filterA, filterB) {
+  const keys = [];
+  for (const a of entities) {
+    if (!filterA(a)) continue;
+    for (const b of entities) {
+      if (a === b || !filterB(b)) continue;
+      if (Math.abs(a.x - b.x) <= a.r + b.r && Math.abs(a.y - b.y) <= a.r + b.r) {
+        keys.push(`${a.id}:${b.id}`);
+      }
+    }
+  }
+  return keys.sort();
+}
+
+function withLayer(ids, entities, mask) {
+  const wanted = new Set(entities.filter((e) => (e.layer & mask) !== 0).map((e) => e.id));
+  return ids.filter((id) => wanted.has(id));
+}
+
+// Layers cycle through zombie, projectile and pickup
+const LAYER_CYCLE = [LAYER.ZOMBIE, LAYER.PROJECTILE, LAYER.PICKUP];
+
+function packRanges(ranges) {
+  const packed = new Float64Array(ranges.length * BOX_STRIDE);
+  ranges.forEach((r, i) => packed.set([r.minX, r.minY, r.maxX, r.maxY], i * BOX_STRIDE));
+  return packed;
+}
+
+function pairKeys(pairs) {
+  return pairs.map(([a, b]) => `${a.id}:${b.id}`).sort();
+}
+
+function ids(results) {
+  return results.map((e) => e.id).sort((a, b) => a - b);
+}
+
+describe('spatial index conformance', () => {
+  const workloads = [
+    ['uniform', 600, 11],
+    ['cluster', 500, 23],
+    ['line', 300, 37],
+  ];
+  const queries = makeQueries(80, 99);
+
+  for (const [name, make] of Object.entries(INDEXES)) {
+    for (const [preset, count, seed] of workloads) {
+      it(`${name} matches brute force on ${preset} entities`, () => {
+        const entities = makeWorkload(preset, count, seed);
+        const index = make();
+        index.rebuild(entities);
+        for (const range of queries) {
+          const results = index.queryRange(range);
+          for (const e of results) expect(typeof e).toBe('object');
+          expect(ids(results)).toEqual(bruteForce(entities, range));
+        }
+      });
+    }
+
+    it(`${name} circle queries match brute-force circle overlap`, () => {
+      const entities = makeWorkload('uniform', 600, 41);
+      const index = make();
+      index.rebuild(entities);
+      for (const q of queries) {
+        const x = (q.minX + q.maxX) / 2;
+        const y = (q.minY + q.maxY) / 2;
+        const r = (q.maxX - q.minX) / 2;
+        expect(ids(index.queryCircle(x, y, r))).toEqual(bruteForceCircle(entities, x, y, r));
+      }
+    });
+
+    it(`${name} raycasts find the same first and piercing hits as brute force`, () => {
+      const entities = makeWorkload('cluster', 500, 53);
+      const index = make();
+      index.rebuild(entities);
+      const rand = mulberry32(7);
+      for (let i = 0; i < 60; i++) {
+        const o = { x: (rand() - 0.5) * 2400, y: (rand() - 0.5) * 1600 };
+        const angle = rand() * Math.PI * 2;
+        const dir = { x: Math.cos(angle), y: Math.sin(angle) };
+        if (i % 10 === 0) dir.y = 0;
+        const maxDist = i % 3 === 0 ? Infinity : 200 + rand() * 2000;
+        const expected = bruteForceRay(entities, o, dir, maxDist);
+
+        const first = index.raycast(o, dir, maxDist);
+        if (expected.length === 0) {
+          expect(first).toBeNull();
+        } else {
+          expect(first.distance).toBeCloseTo(expected[0].t, 6);
+          expect(first.point.x).toBeCloseTo(o.x + dir.x * first.distance, 6);
+        }
+
+        const all = index.raycastAll(o, dir, maxDist);
+        const expectedIds = expected.map((h) => h.id).sort((a, b) => a - b);
+        expect(ids(all.map((h) => h.entity))).toEqual(expectedIds);
+        for (let j = 1; j < all.length; j++) {
+          expect(all[j].distance).toBeGreaterThanOrEqual(all[j - 1].distance);
+        }
+      }
+    });
+
+    it(`${name} segment casts stop at the segment end and honour filters`, () => {
+      const entities = [
+        { id: 1, x: 100, y: 0, r: 5, active: true, type: 'blood' },
+        { id: 2, x: 200, y: 0, r: 5, active: true, type: 'zombie' },
+        { id: 3, x: 400, y: 0, r: 5, active: true, type: 'zombie' },
+      ];
+      const index = make();
+      index.rebuild(entities);
+      const a = { x: 0, y: 0 };
+      const isZombie = (e) => e.type === 'zombie';
+      expect(index.segmentCast(a, { x: 300, y: 0 }, isZombie).entity.id).toBe(2);
+      expect(index.segmentCast(a, { x: 300, y: 0 }).distance).toBeCloseTo(95);
+      expect(index.segmentCast(a, { x: 150, y: 0 }, isZombie)).toBeNull();
+      expect(index.segmentCastAll(a, { x: 500, y: 0 }, isZombie).map((h) => h.entity.id)).toEqual([
+        2, 3,
+      ]);
+    });
+
+    it(`${name} pair queries report each overlapping pair once`, () => {
+      const entities = makeWorkload('cluster', 300, 61);
+      entities.forEach((e, i) => (e.type = i % 3 === 0 ? 'projectile' : 'zombie'));
+      const index = make();
+      index.rebuild(entities);
+
+      const isProjectile = (e) => e.type === 'projectile';
+      const isZombie = (e) => e.type === 'zombie';
+      expect(pairKeys(index.queryPairs(isProjectile, isZombie))).toEqual(
+        bruteForcePairs(entities, isProjectile, isZombie)
+      );
+
+      const all = pairKeys(index.queryPairs());
+      const any = () => true;
+      const expected = bruteForcePairs(entities, any, any).filter((key) => {
+        const [a, b] = key.split(':').map(Number);
+        return a < b;
+      });
+      expect(all).toEqual(expected);
+    });
+
+    it(`${name} treats touching edges as overlap`, () => {
+      const entities = [{ id: 1, x: 100, y: 100, r: 10, active: true }];
+      const index = make();
+      index.rebuild(entities);
+      expect(ids(index.queryRange({ minX: 110, minY: 0, maxX: 200, maxY: 200 }))).toEqual([1]);
+      expect(ids(index.queryRange({ minX: 110.01, minY: 0, maxX: 200, maxY: 200 }))).toEqual([]);
+    });
+
+    it(`${name} layer masks filter range and circle queries through edits`, () => {
+      const entities = makeWorkload('cluster', 400, 71);
+      entities.forEach((e, i) => (e.layer = LAYER_CYCLE[i % 3]));
+      const index = make();
+      index.rebuild(entities);
+
+      const check = () => {
+        for (const mask of [LAYER.ZOMBIE, LAYER.PROJECTILE | LAYER.PICKUP]) {
+          for (const range of queries.slice(0, 30)) {
+            expect(ids(index.queryRange(range, { mask }))).toEqual(
+              withLayer(bruteForce(entities, range), entities, mask)
+            );
+            const x = (range.minX + range.maxX) / 2;
+            const y = (range.minY + range.maxY) / 2;
+            const r = (range.maxX - range.minX) / 2;
+            expect(ids(index.queryCircle(x, y, r, { mask }))).toEqual(
+              withLayer(bruteForceCircle(entities, x, y, r), entities, mask)
+            );
+          }
+        }
+      };
+      check();
+
+      // Every layer turns up where it wasn't before, so stale summaries would drop matches
+      const rand = mulberry32(3);
+      for (const e of entities.filter((e) => e.id % 4 === 0)) {
+        index.remove(e);
+        e.layer = LAYER_CYCLE[(LAYER_CYCLE.indexOf(e.layer) + 1) % 3];
+        e.x += (rand() - 0.5) * 300;
+        index.insert(e);
+      }
+      check();
+    });
+
+    it(`${name} batched range queries answer each box like queryRange`, () => {
+      const entities = makeWorkload('cluster', 400, 41);
+      entities.forEach((e, i) => (e.layer = LAYER_CYCLE[i % 3]));
+      const index = make();
+      index.rebuild(entities);
+      const packed = packRanges(queries);
+      // Starts tiny so the id buffer has to grow, then is reused for a masked batch
+      const results = new BatchResults(8);
+      for (const mask of [undefined, LAYER.ZOMBIE | LAYER.PICKUP]) {
+        index.queryRangeBatch(packed, results, { mask });
+        expect(results.queryCount).toBe(queries.length);
+        queries.forEach((range, i) => {
+          const expected = bruteForce(entities, range);
+          const got = Array.from(results.idsOf(i)).sort((a, b) => a - b);
+          expect(got).toEqual(mask ? withLayer(expected, entities, mask) : expected);
+        });
+      }
+    });
+
+    it(`${name} only repeats entities when dedupe is disabled`, () => {
+      const entities = makeWorkload('cluster', 200, 5);
+      const index = make();
+      index.rebuild(entities);
+      const range = { minX: -1000, minY: -1000, maxX: 1000, maxY: 1000 };
+      const unique = ids(index.queryRange(range));
+      expect(new Set(unique).size).toBe(unique.length);
+      const raw = ids(index.queryRange(range, { dedupe: false }));
+      expect(Array.from(new Set(raw))).toEqual(unique);
+    });
+  }
+});
+
+describe('dynamic BVH', () => {
+  const queries = makeQueries(60, 17);
+
+  function expectMatches(index, entities) {
+    for (const range of queries) {
+      expect(ids(index.queryRange(range))).toEqual(bruteForce(entities, range));
+    }
+  }
+
+  it('stays exact through inserts, moves and removals without full rebuilds', () => {
+    const entities = makeWorkload('uniform', 400, 71);
+    const index = new BVH({ capacity: 4, margin: 6, rebuildThreshold: Infinity });
+    for (const e of entities) index.insert(e);
+    expectMatches(index, entities);
+
+    const rand = mulberry32(3);
+    for (let step = 0; step < 20; step++) {
+      for (const e of entities) {
+        e.x += (rand() - 0.5) * 30;
+        e.y += (rand() - 0.5) * 30;
+        index.update(e);
+      }
+    }
+    expectMatches(index, entities);
+
+    const kept = entities.filter((e) => e.id % 3 !== 0);
+    for (const e of entities) if (e.id % 3 === 0) index.remove(e);
+    expectMatches(index, kept);
+    expect(index.allEntities()).toHaveLength(kept.length);
+
+    const stats = index.getStats();
+    expect(stats.rebuilds).toBe(0);
+    expect(stats.reinserts).toBeGreaterThan(0);
+    expect(stats.rotations).toBeGreaterThan(0);
+  });
+
+  it('skips the tree entirely for moves inside the margin', () => {
+    const entities = makeWorkload('cluster', 100, 5);
+    const index = new BVH({ capacity: 4, margin: 10 });
+    index.rebuild(entities);
+    for (const e of entities) {
+      e.x += 5;
+      index.update(e);
+    }
+    expect(index.getStats().reinserts).toBe(0);
+    expectMatches(index, entities);
+  });
+
+  it('SAH builds cheaper trees than round-robin on clustered and linear spawns', () => {
+    for (const preset of ['cluster', 'line']) {
+      const entities = makeWorkload(preset, 500, 29);
+      const sah = new BVH({ capacity: 4, builder: 'sah' });
+      const roundRobin = new BVH({ capacity: 4, builder: 'roundRobin' });
+      sah.rebuild(entities);
+      roundRobin.rebuild(entities);
+      const a = sah.getStats();
+      const b = roundRobin.getStats();
+      expect(a.builder).toBe('sah');
+      expect(a.cost).toBeLessThan(b.cost);
+      expect(a.overlap).toBeGreaterThanOrEqual(0);
+    }
+  });
+
+  it('refit restores exact queries after a bulk move', () => {
+    const entities = makeWorkload('line', 200, 9);
+    const index = new BVH({ capacity: 8, margin: 0 });
+    index.rebuild(entities);
+    for (const e of entities) e.y += 120;
+    index.refit();
+    expectMatches(index, entities);
+  });
+
+  it('rebuilds once the tree cost passes the threshold', () => {
+    const entities = makeWorkload('uniform', 300, 13);
+    // Below 1 any edited tree counts as degraded, which exercises the check deterministically
+    const index = new BVH({ capacity: 4, rebuildThreshold: 0.5 });
+    index.rebuild(entities);
+    for (const e of entities) {
+      e.x = -e.x;
+      index.update(e);
+    }
+    expect(index.getStats().rebuilds).toBeGreaterThan(1);
+    expectMatches(index, entities);
+  });
+
+  it('changes capacity and builder together with a single rebuild', () => {
+    const entities = makeWorkload('cluster', 120, 41);
+    const index = new BVH({ capacity: 8, builder: 'sah' });
+    index.rebuild(entities);
+    const before = index.getStats().rebuilds;
+
+    index.setParams(4, 'median');
+    const stats = index.getStats();
+    expect(stats.rebuilds).toBe(before + 1);
+    expect(index.capacity).toBe(4);
+    expect(stats.builder).toBe('median');
+    expectMatches(index, entities);
+  });
+});
+
+describe('unbounded trees', () => {
+  const far = [
+    { id: 1, x: 0, y: 0, r: 5, active: true },
+    { id: 2, x: 250000, y: -90000, r: 5, active: true },
+    { id: 3, x: -1e6, y: 4e5, r: 20, active: true },
+    { id: 4, x: 1999, y: 1999, r: 10, active: true },
+  ];
+
+  for (const [name, make] of Object.entries({
+    quadtree: () => new Quadtree(WORLD, 4, 6),
+    looseQuadtree: () => new Quadtree(WORLD, 4, 6, 2),
+    kdtree: () => new KDTree({ capacity: 2, bounds: WORLD }),
+  })) {
+    it(`${name} grows its root instead of dropping far entities`, () => {
+      const index = make();
+      for (const e of far) index.insert(e);
+      for (const e of far) {
+        const box = { minX: e.x - 1, minY: e.y - 1, maxX: e.x + 1, maxY: e.y + 1 };
+        expect(ids(index.queryRange(box))).toEqual([e.id]);
+        expect(index.queryNearest(e.x, e.y, 1)[0].id).toBe(e.id);
+      }
+      const stats = index.getStats();
+      expect(stats.rootGrowths).toBeGreaterThan(0);
+      expect(stats.bounds.minX).toBeLessThanOrEqual(-1e6 - 20);
+      expect(stats.bounds.maxX).toBeGreaterThanOrEqual(250005);
+    });
+
+    it(`${name} shrinks back to its configured bounds on rebuild`, () => {
+      const index = make();
+      index.rebuild(far);
+      expect(index.getStats().rootGrowths).toBeGreaterThan(0);
+
+      const near = far.filter((e) => Math.abs(e.x) < 1000);
+      index.rebuild(near);
+      const stats = index.getStats();
+      expect(stats.rootGrowths).toBe(0);
+      expect(stats.bounds).toEqual(WORLD);
+      for (const e of near) expect(index.queryNearest(e.x, e.y, 1)[0].id).toBe(e.id);
+    });
+  }
+});
+
+describe('sweep and prune', () => {
+  it('re-sorts coherent motion with few swaps and stays exact', () => {
+    const entities = makeWorkload('uniform', 400, 31);
+    const index = new SweepAndPrune({ axes: 'xy' });
+    index.rebuild(entities);
+    index.queryRange(WORLD);
+    const initialSwaps = index.getStats().lastSwaps;
+
+    const rand = mulberry32(8);
+    for (const e of entities) {
+      e.x += (rand() - 0.5) * 4;
+      e.y += (rand() - 0.5) * 4;
+    }
+    index.rebuild(entities);
+    for (const range of makeQueries(40, 12)) {
+      expect(ids(index.queryRange(range))).toEqual(bruteForce(entities, range));
+    }
+    expect(index.getStats().lastSwaps).toBeLessThan(initialSwaps / 10);
+  });
+
+  it('drops removed entities from queries and pairs', () => {
+    const entities = [
+      { id: 1, x: 0, y: 0, r: 10, active: true },
+      { id: 2, x: 15, y: 0, r: 10, active: true },
+      { id: 3, x: 30, y: 0, r: 10, active: true },
+    ];
+    const index = new SweepAndPrune();
+    index.rebuild(entities);
+    expect(pairKeys(index.queryPairs())).toEqual(['1:2', '2:3']);
+    index.remove(entities[1]);
+    expect(pairKeys(index.queryPairs())).toEqual([]);
+    expect(ids(index.queryRange({ minX: -50, minY: -50, maxX: 50, maxY: 50 }))).toEqual([1, 3]);
+  });
+});
+
+describe('packed hash grid', () => {
+  it('gives every nearby cell its own key', () => {
+    const keys = new Set();
+    for (let cx = -40; cx <= 40; cx++) {
+      for (let cy = -40; cy <= 40; cy++) keys.add(cellKey(cx, cy));
+    }
+    expect(keys.size).toBe(81 * 81);
+  });
+
+  it('reuses pooled buckets, records and result buffers once warmed up', () => {
+    const entities = makeWorkload('uniform', 400, 89);
+    const index = new PackedHashGrid(64);
+    index.rebuild(entities);
+    const warmed = index.getStats();
+    index.rebuild(entities);
+    expect(index.getStats().bucketsCreated).toBe(warmed.bucketsCreated);
+    expect(index.getStats().recordsCreated).toBe(warmed.recordsCreated);
+
+    const out = [];
+    for (const range of makeQueries(20, 97)) {
+      expect(index.queryRange(range, { out })).toBe(out);
+      expect(ids(out)).toEqual(bruteForce(entities, range));
+    }
+  });
+
+  it('moves entities between buckets without losing any', () => {
+    const entities = makeWorkload('cluster', 600, 101);
+    const index = new PackedHashGrid(32);
+    index.rebuild(entities);
+
+    const rand = mulberry32(3);
+    for (let step = 0; step < 5; step++) {
+      for (const e of entities) {
+        e.x += (rand() - 0.5) * 40;
+        e.y += (rand() - 0.5) * 40;
+        index.update(e);
+      }
+    }
+    for (const range of makeQueries(30, 107)) {
+      expect(ids(index.queryRange(range))).toEqual(bruteForce(entities, range));
+    }
+    expect(index.getStats().skippedUpdates).toBeGreaterThan(0);
+  });
+});
+
+describe('hierarchical hash grid', () => {
+  it('puts each entity in the finest level that fits it', () => {
+    const index = new HierarchicalHashGrid({ baseCellSize: 8, levels: 3 });
+    const entities = [
+      { id: 1, x: 0, y: 0, r: 2 },
+      { id: 2, x: 0, y: 0, r: 6 },
+      { id: 3, x: 0, y: 0, r: 40 },
+    ];
+    index.rebuild(entities);
+    expect(index.getStats().levels.map((l) => l.entityCount)).toEqual([1, 1, 1]);
+
+    entities[0].r = 7;
+    index.update(entities[0]);
+    expect(index.getStats().levels.map((l) => l.entityCount)).toEqual([0, 2, 1]);
+    expect(ids(index.queryCircle(0, 0, 1))).toEqual([1, 2, 3]);
+  });
+
+  it('touches fewer cells than a fine single grid for mixed radii', () => {
+    const rand = mulberry32(71);
+    const entities = makeWorkload('uniform', 500, 73).map((e) => ({ ...e, r: 2 + rand() * 60 }));
+    const flat = new SpatialHashGrid(8);
+    const layered = new HierarchicalHashGrid({ baseCellSize: 8, levels: 5 });
+    flat.rebuild(entities);
+    layered.rebuild(entities);
+
+    let flatRefs = 0;
+    for (const keys of flat.entityToKeys.values()) flatRefs += keys.length;
+    expect(layered.getStats().cellsPerEntity).toBeLessThanOrEqual(4);
+    expect(layered.getStats().cellsPerEntity).toBeLessThan(flatRefs / entities.length);
+    for (const range of makeQueries(30, 79)) {
+      expect(ids(layered.queryRange(range))).toEqual(bruteForce(entities, range));
+    }
+  });
+});
+
+describe('Morton linear quadtree', () => {
+  it('finds BIGMIN and LITMAX by brute force agreement', () => {
+    const box = { minX: 3, minY: 2, maxX: 9, maxY: 6 };
+    const inBox = [];
+    for (let x = box.minX; x <= box.maxX; x++) {
+      for (let y = box.minY; y <= box.maxY; y++) inBox.push(mortonEncode(x, y));
+    }
+    inBox.sort((a, b) => a - b);
+    const zmin = mortonEncode(box.minX, box.minY);
+    const zmax = mortonEncode(box.maxX, box.maxY);
+
+    for (let z = zmin + 1; z < zmax; z++) {
+      if (inBox.includes(z)) continue;
+      expect(bigmin(z, zmin, zmax)).toBe(inBox.find((c) => c > z));
+      expect(litmax(z, zmin, zmax)).toBe(inBox.filter((c) => c < z).pop());
+    }
+  });
+
+  it('keeps codes radix-sorted and entities in code order', () => {
+    const entities = makeWorkload('cluster', 3000, 113);
+    const index = new MortonIndex();
+    index.rebuild(entities);
+    const codes = index.codes.subarray(0, index.count);
+    for (let i = 1; i < codes.length; i++) expect(codes[i]).toBeGreaterThanOrEqual(codes[i - 1]);
+    expect(new Set(index.sorted.map((e) => e.id)).size).toBe(entities.length);
+    expect(index.getStats().lastSortPasses).toBeLessThanOrEqual(4);
+  });
+
+  it('re-sorts lazily after incremental edits', () => {
+    const entities = makeWorkload('uniform', 500, 127);
+    const index = new MortonIndex();
+    index.rebuild(entities.slice(0, 250));
+    for (const e of entities.slice(250)) index.insert(e);
+    for (const e of entities.slice(0, 50)) index.remove(e);
+    const kept = entities.slice(50);
+    for (const range of makeQueries(30, 131)) {
+      expect(ids(index.queryRange(range))).toEqual(bruteForce(kept, range));
+    }
+  });
+});
+
+describe('R-tree', () => {
+  const queries = makeQueries(60, 57);
+
+  it('matches brute force through incremental inserts, moves and removals', () => {
+    const entities = makeWorkload('cluster', 800, 61);
+    const index = new RTree({ maxEntries: 6 });
+    for (const e of entities) index.insert(e);
+    expect(index.getStats().splits).toBeGreaterThan(0);
+
+    const rand = mulberry32(5);
+    for (const e of entities) {
+      e.x += (rand() - 0.5) * 200;
+      e.y += (rand() - 0.5) * 200;
+      index.update(e);
+    }
+    const kept = entities.filter((e) => e.id % 3 !== 0);
+    for (const e of entities) if (e.id % 3 === 0) index.remove(e);
+
+    for (const range of queries) {
+      expect(ids(index.queryRange(range))).toEqual(bruteForce(kept, range));
+    }
+    expect(index.getStats().entityCount).toBe(kept.length);
+  });
+
+  it('bulk loads a shallow, well-filled tree', () => {
+    const entities = makeWorkload('uniform', 1000, 67);
+    const bulk = new RTree(8);
+    bulk.rebuild(entities);
+    const stats = bulk.getStats();
+    expect(stats.height).toBe(Math.ceil(Math.log(1000) / Math.log(8)));
+    expect(stats.fill).toBeGreaterThan(0.8);
+
+    for (const e of entities) bulk.remove(e);
+    expect(bulk.getStats()).toMatchObject({ entityCount: 0, height: 1 });
+    expect(bulk.queryRange(WORLD)).toEqual([]);
+  });
+
+  it('bulk inserts batches of any size into a live tree', () => {
+    const entities = makeWorkload('cluster', 900, 73);
+    const index = new RTree(6);
+    // Batches from single entities up to several levels' worth, like chunks of obstacles
+    const batches = [];
+    for (let i = 0, size = 1; i < entities.length; i += size, size = (size * 7) % 97) {
+      batches.push(entities.slice(i, i + size));
+    }
+    for (const batch of batches) index.load(batch);
+    expect(index.getStats().entityCount).toBe(entities.length);
+    for (const range of queries) {
+      expect(ids(index.queryRange(range))).toEqual(bruteForce(entities, range));
+    }
+
+    const kept = batches.filter((_, i) => i % 2 === 0).flat();
+    for (const batch of batches.filter((_, i) => i % 2 === 1)) {
+      for (const e of batch) index.remove(e);
+    }
+    // Reloading entities already in the tree moves them rather than duplicating them
+    index.load(kept.slice(0, 50));
+    for (const range of queries) {
+      expect(ids(index.queryRange(range))).toEqual(bruteForce(kept, range));
+    }
+    expect(index.getStats().entityCount).toBe(kept.length);
+  });
+});
+
+describe('loose quadtree', () => {
+  const queries = makeQueries(60, 43);
+
+  it('keeps straddling entities out of the root', () => {
+    const entities = makeWorkload('cluster', 2000, 19);
+    const tight = new Quadtree(WORLD, 6, 8);
+    const loose = new Quadtree(WORLD, 6, 8, 2);
+    tight.rebuild(entities);
+    loose.rebuild(entities);
+    expect(loose.getStats().rootEntities).toBeLessThan(tight.getStats().rootEntities);
+    expect(loose.getStats().maxNodeEntities).toBeLessThan(tight.getStats().maxNodeEntities);
+  });
+
+  it('stays exact as entities move and are updated in place', () => {
+    const entities = makeWorkload('uniform', 500, 83);
+    const index = new Quadtree(WORLD, 4, 8, 1.5);
+    for (const e of entities) index.insert(e);
+
+    const rand = mulberry32(21);
+    for (let step = 0; step < 10; step++) {
+      for (const e of entities) {
+        e.x += (rand() - 0.5) * 80;
+        e.y += (rand() - 0.5) * 80;
+        index.update(e);
+      }
+    }
+    for (const range of queries) {
+      expect(ids(index.queryRange(range))).toEqual(bruteForce(entities, range));
+    }
+    expect(index.getStats().entityCount).toBe(entities.length);
+  });
+});
+
+describe('collision layers', () => {
+  // 248 zombies packed near the origin, 8 pickups well clear of them
+  function zombiesAndPickups() {
+    const rand = mulberry32(17);
+    const entities = [];
+    for (let i = 0; i < 248; i++) {
+      const x = (rand() - 0.5) * 120;
+      const y = (rand() - 0.5) * 120;
+      entities.push({ id: i + 1, x, y, r: 4, active: true, layer: LAYER.ZOMBIE });
+    }
+    for (let i = 0; i < 8; i++) {
+      const x = 1200 + i * 40;
+      const y = 1200 + (i % 2) * 40;
+      entities.push({ id: 249 + i, x, y, r: 4, active: true, layer: LAYER.PICKUP });
+    }
+    return entities;
+  }
+
+  // Counts property reads on zombies while `counting` is on
+  function instrument(entities) {
+    const probe = { counting: false, reads: 0 };
+    const wrapped = entities.map((e) =>
+      e.layer === LAYER.ZOMBIE
+        ? new Proxy(e, {
+            get(target, key) {
+              if (probe.counting && (key === 'layer' || key === 'x')) probe.reads++;
+              return target[key];
+            },
+          })
+        : e
+    );
+    return { wrapped, probe };
+  }
+
+  // Sweep and prune keeps one flat list, so it has no groups to skip and checks each entity
+  const summarised = Object.entries(INDEXES).filter(([name]) => !name.startsWith('sap'));
+
+  for (const [name, make] of summarised) {
+    it(`${name} skips nodes and cells that hold none of the masked layers`, () => {
+      const { wrapped, probe } = instrument(zombiesAndPickups());
+      const index = make();
+      index.rebuild(wrapped);
+      index.queryRange(WORLD);
+
+      probe.counting = true;
+      const pickups = index.queryRange(WORLD, { mask: LAYER.PICKUP });
+      probe.counting = false;
+      expect(ids(pickups)).toEqual([249, 250, 251, 252, 253, 254, 255, 256]);
+      // Without summaries every zombie would be read at least once
+      expect(probe.reads).toBeLessThan(248 / 4);
+    });
+  }
+
+  it('drops a removed layer from grid cell summaries', () => {
+    const grid = new SpatialHashGrid(64);
+    const pickup = { id: 1, x: 10, y: 10, r: 2, layer: LAYER.PICKUP };
+    const zombie = { id: 2, x: 20, y: 20, r: 2, layer: LAYER.ZOMBIE };
+    grid.insert(pickup);
+    grid.insert(zombie);
+    expect(grid.cellLayers.get('0,0')).toBe(LAYER.PICKUP | LAYER.ZOMBIE);
+    grid.remove(pickup);
+    expect(grid.cellLayers.get('0,0')).toBe(LAYER.ZOMBIE);
+  });
+
+  it('treats entities without a layer as matching every mask', () => {
+    const index = new BVH(4);
+    index.rebuild([{ id: 1, x: 0, y: 0, r: 5 }]);
+    expect(ids(index.queryRange(WORLD, { mask: LAYER.PROJECTILE }))).toEqual([1]);
+  });
+
+  it('picks up in-place layer changes on incremental updates', () => {
+    for (const make of [INDEXES.packedGrid, INDEXES.looseQuadtree, INDEXES.bvh, INDEXES.rtree]) {
+      const entities = makeWorkload('uniform', 200, 29);
+      entities.forEach((e) => (e.layer = LAYER.ZOMBIE));
+      const index = make();
+      index.rebuild(entities);
+      const changed = entities.filter((e) => e.id % 5 === 0);
+      for (const e of changed) {
+        e.layer = LAYER.PICKUP;
+        index.update(e);
+      }
+      expect(ids(index.queryRange(WORLD, { mask: LAYER.PICKUP }))).toEqual(ids(changed));
+    }
+  });
+});
@@ -0,0 +1,66 @@
+// src/__test__/noise.test.js
+import { describe, it, expect } from 'vitest';
+import { NOISE_TYPES, createNoise2D, createFractalNoise2D } from '../utils/noise';
+import { createPerlin2D } from '../utils/perlin';
+import { seedStringToNumber } from '../utils/prng';
+import { generateChunkData } from '../engine/terrain';
+
+function sample(noise, count = 400) {
+  const values = [];
+  for (let i = 0; i < count; i++) values.push(noise(i * 0.37 - 40, i * 0.61 + 13));
+  return values;
+}
+
+describe('noise backends', () => {
+  for (const type of NOISE_TYPES) {
+    describe(type, () => {
+      it('is deterministic per seed and stays in [0, 1]', () => {
+        const a = sample(createNoise2D(type, 42));
+        expect(sample(createNoise2D(type, 42))).toEqual(a);
+        expect(sample(createNoise2D(type, 43))).not.toEqual(a);
+        for (const v of a) {
+          expect(v).toBeGreaterThanOrEqual(0);
+          expect(v).toBeLessThanOrEqual(1);
+        }
+        // Not stuck near a constant
+        expect(Math.max(...a) - Math.min(...a)).toBeGreaterThan(0.3);
+      });
+
+      it('seeds from strings through seedStringToNumber', () => {
+        const fromString = sample(createFractalNoise2D(type, 'forest', 3));
+        const fromNumber = sample(createFractalNoise2D(type, seedStringToNumber('forest'), 3));
+        expect(fromString).toEqual(fromNumber);
+      });
+    });
+  }
+
+  it('perlin is zero at lattice points and continuous between them', () => {
+    const perlin = createPerlin2D(7);
+    for (let i = -5; i <= 5; i++) expect(perlin(i, i * 3)).toBe(0);
+    expect(Math.abs(perlin(2.5, 1.5) - perlin(2.5001, 1.5))).toBeLessThan(0.01);
+  });
+
+  it('rejects unknown noise types', () => {
+    expect(() => createNoise2D('worley', 1)).toThrow(/Unknown noise type/);
+  });
+
+  it('generates different terrain per backend from the same seed', () => {
+    const config = {
+      scale: 0.035,
+      octaves: 5,
+      lacunarity: 2.1,
+      gain: 0.45,
+      heightWeight: 1.2,
+      moistureWeight: 0.8,
+      temperatureWeight: 0.6,
+    };
+    const heights = NOISE_TYPES.map(
+      (noise) => generateChunkData(2, -1, 16, 99, { ...config, noise }).biomeData.height
+    );
+    expect(heights[1]).not.toEqual(heights[0]);
+    expect(heights[2]).not.toEqual(heights[0]);
+    expect(heights[2]).not.toEqual(heights[1]);
+    // Leaving noise out is the value backend
+    expect(generateChunkData(2, -1, 16, 99, config).biomeData.height).toEqual(heights[0]);
+  });
+});
@@ -1,7 +1,21 @@
 // src/__tests__/spatial.test.js
 import { describe, it, expect } from 'vitest';
 import SpatialHashGrid from '../spatial/SpatialHashGrid';
+import HierarchicalHashGrid from '../spatial/HierarchicalHashGrid';
+import PackedHashGrid from '../spatial/PackedHashGrid';
 import Quadtree from '../spatial/Quadtree';
+import KDTree from '../spatial/KDTree';
+import BVH from '../spatial/BVH';
+import SweepAndPrune from '../spatial/SweepAndPrune';
+import RTree from '../spatial/RTree';
+import MortonIndex from '../spatial/MortonIndex';
+import IndexManager from '../spatial/IndexManager';
+import AutoIndexSelector, { clusteringCoefficient } from '../spatial/AutoIndexSelector';
+import ShadowValidator from '../spatial/ShadowValidator';
+import EntityPool from '../engine/EntityPool';
+import { mulberry32 } from '../utils/prng';
+import { LAYER, ALL_LAYERS } from '../spatial/layers';
+import { BatchResults, BOX_STRIDE, sortByLocation } from '../spatial/batch';
 
 function bruteForceQuery(entities, range) {
   const out = [];
@@ -34,7 +48,10 @@ describe('spatial indexes basic correctness', () => {
     const grid = new SpatialHashGrid(32);
     grid.rebuild(entities);
     const range = { minX: 10, minY: 10, maxX: 200, maxY: 200 };
-    const g = grid.queryRange(range).sort((a, b) => a - b);
+    const g = grid
+      .queryRange(range)
+      .map((e) => e.id)
+      .sort((a, b) => a - b);
     const br = bruteForceQuery(entities, range).sort((a, b) => a - b);
     expect(g).toEqual(br);
   });
@@ -43,8 +60,454 @@ describe('spatial indexes basic correctness', () => {
     const qt = new Quadtree({ minX: -1000, minY: -1000, maxX: 1000, maxY: 1000 }, 6, 6);
     qt.rebuild(entities);
     const range = { minX: 10, minY: 10, maxX: 200, maxY: 200 };
-    const q = qt.queryRange(range).sort((a, b) => a - b);
+    const q = qt
+      .queryRange(range)
+      .map((e) => e.id)
+      .sort((a, b) => a - b);
     const br = bruteForceQuery(entities, range).sort((a, b) => a - b);
     expect(q).toEqual(br);
   });
 });
+
+function bruteForceNearest(entities, x, y, k, maxDist = Infinity) {
+  return entities
+    .map((e) => ({ id: e.id, d: Math.hypot(e.x - x, e.y - y) }))
+    .filter((c) => c.d <= maxDist)
+    .sort((a, b) => a.d - b.d)
+    .slice(0, k)
+    .map((c) => c.d);
+}
+
+describe('k-nearest-neighbour queries', () => {
+  const entities = makeEntities(200).map((e) => ({ ...e, active: true }));
+  const indexes = {
+    grid: () => new SpatialHashGrid(32),
+    packedGrid: () => new PackedHashGrid(32),
+    hgrid: () => new HierarchicalHashGrid({ baseCellSize: 8, levels: 3 }),
+    quadtree: () => new Quadtree({ minX: -1000, minY: -1000, maxX: 1000, maxY: 1000 }, 6, 6),
+    kdtree: () => new KDTree({ capacity: 4 }),
+    bvh: () => new BVH(4),
+    sap: () => new SweepAndPrune({ axes: 'xy' }),
+    rtree: () => new RTree(4),
+    morton: () => new MortonIndex(),
+  };
+  const probes = [
+    [0, 0, 1],
+    [150, 150, 5],
+    [-400, 900, 3],
+    [299, 10, 12],
+  ];
+
+  for (const [name, make] of Object.entries(indexes)) {
+    it(`${name} returns the k closest entities sorted by distance`, () => {
+      const index = make();
+      index.rebuild(entities);
+      for (const [x, y, k] of probes) {
+        const got = index.queryNearest(x, y, k).map((e) => Math.hypot(e.x - x, e.y - y));
+        expect(got).toEqual(bruteForceNearest(entities, x, y, k));
+      }
+    });
+
+    it(`${name} respects maxDist`, () => {
+      const index = make();
+      index.rebuild(entities);
+      const got = index.queryNearest(150, 150, 50, 40).map((e) => Math.hypot(e.x - 150, e.y - 150));
+      expect(got).toEqual(bruteForceNearest(entities, 150, 150, 50, 40));
+      expect(index.queryNearest(5000, 5000, 3, 10)).toEqual([]);
+    });
+  }
+
+  // Small cells and a huge empty extent: ring expansion alone would scan millions of cells
+  const sparse = [
+    { id: 1, x: 0, y: 0, r: 4, active: true },
+    { id: 2, x: 20000, y: -20000, r: 4, active: true },
+    { id: 3, x: -15000, y: 18000, r: 4, active: true },
+    { id: 4, x: 200000, y: 200000, r: 50, active: true },
+  ];
+  const sparseProbes = [
+    [10, 10],
+    [9000, -9000],
+    [-20000, 20000],
+  ];
+  const sparseIndexes = {
+    grid: () => new SpatialHashGrid(16),
+    packedGrid: () => new PackedHashGrid(16),
+    hgrid: () => new HierarchicalHashGrid({ baseCellSize: 16, levels: 4 }),
+  };
+  for (const [name, make] of Object.entries(sparseIndexes)) {
+    it(`${name} stays fast over a few far-apart entities`, () => {
+      const index = make();
+      index.rebuild(sparse);
+      const start = performance.now();
+      for (const [x, y] of sparseProbes) {
+        const got = index.queryNearest(x, y, 2).map((e) => Math.hypot(e.x - x, e.y - y));
+        expect(got).toEqual(bruteForceNearest(sparse, x, y, 2));
+      }
+      expect(performance.now() - start).toBeLessThan(50);
+    });
+  }
+});
+
+describe('auto index selection', () => {
+  it('scores clustered layouts above spread-out ones', () => {
+    const spread = makeEntities(400, 1);
+    const clumped = spread.map((e, i) => ({ ...e, x: (i % 4) * 500 + (e.x % 7), y: e.y % 7 }));
+    expect(clusteringCoefficient(clumped)).toBeGreaterThan(0.8);
+    expect(clusteringCoefficient(spread)).toBeLessThan(clusteringCoefficient(clumped));
+  });
+
+  it('only switches after a clear win on consecutive samples', () => {
+    const selector = new AutoIndexSelector({ margin: 0.2, confirmations: 2 });
+    const features = { count: 100, clustering: 0.5, queryUpdateRatio: 1 };
+    const sample = (costs) => ({ features, costs });
+
+    expect(selector.decide('grid', sample({ grid: 10, rtree: 9 }))).toBeNull();
+    expect(selector.decide('grid', sample({ grid: 10, rtree: 5 }))).toBeNull();
+    expect(selector.decide('grid', sample({ grid: 10, bvh: 4, rtree: 5 }))).toBeNull();
+    const decision = selector.decide('grid', sample({ grid: 10, bvh: 4 }));
+    expect(decision.to).toBe('bvh');
+    expect(decision.reason).toContain('60% cheaper than grid');
+  });
+
+  it('switches the active index, emits the reason and keeps answering correctly', () => {
+    const entities = makeEntities(80).map((e) => ({ ...e, active: true }));
+    const manager = new IndexManager({ type: 'auto', autoSampleInterval: 0, autoConfirmations: 1 });
+    manager.autoSelector.candidates = ['grid', 'rtree'];
+    manager.autoSelector._shadowCost = (index) => (index === manager.rtree ? 1 : 10);
+    const events = [];
+    manager.on('switch', (event) => events.push(event));
+
+    // One candidate is timed per rebuild, so the sample takes two
+    manager.rebuild(entities);
+    expect(events).toHaveLength(0);
+    expect(manager.autoSelector.sampling).toBe(true);
+    manager.rebuild(entities);
+    expect(manager.type).toBe('auto');
+    expect(manager.activeType).toBe('rtree');
+    expect(manager.isIncremental()).toBe(true);
+    expect(events).toHaveLength(1);
+    expect(events[0]).toMatchObject({ from: 'grid', to: 'rtree' });
+    expect(events[0].reason).toContain('90% cheaper');
+
+    const range = { minX: 50, minY: 50, maxX: 180, maxY: 160 };
+    const got = manager.queryRange(range).map((e) => e.id);
+    expect(got.sort((a, b) => a - b)).toEqual(
+      bruteForceQuery(entities, range).sort((a, b) => a - b)
+    );
+    expect(manager.grid.allEntities()).toEqual([]);
+  });
+
+  it('times one candidate per rebuild and reuses the active rebuild for its own cost', () => {
+    const entities = makeEntities(60).map((e) => ({ ...e, active: true }));
+    const manager = new IndexManager({ type: 'auto', autoSampleInterval: 0 });
+    const selector = manager.autoSelector;
+    const built = [];
+    for (const type of selector.candidates) {
+      const index = manager._indexFor(type);
+      const rebuild = index.rebuild.bind(index);
+      index.rebuild = (list) => {
+        built.push(type);
+        rebuild(list);
+      };
+    }
+
+    for (let i = 0; i < selector.candidates.length; i++) {
+      built.length = 0;
+      manager.rebuild(entities);
+      // The active grid is rebuilt once per frame, plus at most one shadow candidate
+      expect(built.filter((type) => type === 'grid')).toHaveLength(1);
+      expect(built.length).toBeLessThanOrEqual(2);
+    }
+    expect(selector.sampling).toBe(false);
+    expect(Object.keys(selector.lastSample.costs)).toEqual(selector.candidates);
+  });
+});
+
+describe('shadow validation', () => {
+  it('records missing, extra and duplicated ids with the query context', () => {
+    const entities = makeEntities(40);
+    const range = { minX: 0, minY: 0, maxX: 150, maxY: 150 };
+    const truth = entities.filter((e) => bruteForceQuery(entities, range).includes(e.id));
+    const outside = entities.find((e) => !truth.includes(e));
+    const results = [...truth.slice(1), truth[2], outside];
+
+    const validator = new ShadowValidator({ sampleRate: 1 });
+    const record = validator.check(range, results, entities, { indexType: 'broken' });
+    expect(record.indexType).toBe('broken');
+    expect(record.missing.map((e) => e.id)).toEqual([truth[0].id]);
+    expect(record.extra.map((e) => e.id)).toEqual([outside.id]);
+    expect(record.duplicates).toEqual([truth[2].id]);
+    expect(validator.check(range, truth, entities)).toBeNull();
+    expect(validator.getMetrics()).toMatchObject({ checks: 2, mismatches: 1, extra: 1 });
+  });
+
+  it('finds no mismatches on a correct index through incremental updates', () => {
+    const entities = makeEntities(120).map((e) => ({ ...e, active: true }));
+    const manager = new IndexManager({ type: 'rtree', validate: true, validateSampleRate: 1 });
+    manager.rebuild(entities);
+    for (const e of entities.slice(0, 30)) {
+      e.x += 17;
+      manager.update(e);
+    }
+    for (const e of entities.slice(30, 40)) manager.remove(e);
+    for (let i = 0; i < 20; i++) {
+      manager.queryRange({ minX: i * 10, minY: i * 5, maxX: i * 10 + 90, maxY: i * 5 + 120 });
+    }
+    expect(manager.getValidationMetrics()).toMatchObject({ checks: 20, mismatches: 0 });
+  });
+
+  it('KD-tree queries stop returning removed entities before the next rebuild', () => {
+    const entities = makeEntities(60);
+    const kd = new KDTree();
+    kd.rebuild(entities);
+    kd.remove(entities[5]);
+    const range = { minX: -50, minY: -50, maxX: 400, maxY: 400 };
+    expect(kd.queryRange(range).map((e) => e.id)).not.toContain(entities[5].id);
+  });
+});
+
+describe('collision layers in the manager', () => {
+  it('hands out pooled entities on the default layer, indexed and colliding with everything', () => {
+    const pool = new EntityPool(4);
+    const e = pool.acquire();
+    e.layer = LAYER.EFFECT;
+    e.indexed = false;
+    pool.release(e);
+    expect(pool.acquire()).toMatchObject({ layer: LAYER.DEFAULT, mask: ALL_LAYERS, indexed: true });
+  });
+
+  it('keeps cosmetic entities out of every index', () => {
+    const entities = makeEntities(40).map((e) => ({ ...e, active: true }));
+    entities[0].indexed = false;
+    const blood = { id: 999, x: 10, y: 10, r: 2, active: true, indexed: false };
+    for (const type of ['grid', 'rtree']) {
+      const manager = new IndexManager({ type, validate: true, validateSampleRate: 1 });
+      manager.rebuild(entities);
+      manager.insert(blood);
+      manager.update(blood);
+      const range = { minX: -50, minY: -50, maxX: 400, maxY: 400 };
+      const got = manager.queryRange(range).map((e) => e.id);
+      expect(got).not.toContain(entities[0].id);
+      expect(got).not.toContain(999);
+      expect(got).toHaveLength(39);
+      expect(manager.getValidationMetrics().mismatches).toBe(0);
+    }
+  });
+
+  it('restricts the b side of pair queries to the mask', () => {
+    const entities = makeEntities(60).map((e, i) => ({
+      ...e,
+      active: true,
+      r: 20,
+      layer: i % 2 ? LAYER.ZOMBIE : LAYER.PICKUP,
+    }));
+    const player = entities[0];
+    for (const type of ['grid', 'sap', 'bvh']) {
+      const manager = new IndexManager({ type });
+      manager.rebuild(entities);
+      const pairs = manager.queryPairs((e) => e === player, null, { mask: LAYER.ZOMBIE });
+      expect(pairs.length).toBeGreaterThan(0);
+      for (const [a, b] of pairs) {
+        expect(a).toBe(player);
+        expect(b.layer).toBe(LAYER.ZOMBIE);
+      }
+    }
+  });
+});
+
+describe('static and dynamic layers', () => {
+  function mixedEntities() {
+    return makeEntities(120).map((e, i) => ({ ...e, active: true, static: i % 3 === 0 }));
+  }
+  const ids = (list) => list.map((e) => e.id).sort((a, b) => a - b);
+
+  it('merges both layers into one answer', () => {
+    const entities = mixedEntities();
+    for (const staticType of ['bvh', 'grid', 'none']) {
+      // The packed grid fills caller-owned out arrays; the static layer must append, not reset
+      const manager = new IndexManager({ type: 'grid', gridMode: 'packed', staticType });
+      manager.rebuild(entities);
+      expect(manager.entities).toHaveLength(staticType === 'none' ? 120 : 80);
+      const range = { minX: 40, minY: 20, maxX: 210, maxY: 190 };
+      expect(ids(manager.queryRange(range))).toEqual(
+        bruteForceQuery(entities, range).sort((a, b) => a - b)
+      );
+      const out = [{ id: -1 }];
+      expect(manager.queryRange(range, { out })).toBe(out);
+      expect(ids(out)).toEqual(bruteForceQuery(entities, range).sort((a, b) => a - b));
+
+      const nearest = manager.queryNearest(150, 150, 5).map((e) => e.id);
+      const byDist = [...entities].sort(
+        (a, b) => Math.hypot(a.x - 150, a.y - 150) - Math.hypot(b.x - 150, b.y - 150)
+      );
+      expect(nearest).toEqual(byDist.slice(0, 5).map((e) => e.id));
+    }
+  });
+
+  it('finds pairs across the layers exactly once', () => {
+    const entities = mixedEntities().map((e) => ({ ...e, r: 15 }));
+    const key = ([a, b]) => `${Math.min(a.id, b.id)}:${Math.max(a.id, b.id)}`;
+    const single = new IndexManager({ type: 'rtree', staticType: 'none' });
+    single.rebuild(entities);
+    const layered = new IndexManager({ type: 'rtree', staticType: 'bvh' });
+    layered.rebuild(entities);
+    const expected = single.queryPairs().map(key).sort();
+    const got = layered.queryPairs().map(key);
+    expect(got.sort()).toEqual(expected);
+    expect(new Set(got).size).toBe(got.length);
+    expect(got.some((k) => k.split(':').some((id) => entities[id - 1].static))).toBe(true);
+  });
+
+  it('rebuilds the static layer only when its membership changes', () => {
+    const entities = mixedEntities();
+    const manager = new IndexManager({ type: 'bvh', validate: true, validateSampleRate: 1 });
+    const query = () => manager.queryRange({ minX: 0, minY: 0, maxX: 300, maxY: 300 });
+    manager.rebuild(entities);
+    query();
+    expect(manager.getStaticLayerStats()).toEqual({ type: 'bvh', entityCount: 40, rebuilds: 1 });
+
+    for (let frame = 0; frame < 5; frame++) {
+      for (const e of entities) {
+        if (e.static) continue;
+        e.x += 3;
+        manager.update(e);
+      }
+      manager.rebuild(entities);
+      query();
+    }
+    expect(manager.staticRebuilds).toBe(1);
+
+    // Two removals and an insert between queries cost one rebuild
+    manager.remove(entities[0]);
+    manager.remove(entities[3]);
+    manager.insert({ id: 500, x: 20, y: 20, r: 5, active: true, static: true });
+    expect(query().map((e) => e.id)).toContain(500);
+    expect(manager.staticRebuilds).toBe(2);
+    expect(manager.getValidationMetrics().mismatches).toBe(0);
+  });
+
+  it('moves a reused pooled entity out of the static layer on its first update', () => {
+    const entities = mixedEntities();
+    const manager = new IndexManager({ type: 'grid' });
+    manager.rebuild(entities);
+    const reused = entities[0];
+    reused.static = false;
+    reused.x = 900;
+    manager.update(reused);
+    expect(manager.staticEntities.has(reused.id)).toBe(false);
+    const range = { minX: 890, minY: -10, maxX: 910, maxY: 10 };
+    expect(manager.queryRange(range)).toEqual([reused]);
+  });
+});
+
+describe('batched range queries', () => {
+  it('visits queries in Z-order of their centres', () => {
+    // Four boxes per quadrant, listed with the quadrants interleaved
+    const ranges = new Float64Array(16 * BOX_STRIDE);
+    for (let i = 0; i < 16; i++) {
+      const x = (i % 2) * 1000 + (i >> 2) * 10;
+      const y = ((i >> 1) % 2) * 1000 + (i >> 2) * 10;
+      ranges.set([x, y, x + 5, y + 5], i * BOX_STRIDE);
+    }
+    const results = new BatchResults(16);
+    results.reset(16);
+    sortByLocation(ranges, results);
+    const order = Array.from(results.order);
+    expect([...order].sort((a, b) => a - b)).toEqual([...Array(16).keys()]);
+    const quadrant = (i) => i % 4;
+    for (let n = 0; n < 16; n += 4) {
+      expect(new Set(order.slice(n, n + 4).map(quadrant)).size).toBe(1);
+    }
+  });
+
+  it('answers through the manager across both layers and counts every query', () => {
+    const entities = makeEntities(150).map((e, i) => ({ ...e, active: true, static: i % 4 === 0 }));
+    const manager = new IndexManager({ type: 'grid', validate: true, validateSampleRate: 1 });
+    manager.rebuild(entities);
+    const boxes = [];
+    for (let i = 0; i < 30; i++)
+      boxes.push({ minX: i * 9, minY: i * 7, maxX: i * 9 + 60, maxY: i * 7 + 45 });
+    const ranges = new Float64Array(boxes.length * BOX_STRIDE);
+    boxes.forEach((b, i) => ranges.set([b.minX, b.minY, b.maxX, b.maxY], i * BOX_STRIDE));
+
+    const results = manager.queryRangeBatch(ranges, new BatchResults(4));
+    boxes.forEach((box, i) => {
+      expect(Array.from(results.idsOf(i)).sort((a, b) => a - b)).toEqual(
+        bruteForceQuery(entities, box).sort((a, b) => a - b)
+      );
+    });
+    expect(manager.counters.queries).toBe(30);
+    expect(manager.getValidationMetrics()).toMatchObject({ checks: 1, mismatches: 0 });
+  });
+});
+
+describe('query cache', () => {
+  const near = (entities, x, y, r) =>
+    entities
+      .filter((e) => Math.hypot(e.x - x, e.y - y) <= r + e.r)
+      .map((e) => e.id)
+      .sort((a, b) => a - b);
+  const ids = (list) => list.map((e) => e.id).sort((a, b) => a - b);
+
+  it('stays exact at zero tolerance through moves, rebuilds and removals', () => {
+    for (const type of ['rtree', 'kdtree']) {
+      const entities = makeEntities(150).map((e) => ({ ...e, active: true }));
+      const manager = new IndexManager({ type, queryCache: true });
+      manager.rebuild(entities);
+      const queriers = entities.slice(0, 40);
+      const rand = mulberry32(7);
+      for (let frame = 0; frame < 12; frame++) {
+        // A handful move each frame; an incremental index hears about them one by one
+        for (const e of entities.filter(() => rand() < 0.05)) {
+          e.x += (rand() - 0.5) * 40;
+          e.y += (rand() - 0.5) * 40;
+          manager.update(e);
+        }
+        if (frame === 6) manager.remove(entities.pop());
+        manager.rebuild(entities);
+        for (const q of queriers) {
+          const got = manager.queryCircleCached(q.id, q.x, q.y, 40);
+          expect(ids(got)).toEqual(near(entities, q.x, q.y, 40));
+        }
+      }
+      const metrics = manager.getQueryCacheMetrics();
+      expect(metrics.hits).toBeGreaterThan(0);
+      expect(metrics.patches).toBeGreaterThan(0);
+      expect(metrics.hits + metrics.patches + metrics.misses).toBe(12 * 40);
+    }
+  });
+
+  it('hits while nothing nearby moves and patches in what arrives', () => {
+    const entities = makeEntities(60).map((e) => ({ ...e, active: true }));
+    const manager = new IndexManager({ type: 'grid', queryCache: true });
+    manager.rebuild(entities);
+    const first = manager.queryCircleCached('probe', 150, 150, 60);
+    expect(manager.queryCircleCached('probe', 150, 150, 60)).toBe(first);
+    expect(manager.getQueryCacheMetrics()).toMatchObject({ hits: 1, misses: 1 });
+
+    const mover = entities.find((e) => Math.hypot(e.x - 150, e.y - 150) > 200);
+    mover.x = 150;
+    mover.y = 170;
+    manager.update(mover);
+    expect(ids(manager.queryCircleCached('probe', 150, 150, 60))).toContain(mover.id);
+    expect(manager.getQueryCacheMetrics().patches).toBe(1);
+
+    // Moving the querier itself, or asking a different question, starts over
+    manager.queryCircleCached('probe', 180, 150, 60);
+    manager.queryCircleCached('probe', 180, 150, 60, { mask: LAYER.ZOMBIE });
+    expect(manager.getQueryCacheMetrics().misses).toBe(3);
+  });
+
+  it('ignores movement within the tolerance', () => {
+    const entities = makeEntities(60).map((e) => ({ ...e, active: true }));
+    const manager = new IndexManager({ type: 'grid', queryCache: true, queryCacheTolerance: 4 });
+    manager.rebuild(entities);
+    manager.queryCircleCached(1, entities[0].x, entities[0].y, 50);
+    for (const e of entities) {
+      e.x += 3;
+      manager.update(e);
+    }
+    manager.queryCircleCached(1, entities[0].x, entities[0].y, 50);
+    expect(manager.getQueryCacheMetrics()).toMatchObject({ hits: 1, misses: 1, hitRate: 0.5 });
+  });
+});
@@ -0,0 +1,364 @@
+// src/__test__/terrain.test.js
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { generateChunkData, BIOME_LAYERS } from '../engine/terrain';
+import { paintChunk, repaintTiles, chunkTrees } from '../engine/chunkPainter';
+import WorldManager from '../engine/WorldManager';
+import WorkerPool from '../engine/WorkerPool';
+import {
+  MemoryChunkStore,
+  serializeChunk,
+  deserializeChunk,
+  CHUNK_FORMAT_VERSION,
+} from '../engine/chunkStore';
+
+const NOISE = {
+  scale: 0.035,
+  octaves: 6,
+  lacunarity: 2.1,
+  gain: 0.45,
+  heightWeight: 1.0,
+  moistureWeight: 0.8,
+  temperatureWeight: 0.6,
+};
+
+// 2D context stand-in: every method is a no-op, every property assignable
+function fakeContext() {
+  return new Proxy({}, { get: (target, prop) => (prop in target ? target[prop] : () => {}) });
+}
+
+class FakeOffscreenCanvas {
+  constructor(width, height) {
+    this.width = width;
+    this.height = height;
+  }
+
+  getContext() {
+    return fakeContext();
+  }
+
+  transferToImageBitmap() {
+    return { width: this.width, height: this.height, close: vi.fn() };
+  }
+}
+
+// World point inside tile idx of chunk (cx, cy)
+function tilePoint(world, cx, cy, idx) {
+  const size = world.chunkSize;
+  return {
+    x: (cx * size + (idx % size)) * world.tileSize + 1,
+    y: (cy * size + Math.floor(idx / size)) * world.tileSize + 1,
+  };
+}
+
+// A forest-heavy chunk, so decoration places trees
+function findForestChunk() {
+  for (let cx = 0; cx < 64; cx++) {
+    const chunk = generateChunkData(cx, 0, 16, 12345, NOISE);
+    if (chunk.tiles.includes(5)) return { cx, chunk };
+  }
+  throw new Error('no forest chunk');
+}
+
+describe('chunk terrain generation', () => {
+  it('is deterministic and fills every biome layer', () => {
+    const a = generateChunkData(3, -2, 16, 12345, NOISE);
+    const b = generateChunkData(3, -2, 16, 12345, NOISE);
+    expect(a.tiles).toEqual(b.tiles);
+    for (const layer of BIOME_LAYERS) {
+      expect(a.biomeData[layer]).toBeInstanceOf(Float32Array);
+      expect(a.biomeData[layer].length).toBe(256);
+      expect(a.biomeData[layer]).toEqual(b.biomeData[layer]);
+    }
+    for (const t of a.tiles) expect(t).toBeLessThanOrEqual(11);
+    expect(generateChunkData(3, -2, 16, 999, NOISE).tiles).not.toEqual(a.tiles);
+  });
+
+  describe('chunkWorker', () => {
+    afterEach(() => {
+      delete globalThis.self;
+      vi.unstubAllGlobals();
+      vi.resetModules();
+    });
+
+    it('returns the same tiles and biome layers as the main thread, transferred', async () => {
+      globalThis.self = { postMessage: vi.fn() };
+      await import('../workers/chunkWorker');
+      const args = { cx: -1, cy: 4, chunkSize: 16, tileSize: 32, seedNum: 77, noiseConfig: NOISE };
+      self.onmessage({ data: { cmd: 'generate', jobId: 9, args } });
+
+      expect(self.postMessage).toHaveBeenCalledTimes(1);
+      const [msg, transfer] = self.postMessage.mock.calls[0];
+      const expected = generateChunkData(-1, 4, 16, 77, NOISE);
+      expect(msg.cmd).toBe('generated');
+      expect(msg.jobId).toBe(9);
+      expect(msg.args.tiles).toEqual(expected.tiles);
+      for (const layer of BIOME_LAYERS) {
+        expect(msg.args.biomeData[layer]).toEqual(expected.biomeData[layer]);
+      }
+      expect(transfer).toHaveLength(1 + BIOME_LAYERS.length);
+      expect(transfer).toContain(msg.args.tiles.buffer);
+      expect(msg.args.bitmap).toBeUndefined();
+    });
+
+    it('fails a job with its jobId, and the pool rejects it without waiting for the timeout', async () => {
+      globalThis.self = { postMessage: vi.fn() };
+      await import('../workers/chunkWorker');
+      const noiseConfig = { ...NOISE, noise: 'unknown' };
+      const args = { cx: 0, cy: 0, chunkSize: 16, tileSize: 32, seedNum: 1, noiseConfig };
+      self.onmessage({ data: { cmd: 'generate', jobId: 6, args } });
+      const [msg] = self.postMessage.mock.calls[0];
+      expect(msg).toMatchObject({ cmd: 'error', jobId: 6 });
+
+      const worker = { postMessage: vi.fn(), terminate: vi.fn() };
+      const pool = new WorkerPool(() => worker, { workers: 1, jobTimeoutMs: 60000 });
+      const job = pool.enqueue(args);
+      const { jobId } = worker.postMessage.mock.calls[0][0];
+      const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+      worker.onmessage({ data: { ...msg, jobId } });
+      error.mockRestore();
+      await expect(job).rejects.toThrow(/Unknown noise type/);
+      expect(pool.getStats()).toMatchObject({ pendingJobs: 0, idleWorkers: 1 });
+      pool.terminate();
+    });
+
+    it('uses the noise backend picked in noiseConfig', async () => {
+      globalThis.self = { postMessage: vi.fn() };
+      await import('../workers/chunkWorker');
+      const noiseConfig = { ...NOISE, noise: 'opensimplex2' };
+      const args = { cx: 3, cy: -2, chunkSize: 16, tileSize: 32, seedNum: 77, noiseConfig };
+      self.onmessage({ data: { cmd: 'generate', jobId: 4, args } });
+
+      const [msg] = self.postMessage.mock.calls[0];
+      const expected = generateChunkData(3, -2, 16, 77, noiseConfig);
+      expect(msg.args.tiles).toEqual(expected.tiles);
+      expect(msg.args.biomeData.height).toEqual(expected.biomeData.height);
+      expect(msg.args.tiles).not.toEqual(generateChunkData(3, -2, 16, 77, NOISE).tiles);
+    });
+
+    it('paints on an OffscreenCanvas and returns the bitmap with tree obstacles', async () => {
+      vi.stubGlobal('OffscreenCanvas', FakeOffscreenCanvas);
+      globalThis.self = { postMessage: vi.fn() };
+      await import('../workers/chunkWorker');
+      const { cx, chunk } = findForestChunk();
+      const args = { cx, cy: 0, chunkSize: 16, tileSize: 32, seedNum: 12345, noiseConfig: NOISE };
+      self.onmessage({ data: { cmd: 'generate', jobId: 2, args: { ...args, paint: true } } });
+
+      const [msg, transfer] = self.postMessage.mock.calls[0];
+      expect(msg.args.bitmap.width).toBe(16 * 32);
+      expect(transfer).toContain(msg.args.bitmap);
+      const trees = paintChunk(fakeContext(), cx, 0, chunk.tiles, chunk.biomeData, 16, 32, 12345);
+      expect(trees.length).toBeGreaterThan(0);
+      expect(msg.args.trees).toEqual(trees);
+    });
+  });
+
+  it('WorldManager keeps a worker-painted bitmap and registers its trees', () => {
+    const world = new WorldManager({ chunkSize: 16, tileSize: 32, noiseConfig: NOISE });
+    world.setSeed('painted');
+    const { cx, chunk } = findForestChunk();
+    const trees = paintChunk(fakeContext(), cx, 0, chunk.tiles, chunk.biomeData, 16, 32, 1);
+    const bitmap = { width: 512, height: 512, close: vi.fn() };
+
+    const built = world._postProcessGeneratedChunk(cx, 0, { ...chunk, bitmap, trees });
+    world.chunks.set(world._key(cx, 0), built);
+    expect(built.canvas).toBe(bitmap);
+    expect(world.collisionMap.get(world._key(cx, 0))).toBe(trees);
+    expect(world.obstacleIndex.allEntities()).toHaveLength(trees.length);
+
+    world.unloadFarChunks(1000, 1000, 1);
+    expect(bitmap.close).toHaveBeenCalled();
+    expect(world.obstacleIndex.allEntities()).toHaveLength(0);
+    world.dispose();
+  });
+
+  describe('chunk storage', () => {
+    // Restores go through the async store, so let them settle
+    const settle = () => new Promise((resolve) => setTimeout(resolve));
+
+    function editTile(world, cx, cy, idx, tile) {
+      world.getChunk(cx, cy);
+      const { x, y } = tilePoint(world, cx, cy, idx);
+      expect(world.setTileAtWorld(x, y, tile)).toBe(1);
+    }
+
+    it('round-trips a chunk record and rejects other format versions', () => {
+      const data = generateChunkData(1, 2, 16, 5, NOISE);
+      const chunk = { cx: 1, cy: 2, ...data, edits: new Map([[7, 9]]) };
+      const obstacles = [{ id: 't', type: 'tree', x: 1, y: 2, width: 3, height: 4 }];
+      const record = structuredClone(serializeChunk(chunk, obstacles, 'sig'));
+      expect(record.version).toBe(CHUNK_FORMAT_VERSION);
+
+      const restored = deserializeChunk(record);
+      expect(restored.tiles).toEqual(data.tiles);
+      expect(restored.biomeData.ridge).toEqual(data.biomeData.ridge);
+      expect(restored.obstacles).toEqual(obstacles);
+      expect([...restored.edits]).toEqual([[7, 9]]);
+      expect(deserializeChunk({ ...record, version: CHUNK_FORMAT_VERSION + 1 })).toBeNull();
+    });
+
+    it('saves edited chunks on unload and restores them in getChunk', async () => {
+      const store = new MemoryChunkStore();
+      const world = new WorldManager({ chunkSize: 16, noiseConfig: NOISE, store });
+      await world.storeReady;
+      editTile(world, 2, 3, 5, 9);
+      world.getChunk(0, 0);
+      const rock = { id: 'rock', x: 10, y: 10, width: 8 };
+      world._setChunkObstacles(world._key(2, 3), [rock]);
+      // The R-tree gets its own copy with a radius; the saved record stays as it was
+      expect(rock).not.toHaveProperty('r');
+      expect(world.checkCollision(12, 10, 2).obstacle.id).toBe('rock');
+
+      world.unloadFarChunks(100, 100, 1);
+      expect(await store.keys()).toEqual([world._storeKey(2, 3)]);
+
+      expect(world.getChunk(2, 3).pending).toBe(true);
+      await settle();
+      const chunk = world.getChunk(2, 3);
+      expect(chunk.pending).toBeUndefined();
+      expect(chunk.tiles[5]).toBe(9);
+      expect([...chunk.edits]).toEqual([[5, 9]]);
+      expect(world.collisionMap.get(world._key(2, 3)).map((o) => o.id)).toEqual(['rock']);
+
+      // Another session over the same store finds it too
+      const next = new WorldManager({ chunkSize: 16, noiseConfig: NOISE, store });
+      await next.storeReady;
+      next.getChunk(2, 3);
+      await settle();
+      expect(next.getChunk(2, 3).tiles[5]).toBe(9);
+    });
+
+    it('waits for the saved keys before choosing between restoring and generating', async () => {
+      const store = new MemoryChunkStore();
+      const world = new WorldManager({ chunkSize: 16, noiseConfig: NOISE, store });
+      await world.storeReady;
+      editTile(world, 1, -1, 3, 11);
+      world.dispose();
+
+      // Requested straight after construction, before the store has listed its keys
+      const next = new WorldManager({ chunkSize: 16, noiseConfig: NOISE, store });
+      expect(next.getChunk(1, -1).pending).toBe(true);
+      next.getChunk(0, 0);
+      await settle();
+      expect(next.getChunk(1, -1).tiles[3]).toBe(11);
+      expect(next.getChunk(0, 0).tiles).toEqual(
+        generateChunkData(0, 0, 16, next.seedNum, next.noiseConfig).tiles
+      );
+    });
+
+    it('replays edits onto regenerated terrain when the noise settings change', async () => {
+      const world = new WorldManager({
+        chunkSize: 16,
+        noiseConfig: NOISE,
+        store: new MemoryChunkStore(),
+      });
+      await world.storeReady;
+      editTile(world, -1, 1, 0, 10);
+      world.setNoiseConfig({ scale: 0.05 });
+
+      world.getChunk(-1, 1);
+      await settle();
+      const expected = generateChunkData(-1, 1, 16, world.seedNum, world.noiseConfig).tiles;
+      expected[0] = 10;
+      expect(world.getChunk(-1, 1).tiles).toEqual(expected);
+    });
+  });
+
+  describe('tile editing', () => {
+    it('edits every tile under a rect across chunks and emits one change event', async () => {
+      const world = new WorldManager({ chunkSize: 16, tileSize: 32, noiseConfig: NOISE });
+      await world.storeReady;
+      const events = [];
+      world.on('change', (detail) => events.push(detail));
+      // Tiles 14..17 x 0..1: two columns on each side of the chunk 0 / chunk 1 border
+      const rect = { minX: 14 * 32, minY: 0, maxX: 17 * 32 + 31, maxY: 32 + 31 };
+
+      const before = [...world.getChunk(0, 0).tiles, ...world.getChunk(1, 0).tiles];
+      const expected = before.filter(
+        (t, i) => t !== 9 && [14, 15, 30, 31, 256, 257, 272, 273].includes(i)
+      );
+      expect(world.setTilesInRect(rect, 9)).toBe(expected.length);
+      expect(world.getTileAtWorld(15 * 32, 40)).toBe(9);
+      expect(world.getTileAtWorld(16 * 32, 40)).toBe(9);
+      expect(world.getTileAtWorld(18 * 32, 40)).not.toBe(9);
+      expect(world.getChunk(0, 0).dirty).toBe(true);
+      expect(world.getChunk(1, 0).edits.get(17)).toBe(9);
+      expect(events).toHaveLength(1);
+      expect(events[0].chunks).toEqual([
+        { cx: 0, cy: 0 },
+        { cx: 1, cy: 0 },
+      ]);
+
+      expect(events[0].skipped).toBe(0);
+
+      expect(world.setTilesInRect(rect, 9)).toBe(0);
+      expect(events).toHaveLength(1);
+    });
+
+    it('skips tiles of chunks that are not loaded and reports them', async () => {
+      const world = new WorldManager({ chunkSize: 16, tileSize: 32, noiseConfig: NOISE });
+      await world.storeReady;
+      const events = [];
+      world.on('change', (detail) => events.push(detail));
+      world.getChunk(0, 0);
+      // Tiles 15..16 x 0: one in the loaded chunk 0, one in chunk 1, which isn't loaded
+      const rect = { minX: 15 * 32, minY: 0, maxX: 16 * 32 + 31, maxY: 31 };
+      const before = world.getChunk(0, 0).tiles[15];
+
+      expect(world.setTilesInRect(rect, before === 10 ? 11 : 10)).toBe(1);
+      expect(world.chunks.has(world._key(1, 0))).toBe(false);
+      expect(events).toHaveLength(1);
+      expect(events[0]).toMatchObject({ changed: 1, skipped: 1, chunks: [{ cx: 0, cy: 0 }] });
+    });
+
+    it('rebuilds the chunk obstacles from the edited tiles', async () => {
+      const world = new WorldManager({ chunkSize: 16, tileSize: 32, noiseConfig: NOISE });
+      await world.storeReady;
+      world.setSeed('edit-trees');
+      let cx = 0;
+      let trees = [];
+      for (; trees.length === 0; cx++) {
+        const chunk = world.getChunk(cx, 0);
+        trees = chunkTrees(cx, 0, chunk.tiles, chunk.biomeData, 16, 32, world.seedNum);
+      }
+      cx--;
+      const [tree] = trees;
+      const idx = Number(tree.id.split('_')[3]) * 16 + Number(tree.id.split('_')[2]);
+      const { x, y } = tilePoint(world, cx, 0, idx);
+
+      world.setTileAtWorld(x, y, 3);
+      const ids = world.collisionMap.get(world._key(cx, 0)).map((o) => o.id);
+      expect(ids).toHaveLength(trees.length - 1);
+      expect(ids).not.toContain(tree.id);
+      expect(world.obstacleIndex.allEntities().map((o) => o.id)).not.toContain(tree.id);
+    });
+
+    it('repaints only the edited tiles and the decorations reaching into them', () => {
+      const calls = [];
+      const ctx = new Proxy(
+        {},
+        {
+          get: (target, prop) =>
+            prop in target ? target[prop] : (...args) => calls.push([prop, ...args]),
+        }
+      );
+      const chunk = generateChunkData(0, 0, 16, 3, NOISE);
+      repaintTiles(ctx, 0, 0, chunk.tiles, chunk.biomeData, 16, 32, 3, {
+        minTx: 5,
+        minTy: 8,
+        maxTx: 6,
+        maxTy: 8,
+      });
+
+      // Clipped to the edited tiles plus one column either side and four rows above
+      expect(calls.find(([name]) => name === 'rect')).toEqual([
+        'rect',
+        4 * 32,
+        4 * 32,
+        4 * 32,
+        5 * 32,
+      ]);
+      const bases = calls.filter(([name, , , w, h]) => name === 'fillRect' && w === 32 && h === 32);
+      expect(bases).toHaveLength(4 * 5);
+    });
+  });
+});
@@ -54,6 +54,10 @@ function TinyLineChart({ data = [], width = 320, height = 160 }) {
 export default function BenchmarkPanel({ simRef }) {
   const [fps, setFps] = useState('--');
   const [queryMs, setQueryMs] = useState('--');
+  const [batchMs, setBatchMs] = useState('--');
+  const [rangeMs, setRangeMs] = useState('--');
+  const [cacheHitRate, setCacheHitRate] = useState('--');
+  const [batching, setBatching] = useState(!!simRef.current?.batchQueryTiming);
   const [entities, setEntities] = useState('--');
   const [candidates, setCandidates] = useState('--');
   const [indexType, setIndexType] = useState('--');
@@ -67,6 +71,9 @@ export default function BenchmarkPanel({ simRef }) {
       const m = sim.getMetrics();
       setFps(m.fps.toFixed(1));
       setQueryMs(m.queryTime.toFixed(3));
+      setBatchMs(m.batchQueryTime != null ? m.batchQueryTime.toFixed(3) : '--');
+      setRangeMs(m.rangeQueryTime != null ? m.rangeQueryTime.toFixed(3) : '--');
+      setCacheHitRate(m.queryCache ? `${(m.queryCache.hitRate * 100).toFixed(1)}%` : '--');
       setEntities(m.entityCount);
       setCandidates(m.lastCandidateCount ?? '--');
       setIndexType(m.indexType ?? '--');
@@ -99,6 +106,15 @@ export default function BenchmarkPanel({ simRef }) {
         <div className="mb-2">
           Query Time: <span className="font-mono">{queryMs} ms</span>
         </div>
+        <div className="mb-2">
+          Range Queries (per call / batched):{' '}
+          <span className="font-mono">
+            {rangeMs} / {batchMs} ms
+          </span>
+        </div>
+        <div className="mb-2">
+          Query Cache Hits: <span className="font-mono">{cacheHitRate}</span>
+        </div>
         <div className="mb-2">
           Entities: <span className="font-mono">{entities}</span>
         </div>
@@ -108,6 +124,17 @@ export default function BenchmarkPanel({ simRef }) {
         <div>
           Index: <span className="font-mono">{indexType}</span>
         </div>
+        <label className="flex items-center gap-2 mt-2">
+          <input
+            type="checkbox"
+            checked={batching}
+            onChange={(e) => {
+              setBatching(e.target.checked);
+              simRef.current?.setBatchQueryTiming(e.target.checked);
+            }}
+          />
+          <span className="text-xs">Also time the queries as one batch</span>
+        </label>
       </div>
 
       <div className="bg-slate-800 p-2 rounded">
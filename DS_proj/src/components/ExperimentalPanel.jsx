@@ -1,4 +1,8 @@
 import React, { useState } from 'react';
+import { AUTO_CANDIDATES } from '../spatial/AutoIndexSelector';
+
+// Every index type the benchmark loop runs, 'auto' last so it can be compared to the rest
+const BENCHMARK_STRUCTURES = [...AUTO_CANDIDATES, 'auto'];
 
 export default function ExperimentalPanel({ simRef }) {
   const [running, setRunning] = useState(false);
@@ -55,7 +59,7 @@ export default function ExperimentalPanel({ simRef }) {
 
       for (const preset of benchmarkPresets) {
         // ADD BVH TO THE DATA STRUCTURES TESTED
-        for (const ds of ['grid', 'quadtree', 'kdtree', 'bvh']) {
+        for (const ds of BENCHMARK_STRUCTURES) {
           console.log(`Running ${preset.name} with ${ds}`);
 
           const result = await simRef.current.runExperiment({
@@ -131,6 +135,14 @@ export default function ExperimentalPanel({ simRef }) {
           >
             Spatial Grid
           </button>
+          <button
+            onClick={() => onSetDataStructure('hgrid')}
+            className={`px-3 py-2 rounded text-sm ${
+              indexType === 'hgrid' ? 'bg-green-600' : 'bg-slate-600'
+            }`}
+          >
+            Hierarchical Grid
+          </button>
           <button
             onClick={() => onSetDataStructure('quadtree')}
             className={`px-3 py-2 rounded text-sm ${
@@ -155,6 +167,30 @@ export default function ExperimentalPanel({ simRef }) {
           >
             BVH (NEW)
           </button>
+          <button
+            onClick={() => onSetDataStructure('sap')}
+            className={`px-3 py-2 rounded text-sm ${
+              indexType === 'sap' ? 'bg-green-600' : 'bg-slate-600'
+            }`}
+          >
+            Sweep & Prune
+          </button>
+          <button
+            onClick={() => onSetDataStructure('rtree')}
+            className={`px-3 py-2 rounded text-sm ${
+              indexType === 'rtree' ? 'bg-green-600' : 'bg-slate-600'
+            }`}
+          >
+            R-Tree
+          </button>
+          <button
+            onClick={() => onSetDataStructure('morton')}
+            className={`px-3 py-2 rounded text-sm ${
+              indexType === 'morton' ? 'bg-green-600' : 'bg-slate-600'
+            }`}
+          >
+            Morton
+          </button>
         </div>
         <p className="text-xs text-slate-300">
           Click above to switch data structures for normal gameplay without running experiments.
@@ -174,9 +210,14 @@ export default function ExperimentalPanel({ simRef }) {
               className="w-full p-2 rounded bg-slate-700 text-sm"
             >
               <option value="grid">Spatial Hash Grid</option>
+              <option value="hgrid">Hierarchical Hash Grid</option>
               <option value="quadtree">Quadtree</option>
               <option value="kdtree">KD-Tree</option>
               <option value="bvh">Bounding Volume Hierarchy (BVH)</option>
+              <option value="sap">Sweep and Prune</option>
+              <option value="rtree">R-Tree</option>
+              <option value="morton">Morton Linear Quadtree</option>
+              <option value="auto">Auto (picks by workload)</option>
             </select>
           </div>
 
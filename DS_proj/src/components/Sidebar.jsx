@@ -4,6 +4,29 @@ import { motion, AnimatePresence } from 'framer-motion';
 import PoolControl from './PoolControl';
 import FPSChart from './FPSChart';
 import ExperimentPanel from './ExperimentalPanel';
+import { NOISE_TYPES } from '../utils/noise';
+
+// Tile types the paint brush can lay down, in WorldManager's numbering
+const BRUSH_TILES = [
+  [0, 'Deep Ocean'],
+  [1, 'Ocean'],
+  [2, 'Shallow Water'],
+  [3, 'Beach'],
+  [4, 'Grass'],
+  [5, 'Forest'],
+  [6, 'Dirt'],
+  [7, 'Mountain'],
+  [8, 'Snow'],
+  [9, 'Road'],
+  [10, 'Building'],
+  [11, 'Ruins'],
+];
+
+const NOISE_LABELS = {
+  value: 'Value',
+  perlin: 'Perlin (gradient)',
+  opensimplex2: 'OpenSimplex2',
+};
 
 export default function Sidebar({ simRef }) {
   const sim = simRef?.current;
@@ -12,10 +35,13 @@ export default function Sidebar({ simRef }) {
   const [rebuildAfterClear, setRebuildAfterClear] = useState(true);
   const [advancedOpen, setAdvancedOpen] = useState(false);
   const [infoOpen, setInfoOpen] = useState(true);
+  const [brush, setBrush] = useState({ enabled: false, type: 9, size: 1 });
+  const [noiseType, setNoiseType] = useState(sim?.world?.noiseConfig?.noise ?? 'value');
 
   useEffect(() => {
     if (!sim) return;
     setSeedInput(sim.world?.seed ?? '1234');
+    setNoiseType(sim.world?.noiseConfig?.noise ?? 'value');
   }, [simRef]);
 
   function applySeed() {
@@ -27,6 +53,13 @@ export default function Sidebar({ simRef }) {
     sim.centerCameraOnPlayer();
   }
 
+  function applyNoise(noise) {
+    setNoiseType(noise);
+    if (!sim) return;
+    sim.setNoiseConfig({ noise });
+    sim.centerCameraOnPlayer();
+  }
+
   function onSpawn() {
     if (!sim) return;
     sim.spawnEntities(Number(entitySpawnCount || 0));
@@ -55,6 +88,12 @@ export default function Sidebar({ simRef }) {
     alert(`Removed ${removed} entities from chunk ${cx},${cy}`);
   }
 
+  function updateBrush(change) {
+    const next = { ...brush, ...change };
+    setBrush(next);
+    sim?.setTileBrush(next.enabled ? next : null);
+  }
+
   function onRecenter() {
     if (!sim) return;
     sim.centerCameraOnPlayer(1);
@@ -110,6 +149,18 @@ export default function Sidebar({ simRef }) {
             Apply
           </button>
         </div>
+        <label className="text-xs text-slate-300 mt-3 mb-2 block">Terrain noise</label>
+        <select
+          value={noiseType}
+          onChange={(e) => applyNoise(e.target.value)}
+          className="w-full p-2 rounded bg-slate-700 text-sm"
+        >
+          {NOISE_TYPES.map((type) => (
+            <option key={type} value={type}>
+              {NOISE_LABELS[type]}
+            </option>
+          ))}
+        </select>
       </section>
 
       <section className="mb-4 bg-slate-800 p-3 rounded">
@@ -172,6 +223,47 @@ export default function Sidebar({ simRef }) {
         </div>
       </section>
 
+      <section className="mb-4 bg-slate-800 p-3 rounded">
+        <div className="flex mb-2 items-center justify-between">
+          <div className="text-sm text-slate-300">Tile Brush</div>
+          <label className="flex items-center gap-2">
+            <input
+              type="checkbox"
+              checked={brush.enabled}
+              onChange={(e) => updateBrush({ enabled: e.target.checked })}
+            />
+            <span className="text-xs">Paint mode</span>
+          </label>
+        </div>
+
+        <div className="flex gap-2">
+          <select
+            value={brush.type}
+            onChange={(e) => updateBrush({ type: Number(e.target.value) })}
+            className="flex-1 p-2 rounded bg-slate-700 text-sm"
+          >
+            {BRUSH_TILES.map(([type, label]) => (
+              <option key={type} value={type}>
+                {label}
+              </option>
+            ))}
+          </select>
+          <input
+            type="number"
+            min="1"
+            max="16"
+            value={brush.size}
+            onChange={(e) => updateBrush({ size: Math.max(1, Number(e.target.value) || 1) })}
+            className="w-20 p-2 rounded bg-slate-700 text-sm"
+          />
+        </div>
+
+        <div className="text-xs text-slate-400 mt-2">
+          Hold the mouse on the map to paint tiles (brush size in tiles). Edited chunks are saved
+          and come back when revisited.
+        </div>
+      </section>
+
       {/* Data Structure selector (updated — BVH added) */}
       <section className="mb-4 bg-slate-800 p-3 rounded">
         <label className="text-xs text-slate-300 mb-2 block">Chunk Size (Tiles)</label>
@@ -181,7 +273,7 @@ export default function Sidebar({ simRef }) {
             if (sim?.world) {
               sim.world.chunkSize = Number(e.target.value);
               sim.world.chunks.clear();
-              sim.world.collisionMap.clear();
+              sim.world.clearObstacles();
               console.log(`Chunk size changed to ${e.target.value}x${e.target.value}`);
             }
           }}
@@ -201,12 +293,17 @@ export default function Sidebar({ simRef }) {
           className="w-full p-2 rounded bg-slate-700 text-sm"
         >
           <option value="grid">Spatial Hash Grid</option>
+          <option value="hgrid">Hierarchical Hash Grid</option>
           <option value="quadtree">Quadtree</option>
           <option value="kdtree">KD-Tree</option>
           <option value="bvh">Bounding Volume Hierarchy (NEW)</option>
+          <option value="sap">Sweep and Prune</option>
+          <option value="rtree">R-Tree</option>
+          <option value="morton">Morton Linear Quadtree</option>
+          <option value="auto">Auto (picks by workload)</option>
         </select>
         <div className="text-xs text-slate-400 mt-1">
-          4 Unique Data Structures for comprehensive analysis!
+          8 Unique Data Structures for comprehensive analysis!
         </div>
       </section>
 
@@ -294,19 +391,46 @@ export default function Sidebar({ simRef }) {
 
 function AdvancedPanel({ sim }) {
   const [gridCellSize, setGridCellSize] = useState(sim?.indexManager?.gridCellSize ?? 128);
+  const [gridMode, setGridMode] = useState(sim?.indexManager?.gridMode ?? 'string');
+  const [hgridBaseCellSize, setHgridBaseCellSize] = useState(
+    sim?.indexManager?.hgrid?.baseCellSize ?? 16
+  );
+  const [hgridLevels, setHgridLevels] = useState(sim?.indexManager?.hgrid?.levelCount ?? 4);
   const [quadtreeCapacity, setQuadtreeCapacity] = useState(
     sim?.indexManager?.quadtreeCapacity ?? 6
   );
   const [quadtreeMaxDepth, setQuadtreeMaxDepth] = useState(
     sim?.indexManager?.quadtreeMaxDepth ?? 8
   );
+  const [quadtreeLooseness, setQuadtreeLooseness] = useState(
+    sim?.indexManager?.quadtree?.looseness ?? 1
+  );
   const [bvhCapacity, setBVHCapacity] = useState(sim?.indexManager?.bvhCapacity ?? 16);
+  const [bvhBuilder, setBVHBuilder] = useState(sim?.indexManager?.bvh?.builder ?? 'sah');
+  const [staticType, setStaticType] = useState(sim?.indexManager?.staticType ?? 'bvh');
+  const [queryCache, setQueryCache] = useState(!!sim?.indexManager?.queryCache);
+  const [cacheTolerance, setCacheTolerance] = useState(
+    sim?.indexManager?.queryCache?.tolerance ?? 0
+  );
+  const [validate, setValidate] = useState(!!sim?.indexManager?.validator);
+  const [validateRate, setValidateRate] = useState(
+    sim?.indexManager?.validator?.sampleRate ?? 0.05
+  );
 
   function apply() {
     if (!sim) return;
     sim.setGridCellSize(Number(gridCellSize));
-    sim.setQuadtreeParams(Number(quadtreeCapacity), Number(quadtreeMaxDepth));
-    sim.setBVHParams(Number(bvhCapacity));
+    sim.setGridMode(gridMode);
+    sim.setHierarchicalGridParams(Number(hgridBaseCellSize), Number(hgridLevels) || 4);
+    sim.setQuadtreeParams(
+      Number(quadtreeCapacity),
+      Number(quadtreeMaxDepth),
+      Number(quadtreeLooseness) || 1
+    );
+    sim.setBVHParams(Number(bvhCapacity), bvhBuilder);
+    sim.setStaticIndexType(staticType);
+    sim.setQueryCache(queryCache, Number(cacheTolerance) || 0);
+    sim.setShadowValidation(validate, Number(validateRate) || 0.05);
     alert('Advanced params applied.');
   }
 
@@ -323,6 +447,33 @@ function AdvancedPanel({ sim }) {
           className="p-2 rounded bg-slate-800 text-sm"
         />
 
+        <label className="text-xs">Grid Cell Keys</label>
+        <select
+          value={gridMode}
+          onChange={(e) => setGridMode(e.target.value)}
+          className="p-2 rounded bg-slate-800 text-sm"
+        >
+          <option value="string">String keys (baseline)</option>
+          <option value="packed">Packed integer keys, pooled buckets</option>
+        </select>
+
+        <label className="text-xs">Hierarchical Grid Base Cell (px)</label>
+        <input
+          value={hgridBaseCellSize}
+          onChange={(e) => setHgridBaseCellSize(e.target.value)}
+          type="number"
+          className="p-2 rounded bg-slate-800 text-sm"
+        />
+
+        <label className="text-xs">Hierarchical Grid Levels (cell size doubles per level)</label>
+        <input
+          value={hgridLevels}
+          onChange={(e) => setHgridLevels(e.target.value)}
+          type="number"
+          min="1"
+          className="p-2 rounded bg-slate-800 text-sm"
+        />
+
         <label className="text-xs">Quadtree Capacity (entities)</label>
         <input
           value={quadtreeCapacity}
@@ -339,6 +490,16 @@ function AdvancedPanel({ sim }) {
           className="p-2 rounded bg-slate-800 text-sm"
         />
 
+        <label className="text-xs">Quadtree Looseness (1 = classic, 2 = loose)</label>
+        <input
+          value={quadtreeLooseness}
+          onChange={(e) => setQuadtreeLooseness(e.target.value)}
+          type="number"
+          step="0.25"
+          min="1"
+          className="p-2 rounded bg-slate-800 text-sm"
+        />
+
         <label className="text-xs">BVH Node Capacity</label>
         <input
           value={bvhCapacity}
@@ -347,6 +508,71 @@ function AdvancedPanel({ sim }) {
           className="p-2 rounded bg-slate-800 text-sm"
         />
 
+        <label className="text-xs">BVH Builder</label>
+        <select
+          value={bvhBuilder}
+          onChange={(e) => setBVHBuilder(e.target.value)}
+          className="p-2 rounded bg-slate-800 text-sm"
+        >
+          <option value="sah">Binned SAH</option>
+          <option value="median">Longest-axis median</option>
+          <option value="roundRobin">Round-robin median</option>
+        </select>
+
+        <label className="text-xs">Static Layer (pickups, rebuilt only on add/remove)</label>
+        <select
+          value={staticType}
+          onChange={(e) => setStaticType(e.target.value)}
+          className="p-2 rounded bg-slate-800 text-sm"
+        >
+          <option value="none">None (one index for everything)</option>
+          <option value="bvh">BVH</option>
+          <option value="rtree">R-Tree</option>
+          <option value="grid">Spatial Hash Grid</option>
+          <option value="quadtree">Quadtree</option>
+          <option value="kdtree">KD-Tree</option>
+          <option value="morton">Morton Linear Quadtree</option>
+        </select>
+
+        <label className="flex items-center gap-2">
+          <input
+            type="checkbox"
+            checked={queryCache}
+            onChange={(e) => setQueryCache(e.target.checked)}
+          />
+          <span className="text-xs">Cache repeated proximity queries</span>
+        </label>
+
+        <label className="text-xs">Query Cache Tolerance (px, 0 = exact)</label>
+        <input
+          value={cacheTolerance}
+          onChange={(e) => setCacheTolerance(e.target.value)}
+          type="number"
+          step="0.5"
+          min="0"
+          className="p-2 rounded bg-slate-800 text-sm"
+        />
+
+        <label className="flex items-center gap-2">
+          <input
+            type="checkbox"
+            checked={validate}
+            onChange={(e) => setValidate(e.target.checked)}
+          />
+          <span className="text-xs">Shadow validation (brute-force cross-check)</span>
+        </label>
+
+        <label className="text-xs">Validation Sample Rate (0-1)</label>
+        <input
+          value={validateRate}
+          onChange={(e) => setValidateRate(e.target.value)}
+          type="number"
+          step="0.01"
+          min="0"
+          max="1"
+          className="p-2 rounded bg-slate-800 text-sm"
+        />
+
         <div className="flex gap-2 mt-3">
           <button onClick={apply} className="px-3 py-2 bg-indigo-600 rounded">
             Apply
@@ -354,9 +580,15 @@ function AdvancedPanel({ sim }) {
           <button
             onClick={() => {
               setGridCellSize(sim?.indexManager?.gridCellSize ?? 128);
+              setGridMode(sim?.indexManager?.gridMode ?? 'string');
+              setHgridBaseCellSize(sim?.indexManager?.hgrid?.baseCellSize ?? 16);
+              setHgridLevels(sim?.indexManager?.hgrid?.levelCount ?? 4);
               setQuadtreeCapacity(sim?.indexManager?.quadtreeCapacity ?? 6);
               setQuadtreeMaxDepth(sim?.indexManager?.quadtreeMaxDepth ?? 8);
+              setQuadtreeLooseness(sim?.indexManager?.quadtree?.looseness ?? 1);
               setBVHCapacity(sim?.indexManager?.bvhCapacity ?? 16);
+              setBVHBuilder(sim?.indexManager?.bvh?.builder ?? 'sah');
+              setStaticType(sim?.indexManager?.staticType ?? 'bvh');
             }}
             className="px-3 py-2 bg-slate-600 rounded"
           >
@@ -1,4 +1,6 @@
 // src/engine/EntityPool.js
+import { LAYER, ALL_LAYERS } from '../spatial/layers';
+
 export default class EntityPool {
   constructor(initialSize = 1000) {
     this._nextId = 1;
@@ -22,6 +24,12 @@ export default class EntityPool {
         r: 5,
         type: 'generic',
         color: '#ffffff',
+        // Collision layer bits, the layers it interacts with, and whether it is indexed at all
+        layer: LAYER.DEFAULT,
+        mask: ALL_LAYERS,
+        indexed: true,
+        // Never moves once spawned; IndexManager keeps these in its static layer
+        static: false,
         active: false,
       };
       this.entities.set(entity.id, entity);
@@ -48,6 +56,10 @@ export default class EntityPool {
         r: 5,
         type: 'generic',
         color: '#ffffff',
+        layer: LAYER.DEFAULT,
+        mask: ALL_LAYERS,
+        indexed: true,
+        static: false,
         active: true,
       };
       this.entities.set(newEntity.id, newEntity);
@@ -63,6 +75,10 @@ export default class EntityPool {
     entity.r = 5;
     entity.type = 'generic';
     entity.color = '#ffffff';
+    entity.layer = LAYER.DEFAULT;
+    entity.mask = ALL_LAYERS;
+    entity.indexed = true;
+    entity.static = false;
     entity.active = true;
 
     this.activeEntities.add(entity.id);
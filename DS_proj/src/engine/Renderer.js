@@ -467,6 +467,16 @@ export default class Renderer {
       ctx.fillText(`Query: ${opts.queryTime.toFixed(2)}ms`, 10 * this.dpr, 40 * this.dpr);
     }
 
+    const validation = opts.indexManager?.getValidationMetrics?.();
+    if (validation) {
+      ctx.fillStyle = validation.mismatches > 0 ? 'rgba(255, 80, 80, 0.95)' : ctx.fillStyle;
+      ctx.fillText(
+        `Validation: ${validation.mismatches} mismatches / ${validation.checks} checks`,
+        10 * this.dpr,
+        60 * this.dpr
+      );
+    }
+
     ctx.restore();
   }
 
@@ -623,7 +633,9 @@ export default class Renderer {
     ctx.font = 'bold 12px Arial';
     ctx.textAlign = 'left';
     ctx.fillText(
-      `DS: ${opts.indexManager?.type || 'unknown'}`,
+      `DS: ${opts.indexManager?.type || 'unknown'}${
+        opts.indexManager?.type === 'auto' ? ` (${opts.indexManager.activeType})` : ''
+      }`,
       player.x - queryRadius - 20,
       player.y - queryRadius
     );
@@ -4,13 +4,39 @@ import InputHandler from './InputHandler';
 import EntityPool from './EntityPool';
 import WorldManager from './WorldManager';
 import PerfMeter from '../utils/perf';
-import IndexManager from '../spatial/IndexManager';
+import IndexManager, { GRID_MODES } from '../spatial/IndexManager';
 import PerfRecorder from '../utils/recorder';
 import { mulberry32, seedStringToNumber } from '../utils/prng';
+import { makeRay, rayCircleEntry } from '../spatial/raycast';
+import { BVH_BUILDERS } from '../spatial/BVH';
+import { AUTO_CANDIDATES } from '../spatial/AutoIndexSelector';
+import { LAYER, isIndexed } from '../spatial/layers';
+import { BatchResults, BOX_STRIDE, loadBox } from '../spatial/batch';
 
 const PHYSICS_STEP = 1000 / 60;
+// Neighbourhood each entity's performance query covers
+const PERF_QUERY_RADIUS = 100;
 const MAX_ACCUM = PHYSICS_STEP * 5;
 
+// Broadphase box covering a projectile's whole step rather than just where it ended up
+function sweptBounds(e) {
+  const px = e.prevX ?? e.x;
+  const py = e.prevY ?? e.y;
+  return {
+    minX: Math.min(px, e.x) - e.r,
+    minY: Math.min(py, e.y) - e.r,
+    maxX: Math.max(px, e.x) + e.r,
+    maxY: Math.max(py, e.y) + e.r,
+  };
+}
+
+// Benchmark label for an index type plus whichever variant the run pinned
+function setupLabel(config) {
+  if (config.bvhBuilder) return `${config.indexType} (${config.bvhBuilder})`;
+  if (config.gridMode) return `${config.indexType} (${config.gridMode})`;
+  return config.indexType;
+}
+
 export default class SimulationController {
   constructor(canvas, config = {}) {
     this.canvas = canvas;
@@ -35,6 +61,16 @@ export default class SimulationController {
 
     this.perf = new PerfMeter();
     this.queryTime = 0;
+    // Optionally time the same neighbourhood queries as one batch too (see setBatchQueryTiming)
+    this.batchQueryTiming = !!config.batchQueryTiming;
+    this.batchQueryTime = 0;
+    // The same boxes one queryRange call at a time, the baseline the batch is compared to
+    this.rangeQueryTime = 0;
+    this.batchBox = { minX: 0, minY: 0, maxX: 0, maxY: 0 };
+    this.batchRanges = new Float64Array(0);
+    this.batchResults = new BatchResults(4096);
+    // Paint-brush editor mode: { type, size } while active (see setTileBrush)
+    this.tileBrush = null;
     this.running = false;
     this._raf = null;
     this._lastTime = performance.now();
@@ -48,6 +84,8 @@ export default class SimulationController {
       quadtreeMaxDepth: config.quadtreeMaxDepth || 6,
       kdtreeCapacity: config.kdtreeCapacity || 16,
     });
+    this.lastIndexSwitch = null;
+    this.indexManager.on('switch', (event) => this._onIndexSwitch(event));
 
     this.rebuildInterval = config.rebuildInterval || 1;
     this._frameCount = 0;
@@ -219,6 +257,9 @@ export default class SimulationController {
     player.vy = 0;
     player.r = 12;
     player.type = 'player';
+    player.layer = LAYER.PLAYER;
+    // Pickups and zombies are everything that reacts to touching the player
+    player.mask = LAYER.ZOMBIE | LAYER.PICKUP;
     player.health = 100;
     player.maxHealth = 100;
     player.speed = 350;
@@ -318,6 +359,8 @@ export default class SimulationController {
     zombie.vy = 0;
     zombie.r = 8 * zombieType.scale;
     zombie.type = 'zombie';
+    zombie.layer = LAYER.ZOMBIE;
+    zombie.mask = LAYER.PLAYER | LAYER.PROJECTILE;
     zombie.zombieType = zombieType.name;
     zombie.health = zombieType.health;
     zombie.maxHealth = zombieType.health;
@@ -346,6 +389,9 @@ export default class SimulationController {
     collectible.vy = 0;
     collectible.r = 6;
     collectible.type = 'collectible';
+    collectible.layer = LAYER.PICKUP;
+    collectible.mask = LAYER.PLAYER;
+    collectible.static = true;
     collectible.color = '#ffd700';
     collectible.collected = false;
     collectible.active = true;
@@ -370,6 +416,9 @@ export default class SimulationController {
     crate.vy = 0;
     crate.r = 10;
     crate.type = 'ammoCrate';
+    crate.layer = LAYER.PICKUP;
+    crate.mask = LAYER.PLAYER;
+    crate.static = true;
     crate.color = '#8B4513';
     crate.collected = false;
     crate.active = true;
@@ -391,6 +440,9 @@ export default class SimulationController {
     easterEgg.vy = 0;
     easterEgg.r = 8;
     easterEgg.type = 'nitEgg';
+    easterEgg.layer = LAYER.PICKUP;
+    easterEgg.mask = LAYER.PLAYER;
+    easterEgg.static = true;
     easterEgg.color = '#8B0000';
     easterEgg.collected = false;
     easterEgg.active = true;
@@ -432,6 +484,7 @@ export default class SimulationController {
     }
 
     this.input.updateMouseWorldPosition(this.camera, this.canvas);
+    this._applyTileBrush();
 
     this._applyInputToPlayer();
 
@@ -604,6 +657,8 @@ export default class SimulationController {
     projectile.y = player.y + player.direction.y * spawnDistance;
     projectile.r = weapon === 'shotgun' ? 2 : 3;
     projectile.type = 'projectile';
+    projectile.layer = LAYER.PROJECTILE;
+    projectile.mask = LAYER.ZOMBIE;
     projectile.color = weapon.color;
     projectile.speed = weapon.projectileSpeed;
     projectile.lifetime = (weapon.range / weapon.projectileSpeed) * 1000;
@@ -671,6 +726,9 @@ export default class SimulationController {
     effect.y = player.y + Math.sin(angle) * 25;
     effect.r = 15;
     effect.type = 'meleeEffect';
+    effect.layer = LAYER.EFFECT;
+    // Purely visual, so it stays out of the spatial index
+    effect.indexed = false;
     effect.color = '#FFFFFF';
     effect.lifetime = 100;
     effect.spawnTime = performance.now();
@@ -686,6 +744,8 @@ export default class SimulationController {
       blood.y = y + (Math.random() - 0.5) * 10;
       blood.r = 2 + Math.random() * 3;
       blood.type = 'blood';
+      blood.layer = LAYER.EFFECT;
+      blood.indexed = false;
       blood.color = '#8B0000';
       blood.lifetime = 1000 + Math.random() * 1000;
       blood.spawnTime = performance.now();
@@ -716,6 +776,9 @@ export default class SimulationController {
       this._updateEntity(entity, dt, player);
     }
 
+    // Refresh the index before collisions so casts see this step's positions
+    this._updateSpatialIndex(entities);
+
     this._handleCollisions();
 
     if (Math.random() < 0.005) {
@@ -735,12 +798,16 @@ export default class SimulationController {
       this.world.unloadFarChunks(centerCx, centerCy, this.world.viewRadius + 1);
     }
 
-    this._updateSpatialIndex(entities);
-
     this._runPerformanceQueries(entities);
   }
 
   _updateEntity(entity, dt, player) {
+    if (entity.type === 'projectile') {
+      // Remember the start of the step so hit detection can sweep the whole path
+      entity.prevX = entity.x;
+      entity.prevY = entity.y;
+    }
+
     entity.x += entity.vx * dt;
     entity.y += entity.vy * dt;
 
@@ -820,36 +887,11 @@ export default class SimulationController {
   }
 
   _handleCollisions() {
-    const entities = this.entities.allActive();
     const player = this.player;
 
-    for (const entity of entities) {
-      if (entity.type === 'projectile') {
-        for (const target of entities) {
-          if (target.type === 'zombie' && this._checkCollision(entity, target)) {
-            target.health -= entity.damage;
-
-            this._createImpactEffect(entity.x, entity.y, entity.weaponType);
-            this._createBloodEffect(target.x, target.y);
-
-            console.log(`🎯 HIT: ${entity.weaponType} hit zombie for ${entity.damage} damage!`);
-
-            if (target.health <= 0) {
-              this.entities.release(target);
-              this.insertedEntityIds.delete(target.id);
-              this.prevPositions.delete(target.id);
-              this.zombiesKilled++;
-              this.score += target.scoreValue;
-            }
-
-            this.entities.release(entity);
-            this.insertedEntityIds.delete(entity.id);
-            this.prevPositions.delete(entity.id);
-            break;
-          }
-        }
-      }
+    this._handleProjectileHits();
 
+    for (const entity of this.entities.allActive()) {
       if (entity.type === 'projectile') {
         const terrainCollision = this.world.checkCollision(entity.x, entity.y, entity.r);
         if (terrainCollision.collided && terrainCollision.obstacle.type !== 'tree') {
@@ -859,89 +901,167 @@ export default class SimulationController {
           this.prevPositions.delete(entity.id);
         }
       }
+    }
 
-      if (entity.type === 'collectible' && !entity.collected && player) {
-        if (this._checkCollision(entity, player)) {
-          entity.collected = true;
-          this.collectiblesFound++;
-          this.score += 100;
-
-          if (Math.random() < 0.3) {
-            player.ammo = Math.min(player.ammo + 10, this.weapons.available[player.weapon].maxAmmo);
-          } else if (Math.random() < 0.2 && player.health < player.maxHealth) {
-            player.health = Math.min(player.health + 20, player.maxHealth);
-          }
+    if (player) {
+      // Pickups, the Easter egg and zombie contact all come from one broadphase pass; the
+      // switch below is the narrow phase
+      const contacts = this.indexManager.queryPairs(
+        (e) => e === player,
+        (e) => e.active,
+        { mask: player.mask }
+      );
 
-          this.entities.release(entity);
-          this.insertedEntityIds.delete(entity.id);
-          this.prevPositions.delete(entity.id);
+      for (const [, entity] of contacts) {
+        if (!entity.active || !this._checkCollision(entity, player)) continue;
 
-          setTimeout(() => this.spawnCollectible(), 3000);
+        switch (entity.type) {
+          case 'collectible':
+            if (!entity.collected) this._pickUpCollectible(entity, player);
+            break;
+          case 'ammoCrate':
+            if (!entity.collected) this._pickUpAmmoCrate(entity);
+            break;
+          case 'nitEgg':
+            if (!entity.collected) this._pickUpEasterEgg(entity, player);
+            break;
+          case 'zombie':
+            if (!player.invulnerable) this._zombieContact(entity, player);
+            break;
         }
       }
+    }
 
-      if (entity.type === 'ammoCrate' && !entity.collected && player) {
-        if (this._checkCollision(entity, player)) {
-          entity.collected = true;
-          this.weapons.available[entity.weaponType].ammo += entity.ammoAmount;
+    if (player && player.invulnerable && performance.now() - player.lastHitTime > 1000) {
+      player.invulnerable = false;
+    }
+  }
 
-          this.entities.release(entity);
-          this.insertedEntityIds.delete(entity.id);
-          this.prevPositions.delete(entity.id);
+  _handleProjectileHits() {
+    // Fast rounds move further than a zombie's width per step, so each projectile's
+    // broadphase box covers its whole sweep and the narrow phase keeps the earliest hit
+    const pairs = this.indexManager.queryPairs(
+      (e) => e.active && e.type === 'projectile',
+      (e) => e.active,
+      { boundsOf: sweptBounds, mask: LAYER.ZOMBIE }
+    );
 
-          setTimeout(() => this.spawnAmmoCrate(), 5000);
-        }
+    const earliest = new Map();
+    for (const [projectile, target] of pairs) {
+      const hit = this._sweepHit(projectile, target);
+      const best = earliest.get(projectile);
+      if (hit && (!best || hit.t < best.hit.t)) {
+        earliest.set(projectile, { target, hit });
       }
+    }
 
-      if (entity.type === 'nitEgg' && !entity.collected && player) {
-        if (this._checkCollision(entity, player)) {
-          entity.collected = true;
-          this.nitTrichyEasterEggFound = true;
-          this.score += 1000;
+    for (const [projectile, { target, hit }] of earliest) {
+      if (!target.active) continue;
+      target.health -= projectile.damage;
 
-          Object.keys(this.weapons.available).forEach((weapon) => {
-            this.weapons.available[weapon].ammo = this.weapons.available[weapon].maxAmmo;
-          });
-          player.health = player.maxHealth;
-          player.ammo = this.weapons.available[player.weapon].maxAmmo;
+      this._createImpactEffect(hit.x, hit.y, projectile.weaponType);
+      this._createBloodEffect(target.x, target.y);
 
-          this.entities.release(entity);
-          this.insertedEntityIds.delete(entity.id);
-          this.prevPositions.delete(entity.id);
+      console.log(`🎯 HIT: ${projectile.weaponType} hit zombie for ${projectile.damage} damage!`);
 
-          this._showEasterEggMessage();
-        }
+      if (target.health <= 0) {
+        this.entities.release(target);
+        this.insertedEntityIds.delete(target.id);
+        this.prevPositions.delete(target.id);
+        this.zombiesKilled++;
+        this.score += target.scoreValue;
       }
 
-      if (entity.type === 'zombie' && player && !player.invulnerable) {
-        if (this._checkCollision(entity, player)) {
-          const now = performance.now();
-          if (now - entity.lastAttackTime > 1500) {
-            player.health -= entity.damage;
-            entity.lastAttackTime = now;
-            player.invulnerable = true;
-            player.lastHitTime = now;
-
-            console.log(`😵 ZOMBIE ATTACK! Player health: ${player.health}`);
-
-            const dx = player.x - entity.x;
-            const dy = player.y - entity.y;
-            const distance = Math.sqrt(dx * dx + dy * dy);
-            player.vx += (dx / distance) * 200;
-            player.vy += (dy / distance) * 200;
-
-            if (player.health <= 0) {
-              player.health = 0;
-              this.gameState = 'gameOver';
-              console.log('💀 GAME OVER - Player died!');
-            }
-          }
-        }
-      }
+      this.entities.release(projectile);
+      this.insertedEntityIds.delete(projectile.id);
+      this.prevPositions.delete(projectile.id);
     }
+  }
 
-    if (player && player.invulnerable && performance.now() - player.lastHitTime > 1000) {
-      player.invulnerable = false;
+  // Where along this step the projectile first touches target ({ t, x, y }), or null
+  _sweepHit(projectile, target) {
+    const from = { x: projectile.prevX ?? projectile.x, y: projectile.prevY ?? projectile.y };
+    const dir = { x: projectile.x - from.x, y: projectile.y - from.y };
+    const ray = makeRay(from, dir, Math.hypot(dir.x, dir.y));
+    if (!ray) {
+      return this._checkCollision(projectile, target)
+        ? { t: 0, x: projectile.x, y: projectile.y }
+        : null;
+    }
+
+    const t = rayCircleEntry(ray, { x: target.x, y: target.y, r: target.r + projectile.r });
+    if (t > ray.maxDist) return null;
+    return { t, x: ray.ox + ray.dx * t, y: ray.oy + ray.dy * t };
+  }
+
+  _pickUpCollectible(entity, player) {
+    entity.collected = true;
+    this.collectiblesFound++;
+    this.score += 100;
+
+    if (Math.random() < 0.3) {
+      player.ammo = Math.min(player.ammo + 10, this.weapons.available[player.weapon].maxAmmo);
+    } else if (Math.random() < 0.2 && player.health < player.maxHealth) {
+      player.health = Math.min(player.health + 20, player.maxHealth);
+    }
+
+    this.entities.release(entity);
+    this.insertedEntityIds.delete(entity.id);
+    this.prevPositions.delete(entity.id);
+
+    setTimeout(() => this.spawnCollectible(), 3000);
+  }
+
+  _pickUpAmmoCrate(entity) {
+    entity.collected = true;
+    this.weapons.available[entity.weaponType].ammo += entity.ammoAmount;
+
+    this.entities.release(entity);
+    this.insertedEntityIds.delete(entity.id);
+    this.prevPositions.delete(entity.id);
+
+    setTimeout(() => this.spawnAmmoCrate(), 5000);
+  }
+
+  _pickUpEasterEgg(entity, player) {
+    entity.collected = true;
+    this.nitTrichyEasterEggFound = true;
+    this.score += 1000;
+
+    Object.keys(this.weapons.available).forEach((weapon) => {
+      this.weapons.available[weapon].ammo = this.weapons.available[weapon].maxAmmo;
+    });
+    player.health = player.maxHealth;
+    player.ammo = this.weapons.available[player.weapon].maxAmmo;
+
+    this.entities.release(entity);
+    this.insertedEntityIds.delete(entity.id);
+    this.prevPositions.delete(entity.id);
+
+    this._showEasterEggMessage();
+  }
+
+  _zombieContact(zombie, player) {
+    const now = performance.now();
+    if (now - zombie.lastAttackTime > 1500) {
+      player.health -= zombie.damage;
+      zombie.lastAttackTime = now;
+      player.invulnerable = true;
+      player.lastHitTime = now;
+
+      console.log(`😵 ZOMBIE ATTACK! Player health: ${player.health}`);
+
+      const dx = player.x - zombie.x;
+      const dy = player.y - zombie.y;
+      const distance = Math.sqrt(dx * dx + dy * dy);
+      player.vx += (dx / distance) * 200;
+      player.vy += (dy / distance) * 200;
+
+      if (player.health <= 0) {
+        player.health = 0;
+        this.gameState = 'gameOver';
+        console.log('💀 GAME OVER - Player died!');
+      }
     }
   }
 
@@ -967,6 +1087,8 @@ export default class SimulationController {
     effect.y = y;
     effect.r = weaponType === 'shotgun' ? 8 : 5;
     effect.type = 'impact';
+    effect.layer = LAYER.EFFECT;
+    effect.indexed = false;
     effect.color = this.weapons.available[weaponType].color;
     effect.lifetime = 200;
     effect.spawnTime = performance.now();
@@ -978,13 +1100,8 @@ export default class SimulationController {
   _updateSpatialIndex(entities) {
     this._frameCount++;
 
-    const idxType = this.indexManager.type;
-
-    if (idxType === 'grid') {
-      for (const entity of entities) {
-        this._maybeUpdateEntityInIndex(entity);
-      }
-
+    if (this.indexManager.isIncremental()) {
+      // Between rebuilds only moved entities touch the index; a rebuild frame skips that work
       if (this._frameCount % this.rebuildInterval === 0) {
         this.indexManager.rebuild(entities);
         this.insertedEntityIds.clear();
@@ -992,6 +1109,10 @@ export default class SimulationController {
           this.insertedEntityIds.add(entity.id);
           this.prevPositions.set(entity.id, { x: entity.x, y: entity.y });
         }
+      } else {
+        for (const entity of entities) {
+          this._maybeUpdateEntityInIndex(entity);
+        }
       }
     } else {
       if (this._frameCount % this.rebuildInterval === 0) {
@@ -1004,20 +1125,52 @@ export default class SimulationController {
     const t0 = performance.now();
     let totalCandidates = 0;
 
+    // Each entity asks much the same question every tick, so these go through the query
+    // cache when one is enabled (setQueryCache)
     for (const entity of entities) {
-      const range = {
-        minX: entity.x - 100,
-        minY: entity.y - 100,
-        maxX: entity.x + 100,
-        maxY: entity.y + 100,
-      };
-      const candidates = this.indexManager.queryRange(range);
+      const candidates = this.indexManager.queryCircleCached(
+        entity.id,
+        entity.x,
+        entity.y,
+        PERF_QUERY_RADIUS
+      );
       totalCandidates += candidates.length;
     }
 
     const t1 = performance.now();
     this.queryTime = t1 - t0;
     this.lastCandidateCount = totalCandidates;
+
+    if (this.batchQueryTiming) this._runBatchedPerformanceQueries(entities);
+  }
+
+  // The per-call neighbourhoods as bounding boxes, answered once by uncached queryRange calls
+  // and once by a single queryRangeBatch into buffers that are reused every frame, so the two
+  // timings compare the same work
+  _runBatchedPerformanceQueries(entities) {
+    const needed = entities.length * BOX_STRIDE;
+    if (this.batchRanges.length < needed) this.batchRanges = new Float64Array(needed * 2);
+    const ranges = this.batchRanges;
+
+    for (let i = 0; i < entities.length; i++) {
+      const e = entities[i];
+      const o = i * BOX_STRIDE;
+      ranges[o] = e.x - PERF_QUERY_RADIUS;
+      ranges[o + 1] = e.y - PERF_QUERY_RADIUS;
+      ranges[o + 2] = e.x + PERF_QUERY_RADIUS;
+      ranges[o + 3] = e.y + PERF_QUERY_RADIUS;
+    }
+
+    const t0 = performance.now();
+    for (let i = 0; i < entities.length; i++) {
+      this.indexManager.queryRange(loadBox(ranges, i, this.batchBox));
+    }
+    const t1 = performance.now();
+    this.rangeQueryTime = t1 - t0;
+
+    this.indexManager.queryRangeBatch(ranges.subarray(0, needed), this.batchResults);
+    this.batchQueryTime = performance.now() - t1;
+    this.lastBatchCandidateCount = this.batchResults.total;
   }
 
   _render(alpha) {
@@ -1044,9 +1197,12 @@ export default class SimulationController {
       t: performance.now(),
       fps: this.perf.getFPS(),
       queryTime: this.queryTime,
+      batchQueryTime: this.batchQueryTiming ? this.batchQueryTime : '',
+      rangeQueryTime: this.batchQueryTiming ? this.rangeQueryTime : '',
       entityCount: this.entities.countActive?.(),
       chunks: this.world.chunks.size,
       indexType: this.indexManager.type,
+      mismatches: this.indexManager.validator?.mismatches ?? '',
       score: this.score,
       experiment: this.currentExperiment?.name || 'normal',
     };
@@ -1059,10 +1215,9 @@ export default class SimulationController {
   }
 
   _maybeInsertEntityInIndex(entity) {
-    if (!this.indexManager) return;
+    if (!this.indexManager || !isIndexed(entity)) return;
 
-    const idxType = this.indexManager.type;
-    if (idxType === 'grid' && !this.insertedEntityIds.has(entity.id)) {
+    if (this.indexManager.isIncremental() && !this.insertedEntityIds.has(entity.id)) {
       if (typeof this.indexManager.insert === 'function') {
         this.indexManager.insert(entity);
       }
@@ -1071,8 +1226,21 @@ export default class SimulationController {
     }
   }
 
+  // The auto index moved to another structure, which IndexManager rebuilds from every active
+  // entity straight after; incremental tracking starts over from that full set
+  _onIndexSwitch(event) {
+    this.insertedEntityIds.clear();
+    this.prevPositions.clear();
+    for (const entity of this.indexManager.entities) {
+      this.insertedEntityIds.add(entity.id);
+      this.prevPositions.set(entity.id, { x: entity.x, y: entity.y });
+    }
+    this.lastIndexSwitch = { ...event, gameTime: this.gameTime };
+    console.log(`🔀 AUTO INDEX: ${event.from} → ${event.to}: ${event.reason}`);
+  }
+
   _maybeUpdateEntityInIndex(entity) {
-    if (!this.indexManager || this.indexManager.type !== 'grid') return;
+    if (!this.indexManager || !this.indexManager.isIncremental() || !isIndexed(entity)) return;
 
     const prev = this.prevPositions.get(entity.id);
     const moved = !prev || Math.abs(prev.x - entity.x) > 0.1 || Math.abs(prev.y - entity.y) > 0.1;
@@ -1142,6 +1310,7 @@ export default class SimulationController {
       entity.vy = (Math.random() - 0.5) * 50;
       entity.r = 4 + Math.random() * 8;
       entity.type = 'particle';
+      entity.layer = LAYER.PARTICLE;
       entity.color = `hsl(${Math.random() * 360}, 70%, 60%)`;
       entity.active = true;
 
@@ -1178,6 +1347,21 @@ export default class SimulationController {
 
       // Save current state
       const originalIndexType = this.indexManager.type;
+      const originalGridMode = this.indexManager.gridMode;
+      const originalHGrid = {
+        baseCellSize: this.indexManager.hgrid.baseCellSize,
+        levels: this.indexManager.hgrid.levelCount,
+      };
+      const originalQuadtree = {
+        capacity: this.indexManager.quadtree.capacity,
+        maxDepth: this.indexManager.quadtree.maxDepth,
+        looseness: this.indexManager.quadtree.looseness,
+      };
+      const originalBVH = {
+        capacity: this.indexManager.bvh.capacity,
+        builder: this.indexManager.bvh.builder,
+      };
+      const originalBatchTiming = this.batchQueryTiming;
       const originalEntities = this.entities.allActive().map((e) => ({ ...e }));
 
       // Clear existing entities
@@ -1186,8 +1370,22 @@ export default class SimulationController {
       // Set up experiment conditions
       this.setIndexType(config.indexType);
       if (config.gridCellSize) this.setGridCellSize(config.gridCellSize);
+      if (config.gridMode) this.setGridMode(config.gridMode);
+      if (config.hgridBaseCellSize) {
+        this.setHierarchicalGridParams(config.hgridBaseCellSize, config.hgridLevels);
+      }
       if (config.quadtreeCapacity)
-        this.setQuadtreeParams(config.quadtreeCapacity, config.quadtreeMaxDepth);
+        this.setQuadtreeParams(
+          config.quadtreeCapacity,
+          config.quadtreeMaxDepth,
+          config.quadtreeLooseness
+        );
+      if (config.bvhBuilder) {
+        this.setBVHParams(config.bvhCapacity || this.indexManager.bvh.capacity, config.bvhBuilder);
+      }
+
+      // Batched timings ride along unless the run opts out, so every result has both
+      this.setBatchQueryTiming(config.batchQueries ?? true);
 
       // Spawn entities for the experiment
       this.spawnEntities(config.entityCount, config.preset);
@@ -1228,6 +1426,8 @@ export default class SimulationController {
       // Calculate summary statistics
       const fpsValues = samples.map((s) => s.fps).filter((f) => f > 0);
       const queryTimes = samples.map((s) => s.queryTime).filter((q) => q > 0);
+      const batchQueryTimes = samples.map((s) => s.batchQueryTime).filter((q) => q > 0);
+      const rangeQueryTimes = samples.map((s) => s.rangeQueryTime).filter((q) => q > 0);
 
       results.summary = {
         averageFPS: fpsValues.reduce((a, b) => a + b, 0) / fpsValues.length,
@@ -1235,8 +1435,16 @@ export default class SimulationController {
         maxFPS: Math.max(...fpsValues),
         averageQueryTime: queryTimes.reduce((a, b) => a + b, 0) / queryTimes.length,
         maxQueryTime: Math.max(...queryTimes),
+        averageBatchQueryTime: batchQueryTimes.length
+          ? batchQueryTimes.reduce((a, b) => a + b, 0) / batchQueryTimes.length
+          : null,
+        averageRangeQueryTime: rangeQueryTimes.length
+          ? rangeQueryTimes.reduce((a, b) => a + b, 0) / rangeQueryTimes.length
+          : null,
         totalFrames: samples.length,
         entityCount: config.entityCount,
+        indexStats: this.indexManager.currentIndex.getStats?.() ?? null,
+        validation: this.indexManager.getValidationMetrics(),
       };
 
       console.log('✅ Experiment completed:', results.summary);
@@ -1252,6 +1460,15 @@ export default class SimulationController {
         this._maybeInsertEntityInIndex(newEntity);
       });
       this.setIndexType(originalIndexType);
+      this.setGridMode(originalGridMode);
+      this.setHierarchicalGridParams(originalHGrid.baseCellSize, originalHGrid.levels);
+      this.setQuadtreeParams(
+        originalQuadtree.capacity,
+        originalQuadtree.maxDepth,
+        originalQuadtree.looseness
+      );
+      this.setBVHParams(originalBVH.capacity, originalBVH.builder);
+      this.setBatchQueryTiming(originalBatchTiming);
 
       return results;
     } catch (error) {
@@ -1284,10 +1501,13 @@ export default class SimulationController {
       'timestamp',
       'fps',
       'queryTime',
+      'batchQueryTime',
+      'rangeQueryTime',
       'entityCount',
       'chunks',
       'indexType',
       'experiment',
+      'mismatches',
     ];
     const csv = [headers.join(',')];
 
@@ -1296,10 +1516,13 @@ export default class SimulationController {
         sample.t,
         sample.fps,
         sample.queryTime,
+        sample.batchQueryTime,
+        sample.rangeQueryTime,
         sample.entityCount,
         sample.chunks,
         sample.indexType,
         sample.experiment,
+        sample.mismatches,
       ];
       csv.push(row.join(','));
     });
@@ -1312,8 +1535,17 @@ export default class SimulationController {
     csv.push(`Max FPS,${results.summary.maxFPS}`);
     csv.push(`Average Query Time,${results.summary.averageQueryTime}`);
     csv.push(`Max Query Time,${results.summary.maxQueryTime}`);
+    csv.push(`Average Batched Query Time,${results.summary.averageBatchQueryTime ?? ''}`);
+    csv.push(`Average Per-call Range Query Time,${results.summary.averageRangeQueryTime ?? ''}`);
     csv.push(`Total Frames,${results.summary.totalFrames}`);
     csv.push(`Entity Count,${results.summary.entityCount}`);
+    const validation = results.summary.validation;
+    if (validation) {
+      csv.push(`Validation Checks,${validation.checks}`);
+      csv.push(`Validation Mismatches,${validation.mismatches}`);
+      csv.push(`Missing Results,${validation.missing}`);
+      csv.push(`Extra Results,${validation.extra}`);
+    }
 
     return csv.join('\n');
   }
@@ -1323,14 +1555,25 @@ export default class SimulationController {
     const benchmarks = Object.values(this.benchmarkPresets);
     const allResults = [];
 
+    // The BVH runs once per builder and the grid once per key mode so the variants can be
+    // compared side by side
+    const setups = [
+      ...GRID_MODES.map((gridMode) => ({ indexType: 'grid', gridMode })),
+      ...[...AUTO_CANDIDATES, 'auto']
+        .filter((indexType) => indexType !== 'grid' && indexType !== 'bvh')
+        .map((indexType) => ({ indexType })),
+      ...BVH_BUILDERS.map((bvhBuilder) => ({ indexType: 'bvh', bvhBuilder })),
+    ];
+
     for (const benchmark of benchmarks) {
-      for (const indexType of ['grid', 'quadtree', 'kdtree']) {
+      for (const setup of setups) {
+        const indexType = setupLabel(setup);
         console.log(`🏃 Running ${benchmark.name} with ${indexType}`);
 
         try {
           const result = await this.runExperiment({
             ...benchmark,
-            indexType,
+            ...setup,
             warmup: 180,
             duration: 600,
           });
@@ -1351,19 +1594,29 @@ export default class SimulationController {
   _exportBenchmarkSummary(allResults) {
     const summary = allResults.map((result) => ({
       experiment: result.config.name,
-      dataStructure: result.config.indexType,
+      dataStructure: setupLabel(result.config),
       entityCount: result.config.entityCount,
       averageFPS: result.summary.averageFPS,
       averageQueryTime: result.summary.averageQueryTime,
+      averageBatchQueryTime: result.summary.averageBatchQueryTime,
+      treeCost: result.summary.indexStats?.cost,
+      overlap: result.summary.indexStats?.overlap,
     }));
 
     const csvContent = [
-      'Experiment,Data Structure,Entity Count,Average FPS,Average Query Time',
-      ...summary.map(
-        (s) =>
-          `${s.experiment},${s.dataStructure},${s.entityCount},${s.averageFPS.toFixed(
-            2
-          )},${s.averageQueryTime.toFixed(3)}`
+      'Experiment,Data Structure,Entity Count,Average FPS,Average Query Time,' +
+        'Average Batched Query Time,Tree Cost,Overlap',
+      ...summary.map((s) =>
+        [
+          s.experiment,
+          s.dataStructure,
+          s.entityCount,
+          s.averageFPS.toFixed(2),
+          s.averageQueryTime.toFixed(3),
+          s.averageBatchQueryTime?.toFixed(3) ?? '',
+          s.treeCost?.toFixed(3) ?? '',
+          s.overlap?.toFixed(4) ?? '',
+        ].join(',')
       ),
     ].join('\n');
 
@@ -1404,15 +1657,7 @@ export default class SimulationController {
       this.prevPositions.delete(entity.id);
     }
 
-    const chunkKey = this.world._key(cx, cy);
-    if (this.world.chunks.has(chunkKey)) {
-      const chunk = this.world.chunks.get(chunkKey);
-      if (chunk && chunk.canvas) {
-        chunk.canvas.width = 0;
-        chunk.canvas.height = 0;
-      }
-      this.world.chunks.delete(chunkKey);
-    }
+    this.world.clearChunk(cx, cy);
 
     this.indexManager.rebuild(this.entities.allActive());
 
@@ -1435,9 +1680,17 @@ export default class SimulationController {
     return {
       fps: this.perf.getFPS(),
       queryTime: this.queryTime || 0,
+      batchQueryTime: this.batchQueryTiming ? this.batchQueryTime : null,
+      rangeQueryTime: this.batchQueryTiming ? this.rangeQueryTime : null,
       entityCount: this.entities.countActive?.(),
       lastCandidateCount: this.lastCandidateCount || 0,
+      lastBatchCandidateCount: this.batchQueryTiming ? this.lastBatchCandidateCount : null,
       indexType: this.indexManager.type,
+      activeIndexType: this.indexManager.activeType,
+      lastIndexSwitch: this.lastIndexSwitch,
+      validation: this.indexManager.getValidationMetrics(),
+      queryCache: this.indexManager.getQueryCacheMetrics(),
+      staticLayer: this.indexManager.getStaticLayerStats(),
       chunksLoaded: this.world.chunks.size,
       recentSamples: this.recentSamples.slice(-200),
       poolStats: this.getPoolStats(),
@@ -1529,7 +1782,8 @@ export default class SimulationController {
 
   // Data Structure Management
   setIndexType(type) {
-    if (!['grid', 'quadtree', 'kdtree', 'bvh'].includes(type)) {
+    const types = [...AUTO_CANDIDATES, 'auto'];
+    if (!types.includes(type)) {
       console.warn(`Invalid index type: ${type}. Using 'grid' instead.`);
       type = 'grid';
     }
@@ -1547,8 +1801,21 @@ export default class SimulationController {
     this.prevPositions.clear();
   }
 
-  setQuadtreeParams(capacity, maxDepth) {
-    this.indexManager.setQuadtreeParams(Math.max(1, capacity), Math.max(1, maxDepth));
+  // 'string' (baseline "cx,cy" keys) or 'packed' (numeric keys, pooled buckets)
+  setGridMode(mode) {
+    this.indexManager.setGridMode(mode);
+    this.insertedEntityIds.clear();
+    this.prevPositions.clear();
+  }
+
+  setHierarchicalGridParams(baseCellSize, levels) {
+    this.indexManager.setHierarchicalGridParams(Math.max(1, baseCellSize), levels);
+    this.insertedEntityIds.clear();
+    this.prevPositions.clear();
+  }
+
+  setQuadtreeParams(capacity, maxDepth, looseness) {
+    this.indexManager.setQuadtreeParams(Math.max(1, capacity), Math.max(1, maxDepth), looseness);
     this.insertedEntityIds.clear();
     this.prevPositions.clear();
   }
@@ -1559,10 +1826,69 @@ export default class SimulationController {
     this.prevPositions.clear();
   }
 
+  // Structure for entities that never move ('none' keeps them in the dynamic index). Everything
+  // is re-sorted between the two layers straight away, so tracking starts over from that set
+  setStaticIndexType(type) {
+    this.indexManager.setStaticType(type);
+    const entities = this.entities.allActive();
+    this.indexManager.rebuild(entities);
+    this.insertedEntityIds.clear();
+    this.prevPositions.clear();
+    for (const entity of entities) {
+      this.insertedEntityIds.add(entity.id);
+      this.prevPositions.set(entity.id, { x: entity.x, y: entity.y });
+    }
+    console.log(`Static layer changed to: ${this.indexManager.staticType}`);
+  }
+
+  // Reuse or patch each querier's last answer while it and its surroundings move less than
+  // tolerance px; 0 keeps answers exact
+  setQueryCache(enabled, tolerance = 0) {
+    this.indexManager.setQueryCache(enabled, Math.max(0, tolerance));
+  }
+
+  // Also run the performance queries as one batch each frame, timed next to the per-call ones
+  setBatchQueryTiming(enabled) {
+    this.batchQueryTiming = !!enabled;
+  }
+
+  // While the mouse is held, tiles in a size x size square under the cursor become type;
+  // null turns the brush off
+  setTileBrush(brush) {
+    this.tileBrush = brush ? { type: brush.type, size: Math.max(1, Math.floor(brush.size)) } : null;
+  }
+
+  _applyTileBrush() {
+    if (!this.tileBrush || !this.input.mouse.down) return;
+    const { type, size } = this.tileBrush;
+    const tilePx = this.world.tileSize;
+    const minTx = Math.floor(this.input.mouse.worldX / tilePx) - Math.floor((size - 1) / 2);
+    const minTy = Math.floor(this.input.mouse.worldY / tilePx) - Math.floor((size - 1) / 2);
+    this.world.setTilesInRect(
+      {
+        minX: minTx * tilePx,
+        minY: minTy * tilePx,
+        maxX: (minTx + size) * tilePx - 1,
+        maxY: (minTy + size) * tilePx - 1,
+      },
+      type
+    );
+  }
+
   setRebuildInterval(n) {
     this.rebuildInterval = Math.max(1, Math.floor(n));
   }
 
+  // Debug: brute-force a sampled fraction of queryRange calls against the active index
+  setShadowValidation(enabled, sampleRate = 0.05) {
+    this.indexManager.setValidation(enabled, sampleRate);
+    console.log(
+      enabled
+        ? `🔎 Shadow validation on, checking ${(sampleRate * 100).toFixed(1)}% of range queries`
+        : '🔎 Shadow validation off'
+    );
+  }
+
   // World management
   setSeed(seed) {
     this.world.setSeed(seed);
@@ -1624,7 +1950,13 @@ export default class SimulationController {
   _logSpatialIndexStats() {
     const entities = this.entities.allActive();
 
-    switch (this.indexManager.type) {
+    if (this.indexManager.type === 'auto') {
+      const last = this.lastIndexSwitch;
+      console.log(`🔀 AUTO: running on ${this.indexManager.activeType}`);
+      console.log(`   Last switch: ${last ? `${last.from} → ${last.to}, ${last.reason}` : 'none'}`);
+    }
+
+    switch (this.indexManager.activeType) {
       case 'grid':
         this._logGridStats(entities);
         break;
@@ -1637,6 +1969,18 @@ export default class SimulationController {
       case 'bvh':
         this._logBVHStats(entities);
         break;
+      case 'sap':
+        this._logSweepAndPruneStats();
+        break;
+      case 'rtree':
+        this._logRTreeStats();
+        break;
+      case 'hgrid':
+        this._logHierarchicalGridStats();
+        break;
+      case 'morton':
+        this._logMortonStats();
+        break;
     }
   }
 
@@ -1678,6 +2022,14 @@ export default class SimulationController {
     console.log(`   Cell Size: ${cellSize}px`);
     console.log(`   Grid Dimensions: ${gridWidth}x${gridHeight}`);
     console.log(`   Occupancy Rate: ${occupancyRate.toFixed(1)}%`);
+
+    if (this.indexManager.gridMode === 'packed') {
+      const stats = this.indexManager.packedGrid.getStats();
+      console.log(
+        `   Packed keys: ${stats.bucketsCreated} buckets / ${stats.recordsCreated} records ` +
+          `allocated, ${stats.pooledBuckets} buckets pooled, ${stats.skippedUpdates} updates skipped`
+      );
+    }
   }
 
   _logQuadtreeStats(entities) {
@@ -1687,38 +2039,18 @@ export default class SimulationController {
       return;
     }
 
-    let nodeCount = 0;
-    let leafCount = 0;
-    let maxDepth = 0;
-
-    // Safe tree traversal
-    const traverse = (node, depth = 0) => {
-      if (!node) return;
-
-      nodeCount++;
-      maxDepth = Math.max(maxDepth, depth);
-
-      if (node.isLeaf) {
-        leafCount++;
-      } else {
-        // Check if child nodes exist before traversing
-        if (node.nw) traverse(node.nw, depth + 1);
-        if (node.ne) traverse(node.ne, depth + 1);
-        if (node.sw) traverse(node.sw, depth + 1);
-        if (node.se) traverse(node.se, depth + 1);
-      }
-    };
-
-    traverse(tree.root);
+    const stats = tree.getStats();
 
     // Get capacity safely
     const capacity = tree.capacity || 8;
-    const entitiesPerLeaf = leafCount > 0 ? entities.length / leafCount : 0;
+    const entitiesPerLeaf = stats.leafCount > 0 ? entities.length / stats.leafCount : 0;
 
-    console.log(`🌳 QUADTREE: ${nodeCount} nodes, ${leafCount} leaves`);
-    console.log(`   Max Depth: ${maxDepth}`);
-    console.log(`   Capacity: ${capacity}`);
+    console.log(`🌳 QUADTREE: ${stats.nodeCount} nodes, ${stats.leafCount} leaves`);
+    console.log(`   Max Depth: ${stats.maxDepth}`);
+    console.log(`   Capacity: ${capacity}, looseness: ${stats.looseness}`);
     console.log(`   Entities per leaf: ${entitiesPerLeaf.toFixed(1)} avg`);
+    console.log(`   Root entities: ${stats.rootEntities} (busiest node ${stats.maxNodeEntities})`);
+    console.log(`   Root growths: ${stats.rootGrowths}`);
   }
 
   _logKDTreeStats(entities) {
@@ -1736,6 +2068,7 @@ export default class SimulationController {
     console.log(`📐 KD-TREE: ${entityCount} entities indexed`);
     console.log(`   Capacity: ${capacity}`);
     console.log(`   Balanced: ${hasRoot ? 'Yes' : 'No'}`);
+    console.log(`   Root growths: ${tree.getStats().rootGrowths}`);
   }
 
   _testSpatialQueries() {
@@ -1797,15 +2130,58 @@ export default class SimulationController {
 
     console.log(`🎯 BVH: ${stats.nodeCount} nodes, ${stats.leafCount} leaves`);
     console.log(`   Max Depth: ${stats.maxDepth}`);
-    console.log(`   Capacity: ${bvh.capacity}`);
+    console.log(`   Capacity: ${bvh.capacity}, builder: ${stats.builder}`);
     console.log(`   Entities per leaf: ${stats.averageEntitiesPerLeaf.toFixed(1)} avg`);
     console.log(`   Balance Factor: ${stats.balanceFactor.toFixed(2)}`);
     console.log(`   Total Entities: ${stats.totalEntitiesInLeaves}`);
+    console.log(`   Sibling overlap: ${(stats.overlap * 100).toFixed(1)}% of root area`);
+    console.log(
+      `   SAH cost: ${stats.cost.toFixed(2)} (built ${stats.buildCost.toFixed(2)}), ` +
+        `${stats.reinserts} reinserts, ${stats.rotations} rotations, ${stats.rebuilds} rebuilds`
+    );
+  }
+
+  _logSweepAndPruneStats() {
+    const stats = this.indexManager.sap.getStats();
+
+    console.log(`📏 SWEEP & PRUNE: ${stats.entityCount} entities, axes ${stats.axes}`);
+    console.log(`   Sweep axis: ${stats.sweepAxis}, ${stats.endpointCount} endpoints`);
+    console.log(`   Insertion-sort swaps: ${stats.lastSwaps} last sort, ${stats.totalSwaps} total`);
+  }
+
+  _logHierarchicalGridStats() {
+    const stats = this.indexManager.hgrid.getStats();
+
+    console.log(`🧱 HIERARCHICAL GRID: ${stats.entityCount} entities, ${stats.cellCount} cells`);
+    for (const level of stats.levels) {
+      console.log(
+        `   ${level.cellSize}px: ${level.entityCount} entities in ${level.cellCount} cells`
+      );
+    }
+    console.log(`   Cells per entity: ${stats.cellsPerEntity.toFixed(2)}`);
+  }
+
+  _logMortonStats() {
+    const stats = this.indexManager.morton.getStats();
+
+    console.log(`🧵 MORTON: ${stats.entityCount} entities, ${stats.bitsPerAxis} bits per axis`);
+    console.log(`   Lattice cell: ${stats.cellSize.toFixed(3)}px, widest radius ${stats.maxR}px`);
+    console.log(
+      `   Radix passes: ${stats.lastSortPasses}, Z-runs in last query: ${stats.lastQueryRuns}`
+    );
+  }
+
+  _logRTreeStats() {
+    const stats = this.indexManager.rtree.getStats();
+
+    console.log(`🗂️ R-TREE: ${stats.entityCount} entities, height ${stats.height}`);
+    console.log(`   Nodes: ${stats.nodeCount} (${stats.leafCount} leaves), M=${stats.maxEntries}`);
+    console.log(`   Fill: ${(stats.fill * 100).toFixed(1)}%, ${stats.splits} quadratic splits`);
   }
 
   // Add BVH parameter setting
-  setBVHParams(capacity) {
-    this.indexManager.setBVHParams(Math.max(1, capacity));
+  setBVHParams(capacity, builder) {
+    this.indexManager.setBVHParams(Math.max(1, capacity), builder);
     this.insertedEntityIds.clear();
     this.prevPositions.clear();
   }
@@ -1,13 +1,15 @@
 // src/engine/WorkerPool.js
 export default class WorkerPool {
-  constructor(workerModuleURL, options = {}) {
+  // workerSource: a module worker URL, or a function returning a new Worker. The function form
+  // lets the caller write `new Worker(new URL(...), ...)` where Vite bundles the worker's imports
+  constructor(workerSource, options = {}) {
     const hw =
       typeof navigator !== 'undefined' && navigator.hardwareConcurrency
         ? navigator.hardwareConcurrency
         : 2;
     this.hw = hw; // expose for UI
     this.maxWorkers = Math.max(1, options.workers || Math.max(1, hw - 1));
-    this.workerURL = workerModuleURL;
+    this.workerSource = workerSource;
     this.workers = [];
     this.idle = [];
     this.jobs = new Map();
@@ -33,7 +35,10 @@ export default class WorkerPool {
     this.idle = [];
     for (let i = 0; i < this.maxWorkers; i++) {
       try {
-        const w = new Worker(this.workerURL, { type: 'module' });
+        const w =
+          typeof this.workerSource === 'function'
+            ? this.workerSource()
+            : new Worker(this.workerSource, { type: 'module' });
         const idx = this.workers.length;
         this.workers.push(w);
         this.idle.push(idx);
@@ -84,6 +89,7 @@ export default class WorkerPool {
       }
     } else if (data.cmd === 'error') {
       console.error('WorkerPool worker error', data.error, data.stack);
+      this._failJob(data.jobId, new Error(`WorkerPool: job ${data.jobId} failed: ${data.error}`));
     } else {
       this._log('worker message', data);
     }
@@ -94,10 +100,26 @@ export default class WorkerPool {
 
   _handleWorkerError(workerIndex, err) {
     console.error('WorkerPool worker error', workerIndex, err);
+    // Whatever the worker was running is lost with it
+    for (const [jid, job] of this.jobs) {
+      if (job.workerIndex === workerIndex) {
+        this._failJob(jid, new Error(`WorkerPool: worker ${workerIndex} failed`));
+      }
+    }
     if (!this.idle.includes(workerIndex)) this.idle.push(workerIndex);
     this._processQueue();
   }
 
+  // Rejects a pending job now rather than at its timeout
+  _failJob(jid, err) {
+    const job = this.jobs.get(jid);
+    if (!job) return;
+    clearTimeout(job.timeoutId);
+    this.jobs.delete(jid);
+    this._log(`job ${jid} failed`);
+    job.reject(err);
+  }
+
   _processQueue() {
     if (!this.queue.length) return;
     if (!this.idle.length) return;
@@ -1,57 +1,17 @@
 // src/engine/WorldManager.js
 import { seedStringToNumber } from '../utils/prng';
 import WorkerPool from './WorkerPool';
-
-// Enhanced noise functions for realistic terrain
-function fract(x) {
-  return x - Math.floor(x);
-}
-
-function hash2(x, y, seedNum) {
-  const s = Math.sin(x * 127.1 + y * 311.7 + seedNum * 101.7) * 43758.5453123;
-  return fract(s);
-}
-
-function lerp(a, b, t) {
-  return a + (b - a) * t;
-}
-
-function fade(t) {
-  return t * t * (3 - 2 * t);
-}
-
-function valueNoise2D(x, y, seedNum = 0) {
-  const x0 = Math.floor(x);
-  const y0 = Math.floor(y);
-  const sx = x - x0;
-  const sy = y - y0;
-  const n00 = hash2(x0, y0, seedNum);
-  const n10 = hash2(x0 + 1, y0, seedNum);
-  const n01 = hash2(x0, y0 + 1, seedNum);
-  const n11 = hash2(x0 + 1, y0 + 1, seedNum);
-  const ix0 = lerp(n00, n10, fade(sx));
-  const ix1 = lerp(n01, n11, fade(sx));
-  return lerp(ix0, ix1, fade(sy));
-}
-
-function fractalNoise2D(x, y, seedNum = 0, octaves = 4, lacunarity = 2.0, gain = 0.5) {
-  let freq = 1,
-    amp = 1,
-    sum = 0,
-    max = 0;
-  for (let i = 0; i < octaves; i++) {
-    sum += valueNoise2D(x * freq, y * freq, seedNum + i * 1000) * amp;
-    max += amp;
-    amp *= gain;
-    freq *= lacunarity;
-  }
-  return max === 0 ? 0 : sum / max;
-}
-
-// Multi-octave ridge noise for mountains
-function ridgeNoise(x, y, seedNum) {
-  return 1 - Math.abs(fractalNoise2D(x, y, seedNum, 1) * 2 - 1);
-}
+import RTree from '../spatial/RTree';
+import { generateChunkData } from './terrain';
+import { DEFAULT_NOISE } from '../utils/noise';
+import {
+  paintChunk,
+  repaintTiles,
+  chunkTrees,
+  canPaintOffscreen,
+  releaseChunkCanvas,
+} from './chunkPainter';
+import { createChunkStore, serializeChunk, deserializeChunk } from './chunkStore';
 
 export default class WorldManager {
   constructor({
@@ -60,6 +20,7 @@ export default class WorldManager {
     seed = 'nit-trichy-cse-2028',
     noiseConfig = {},
     poolOptions = {},
+    store = createChunkStore(),
   } = {}) {
     this.chunkSize = chunkSize;
     this.tileSize = tileSize;
@@ -67,6 +28,8 @@ export default class WorldManager {
     this.seedNum = seedStringToNumber(seed);
     this.chunks = new Map();
     this.collisionMap = new Map();
+    // Every loaded obstacle, kept in step with collisionMap as chunks load and unload
+    this.obstacleIndex = new RTree(9);
     this.treeEntities = new Map();
 
     // Enhanced noise configuration for realistic terrain
@@ -78,12 +41,33 @@ export default class WorldManager {
       heightWeight: 1.2,
       moistureWeight: 0.8,
       temperatureWeight: 0.6,
+      noise: DEFAULT_NOISE, // 'value' | 'perlin' | 'opensimplex2', see utils/noise
       ...noiseConfig,
     };
 
     this.viewRadius = 4;
     this.generationQueue = new Map();
     this._generationId = 0;
+    // Bumped by seed and noise changes so worker results for the old world are dropped
+    this._worldVersion = 0;
+    // Workers paint chunks into ImageBitmaps when they can; otherwise painting stays here
+    this.offscreenPainting = canPaintOffscreen();
+
+    // Edited chunks are saved on unload and restored from here before generating
+    this.store = store;
+    this.savedChunks = new Set();
+    this.storeLoaded = false;
+    this.storeReady = this.store
+      .keys()
+      .then((keys) => {
+        for (const key of keys) this.savedChunks.add(key);
+      })
+      .catch((err) => console.warn('[WorldManager] Reading saved chunks failed', err))
+      .finally(() => {
+        this.storeLoaded = true;
+      });
+
+    this.listeners = new Map();
 
     // WorkerPool initialization
     this.pool = null;
@@ -92,8 +76,10 @@ export default class WorldManager {
 
   _initPool(poolOptions = {}) {
     try {
-      const workerURL = new URL('../workers/chunkWorker.js', import.meta.url);
-      this.pool = new WorkerPool(workerURL, {
+      // Written out in full so Vite bundles the worker together with the terrain module it imports
+      const createWorker = () =>
+        new Worker(new URL('../workers/chunkWorker.js', import.meta.url), { type: 'module' });
+      this.pool = new WorkerPool(createWorker, {
         workers: poolOptions.workers || Math.max(1, (navigator.hardwareConcurrency || 4) - 1),
         jobTimeoutMs: poolOptions.jobTimeoutMs || 15000,
         verbose: !!poolOptions.verbose,
@@ -134,332 +120,62 @@ export default class WorldManager {
     return `${cx},${cy}`;
   }
 
+  // Listeners get { rect, type, changed, skipped, chunks } on 'change' after tile edits; returns an
+  // unsubscribe
+  on(event, listener) {
+    if (!this.listeners.has(event)) this.listeners.set(event, new Set());
+    this.listeners.get(event).add(listener);
+    return () => this.listeners.get(event)?.delete(listener);
+  }
+
+  _emit(event, detail) {
+    for (const listener of this.listeners.get(event) || []) listener(detail);
+  }
+
   setSeed(seed) {
+    this._saveEditedChunks();
     this.seed = seed;
     this.seedNum = seedStringToNumber(seed);
+    this._worldVersion++;
     this.chunks.clear();
     this.generationQueue.clear();
+    this.clearObstacles();
   }
 
   setNoiseConfig(cfg) {
+    this._saveEditedChunks();
     this.noiseConfig = { ...this.noiseConfig, ...cfg };
+    this._worldVersion++;
     this.chunks.clear();
     this.generationQueue.clear();
+    this.clearObstacles();
   }
 
-  // Enhanced tile rendering with detailed textures
-  _drawTile(ctx, tx, ty, tileType, tilePx, biomeData = {}) {
-    const x = tx * tilePx;
-    const y = ty * tilePx;
-
-    // Advanced color palette with biome variations
-    const colors = {
-      // Water biomes
-      deepOcean: '#0a1e3a',
-      ocean: '#1a3a6a',
-      shallowWater: '#2a5a9a',
-
-      // Beach and coastal
-      beach: '#f0e6b4',
-      wetSand: '#e8d8a8',
-
-      // Grasslands
-      grass: '#5a9e5a',
-      lushGrass: '#4a8e4a',
-      dryGrass: '#6aae6a',
-
-      // Forests
-      forest: '#3a7a3a',
-      denseForest: '#2a6a2a',
-      autumnForest: '#8a6a3a',
-
-      // Arid regions
-      dirt: '#8b7355',
-      dryDirt: '#9b8365',
-      crackedEarth: '#a59375',
-
-      // Mountains
-      mountain: '#7a7a7a',
-      highMountain: '#8a8a8a',
-      snowCap: '#e8e8e8',
-
-      // Special features
-      road: '#5a5a5a',
-      building: '#3a3a3a',
-      ruin: '#4a4a4a',
-    };
-
-    let baseColor = colors.grass;
-    let texturePattern = null;
-
-    switch (tileType) {
-      case 0: // Deep Ocean
-        baseColor = colors.deepOcean;
-        texturePattern = 'waves';
-        break;
-      case 1: // Ocean
-        baseColor = colors.ocean;
-        texturePattern = 'waves';
-        break;
-      case 2: // Shallow Water
-        baseColor = colors.shallowWater;
-        texturePattern = 'ripples';
-        break;
-      case 3: // Beach
-        baseColor = colors.beach;
-        texturePattern = 'sand';
-        break;
-      case 4: // Grass
-        baseColor =
-          biomeData.moisture > 0.7
-            ? colors.lushGrass
-            : biomeData.moisture < 0.3
-            ? colors.dryGrass
-            : colors.grass;
-        texturePattern = 'grass';
-        break;
-      case 5: // Forest
-        baseColor = biomeData.temperature > 0.7 ? colors.autumnForest : colors.forest;
-        texturePattern = 'forest';
-        break;
-      case 6: // Dirt
-        baseColor = colors.dirt;
-        texturePattern = 'dirt';
-        break;
-      case 7: // Mountain
-        baseColor = colors.mountain;
-        texturePattern = 'rock';
-        break;
-      case 8: // Snow
-        baseColor = colors.snowCap;
-        texturePattern = 'snow';
-        break;
-      case 9: // Road
-        baseColor = colors.road;
-        texturePattern = 'road';
-        break;
-      case 10: // Building
-        baseColor = colors.building;
-        texturePattern = 'building';
-        break;
-      case 11: // Ruin
-        baseColor = colors.ruin;
-        texturePattern = 'ruin';
-        break;
-    }
-
-    // Draw base tile
-    ctx.fillStyle = baseColor;
-    ctx.fillRect(x, y, tilePx, tilePx);
-
-    // Apply texture patterns
-    this._applyTexture(ctx, x, y, tilePx, texturePattern, biomeData);
-
-    // Subtle grid for debug clarity
-    ctx.strokeStyle = 'rgba(0, 0, 0, 0.1)';
-    ctx.lineWidth = 0.5;
-    ctx.strokeRect(x, y, tilePx, tilePx);
+  // Replaces a chunk's obstacles in both collisionMap and the R-tree. The R-tree bulk-loads
+  // copies carrying the collision radius as r, so the records in collisionMap (which are what
+  // gets saved) are left as they came.
+  _setChunkObstacles(chunkKey, obstacles) {
+    this._removeChunkObstacles(chunkKey);
+    this.obstacleIndex.load(
+      obstacles.map((obstacle) => ({
+        ...obstacle,
+        r: obstacle.collisionRadius || obstacle.width * 0.5,
+      }))
+    );
+    this.collisionMap.set(chunkKey, obstacles);
   }
 
-  _applyTexture(ctx, x, y, size, pattern, biomeData) {
-    ctx.save();
-
-    switch (pattern) {
-      case 'waves':
-        ctx.fillStyle = 'rgba(255, 255, 255, 0.15)';
-        for (let i = 0; i < 2; i++) {
-          const waveY = y + size * 0.7 + Math.sin(x * 0.1) * 2;
-          ctx.fillRect(x + 2, waveY, size - 4, 1);
-        }
-        break;
-
-      case 'ripples':
-        ctx.fillStyle = 'rgba(255, 255, 255, 0.1)';
-        ctx.beginPath();
-        ctx.arc(x + size / 2, y + size / 2, size * 0.3, 0, Math.PI * 2);
-        ctx.fill();
-        break;
-
-      case 'sand':
-        ctx.fillStyle = 'rgba(255, 255, 255, 0.08)';
-        for (let i = 0; i < 3; i++) {
-          ctx.fillRect(
-            x + 2 + Math.random() * (size - 4),
-            y + 2 + Math.random() * (size - 4),
-            1,
-            1
-          );
-        }
-        break;
-
-      case 'grass':
-        ctx.fillStyle = 'rgba(106, 190, 106, 0.2)';
-        if ((x + y) % 4 === 0) {
-          ctx.fillRect(x + 4, y + 4, size - 8, 1);
-        }
-        break;
-
-      case 'forest':
-        ctx.fillStyle = 'rgba(40, 100, 40, 0.3)';
-        ctx.fillRect(x, y, size, size);
-        break;
-
-      case 'dirt':
-        ctx.fillStyle = 'rgba(101, 67, 33, 0.15)';
-        for (let i = 0; i < 4; i++) {
-          ctx.fillRect(
-            x + 2 + Math.random() * (size - 4),
-            y + 2 + Math.random() * (size - 4),
-            1,
-            1
-          );
-        }
-        break;
-
-      case 'rock':
-        ctx.fillStyle = 'rgba(255, 255, 255, 0.1)';
-        if ((x * y) % 7 === 0) {
-          ctx.fillRect(x + size * 0.3, y + size * 0.3, size * 0.4, size * 0.4);
-        }
-        break;
-
-      case 'snow':
-        ctx.fillStyle = 'rgba(255, 255, 255, 0.2)';
-        for (let i = 0; i < 2; i++) {
-          ctx.fillRect(
-            x + 2 + Math.random() * (size - 4),
-            y + 2 + Math.random() * (size - 4),
-            2,
-            2
-          );
-        }
-        break;
-
-      case 'road':
-        ctx.fillStyle = 'rgba(255, 255, 255, 0.3)';
-        ctx.fillRect(x + size * 0.4, y + 2, size * 0.2, size - 4);
-        break;
-    }
-
-    ctx.restore();
+  _removeChunkObstacles(chunkKey) {
+    const obstacles = this.collisionMap.get(chunkKey);
+    if (!obstacles) return false;
+    for (const obstacle of obstacles) this.obstacleIndex.remove(obstacle);
+    this.collisionMap.delete(chunkKey);
+    return true;
   }
-  // Enhanced tree rendering with larger size
-  _drawTree(ctx, x, y, size, treeType = 'oak', age = 1) {
-    const trunkHeight = size * 1.2 * age; // Increased from 0.6 to 1.2
-    const canopySize = size * 1.4 * age; // Increased from 0.8 to 1.4
-
-    ctx.save();
-
-    // Trunk - thicker
-    ctx.fillStyle = treeType === 'pine' ? '#5d4037' : treeType === 'birch' ? '#d7ccc8' : '#8d6e63';
-    ctx.fillRect(x - size * 0.12, y - trunkHeight, size * 0.24, trunkHeight); // Wider trunk
-
-    // Canopy - larger
-    switch (treeType) {
-      case 'pine':
-        ctx.fillStyle = '#2e7d32';
-        // Triangular canopy - larger
-        ctx.beginPath();
-        ctx.moveTo(x, y - trunkHeight - canopySize);
-        ctx.lineTo(x - canopySize / 1.8, y - trunkHeight); // Wider base
-        ctx.lineTo(x + canopySize / 1.8, y - trunkHeight); // Wider base
-        ctx.closePath();
-        ctx.fill();
-        break;
-
-      case 'birch':
-        ctx.fillStyle = '#a5d6a7';
-        ctx.beginPath();
-        ctx.arc(x, y - trunkHeight - canopySize / 2.5, canopySize / 1.8, 0, Math.PI * 2); // Larger radius
-        ctx.fill();
-        // Birch markings
-        ctx.strokeStyle = '#ffffff';
-        ctx.lineWidth = 1.5; // Thicker markings
-        for (let i = 0; i < 4; i++) {
-          // More markings
-          ctx.beginPath();
-          ctx.moveTo(x - size * 0.08, y - trunkHeight + i * 10);
-          ctx.lineTo(x + size * 0.08, y - trunkHeight + i * 10);
-          ctx.stroke();
-        }
-        break;
-
-      default: // Oak
-        ctx.fillStyle = '#4caf50';
-        ctx.beginPath();
-        ctx.arc(x, y - trunkHeight - canopySize / 2.5, canopySize / 1.8, 0, Math.PI * 2); // Larger radius
-        ctx.fill();
-        break;
-    }
-
-    ctx.restore();
 
-    // Return collision data for this tree
-    // Note: x, y are local to chunk, caller will convert to world coords
-    return {
-      width: canopySize,
-      height: trunkHeight + canopySize,
-      type: 'tree',
-    };
-  }
-
-  // Building rendering with different architectural styles
-  _drawBuilding(ctx, x, y, width, height, style = 'medieval', condition = 1) {
-    ctx.save();
-
-    const isRuined = condition < 0.3;
-    const baseColor = isRuined ? '#5d4037' : style === 'modern' ? '#37474f' : '#5d4037';
-
-    // Building base
-    ctx.fillStyle = baseColor;
-    ctx.fillRect(x - width / 2, y - height, width, height);
-
-    if (!isRuined) {
-      // Roof
-      ctx.fillStyle = style === 'modern' ? '#455a64' : '#d32f2f';
-      if (style === 'medieval') {
-        // Triangular roof
-        ctx.beginPath();
-        ctx.moveTo(x - width / 2, y - height);
-        ctx.lineTo(x + width / 2, y - height);
-        ctx.lineTo(x, y - height - width / 2);
-        ctx.closePath();
-        ctx.fill();
-      } else {
-        // Flat roof for modern buildings
-        ctx.fillRect(x - width / 2 - 2, y - height - 5, width + 4, 5);
-      }
-
-      // Door
-      ctx.fillStyle = '#5d4037';
-      ctx.fillRect(x - 3, y - 10, 6, 10);
-
-      // Windows
-      ctx.fillStyle = style === 'modern' ? '#81d4fa' : '#ffeb3b';
-      if (style === 'medieval') {
-        ctx.fillRect(x - width / 2 + 5, y - height + 15, 4, 4);
-        ctx.fillRect(x + width / 2 - 9, y - height + 15, 4, 4);
-      } else {
-        // Grid windows for modern buildings
-        for (let i = 0; i < 3; i++) {
-          for (let j = 0; j < 3; j++) {
-            ctx.fillRect(x - width / 2 + 8 + i * 8, y - height + 15 + j * 12, 4, 4);
-          }
-        }
-      }
-    } else {
-      // Ruined building - broken walls and openings
-      ctx.fillStyle = '#8d6e63';
-      ctx.fillRect(x - width / 2, y - height, width, height * 0.3);
-
-      // Collapsed sections
-      ctx.fillStyle = '#6d4c41';
-      for (let i = 0; i < 3; i++) {
-        ctx.fillRect(x - width / 2 + i * (width / 3), y - height * 0.7, width / 4, height * 0.4);
-      }
-    }
-
-    ctx.restore();
+  clearObstacles() {
+    this.collisionMap.clear();
+    this.obstacleIndex.clear();
   }
 
   _createCanvasForTiles(cx, cy, tiles, biomeData) {
@@ -471,270 +187,50 @@ export default class WorldManager {
     canv.width = size * tilePx;
     canv.height = size * tilePx;
     const ctx = canv.getContext('2d');
-
-    // Generate terrain using multi-layer noise simulation
-    if (!tiles || !biomeData) {
-      const generated = this._generateChunkData(cx, cy);
-      tiles = generated.tiles;
-      biomeData = generated.biomeData;
-    }
-
-    // Draw all tiles with biome-aware rendering
-    for (let ty = 0; ty < size; ty++) {
-      for (let tx = 0; tx < size; tx++) {
-        const idx = ty * size + tx;
-        const tileBiome = {
-          height: biomeData.height[idx],
-          moisture: biomeData.moisture[idx],
-          temperature: biomeData.temperature[idx],
-        };
-        this._drawTile(ctx, tx, ty, tiles[idx], tilePx, tileBiome);
-      }
-    }
-
-    // Add environmental features (trees, buildings, etc.)
-    this._decorateChunk(ctx, cx, cy, tiles, biomeData, tilePx);
+    const trees = paintChunk(ctx, cx, cy, tiles, biomeData, size, tilePx, this.seedNum);
+    this._setChunkObstacles(this._key(cx, cy), trees);
 
     return { canvas: canv, tiles, biomeData };
   }
 
   _generateChunkData(cx, cy) {
-    const size = this.chunkSize;
-    const tiles = new Uint8Array(size * size);
-    const heightMap = new Float32Array(size * size);
-    const moistureMap = new Float32Array(size * size);
-    const temperatureMap = new Float32Array(size * size);
-
-    const scale = this.noiseConfig.scale;
-    const octaves = this.noiseConfig.octaves;
-
-    for (let ty = 0; ty < size; ty++) {
-      for (let tx = 0; tx < size; tx++) {
-        const worldX = cx * size + tx;
-        const worldY = cy * size + ty;
-        const idx = ty * size + tx;
-
-        // Generate multiple noise layers for realistic terrain
-        const height =
-          fractalNoise2D(
-            worldX * scale,
-            worldY * scale,
-            this.seedNum,
-            octaves,
-            this.noiseConfig.lacunarity,
-            this.noiseConfig.gain
-          ) * this.noiseConfig.heightWeight;
-
-        const moisture =
-          fractalNoise2D(
-            worldX * scale * 1.3,
-            worldY * scale * 1.3,
-            this.seedNum + 1000,
-            octaves - 1
-          ) * this.noiseConfig.moistureWeight;
-
-        const temperature =
-          fractalNoise2D(
-            worldX * scale * 0.8,
-            worldY * scale * 0.8,
-            this.seedNum + 2000,
-            octaves - 1
-          ) * this.noiseConfig.temperatureWeight;
-
-        const ridge = ridgeNoise(worldX * scale * 0.5, worldY * scale * 0.5, this.seedNum + 3000);
-
-        heightMap[idx] = height;
-        moistureMap[idx] = moisture;
-        temperatureMap[idx] = temperature;
-
-        // Advanced biome determination
-        // FIXED: Adjusted thresholds to create more land (70% land, 30% water)
-        let tileType = 4; // Default to grass
-
-        if (height < 0.12) {
-          tileType = height < 0.06 ? 0 : height < 0.09 ? 1 : 2; // Deep ocean -> ocean -> shallow
-        } else if (height < 0.16) {
-          tileType = 3; // Beach
-        } else if (height < 0.65) {
-          if (moisture > 0.7) {
-            tileType = 5; // Forest
-          } else if (moisture < 0.3) {
-            tileType = 6; // Dirt/arid
-          } else {
-            tileType = 4; // Grass
-          }
-        } else if (height < 0.82) {
-          if (ridge > 0.6) {
-            tileType = 7; // Mountain
-          } else {
-            tileType = temperature > 0.6 ? 6 : 4; // Dirt in warm areas, else grass
-          }
-        } else {
-          tileType = height > 0.88 ? 8 : 7; // Snow caps on highest mountains
-        }
-
-        // Add human infrastructure based on strategic noise
-        const featureNoise = fractalNoise2D(
-          worldX * scale * 4,
-          worldY * scale * 4,
-          this.seedNum + 4000,
-          2
-        );
-
-        if (
-          featureNoise > 0.65 &&
-          featureNoise < 0.67 &&
-          height > 0.3 &&
-          height < 0.6 &&
-          moisture > 0.4
-        ) {
-          tileType = 9; // Road network
-        } else if (featureNoise > 0.75 && height > 0.35 && height < 0.5) {
-          tileType = temperature > 0.5 ? 10 : 11; // Buildings or ruins based on climate
-        }
+    return generateChunkData(cx, cy, this.chunkSize, this.seedNum, this.noiseConfig);
+  }
 
-        tiles[idx] = tileType;
-      }
+  // data is { tiles, biomeData } from either the worker or _generateChunkData. A worker that
+  // painted the chunk also sends { bitmap, trees }; otherwise it is painted here.
+  _postProcessGeneratedChunk(cx, cy, data) {
+    let canvas = null;
+    if (data.bitmap) {
+      canvas = data.bitmap;
+      this._setChunkObstacles(this._key(cx, cy), data.trees);
+    } else {
+      const rendered = this._createCanvasForTiles(cx, cy, data.tiles, data.biomeData);
+      if (rendered) canvas = rendered.canvas;
     }
-
     return {
-      tiles,
-      biomeData: {
-        height: heightMap,
-        moisture: moistureMap,
-        temperature: temperatureMap,
-      },
-    };
-  }
-  // Enhanced decoration with collision tracking
-  _decorateChunk(ctx, cx, cy, tiles, biomeData, tilePx) {
-    const size = this.chunkSize;
-    const rng = this._createChunkRNG(cx, cy);
-    const chunkKey = this._key(cx, cy);
-    const chunkTrees = [];
-
-    for (let ty = 0; ty < size; ty++) {
-      for (let tx = 0; tx < size; tx++) {
-        const idx = ty * size + tx;
-        const tileType = tiles[idx];
-        // These world coordinates are used for collision data
-        // const worldX = cx * size * tilePx + tx * tilePx + tilePx / 2;
-        // const worldY = cy * size * tilePx + ty * tilePx + tilePx / 2;
-        const featureRoll = rng();
-
-        // Place environmental features based on tile type and biome
-        switch (tileType) {
-          case 5: // Forest - dense trees
-            if (featureRoll < 0.3) {
-              const treeType = featureRoll < 0.1 ? 'pine' : featureRoll < 0.2 ? 'birch' : 'oak';
-              const localX = tx * tilePx + tilePx / 2;
-              const localY = ty * tilePx + tilePx / 2;
-              const worldTreeX = cx * this.chunkSize * tilePx + localX;
-              const worldTreeY = cy * this.chunkSize * tilePx + localY;
-
-              const treeCollision = this._drawTree(
-                ctx,
-                localX,
-                localY,
-                tilePx * 1.1,
-                treeType,
-                0.8 + featureRoll * 0.4
-              );
-              chunkTrees.push({
-                ...treeCollision,
-                x: worldTreeX,
-                y: worldTreeY,
-                id: `${chunkKey}_tree_${tx}_${ty}`,
-                type: 'tree',
-                collisionRadius: Math.max(treeCollision.width, treeCollision.height) * 0.4,
-              });
-            }
-            break;
-
-          case 4: // Grass - occasional trees
-            if (featureRoll < 0.05 && biomeData.moisture[idx] > 0.5) {
-              const localX = tx * tilePx + tilePx / 2;
-              const localY = ty * tilePx + tilePx / 2;
-              const worldTreeX = cx * this.chunkSize * tilePx + localX;
-              const worldTreeY = cy * this.chunkSize * tilePx + localY;
-
-              const treeCollision = this._drawTree(
-                ctx,
-                localX,
-                localY,
-                tilePx * 0.9,
-                'oak',
-                0.6 + featureRoll
-              );
-              chunkTrees.push({
-                ...treeCollision,
-                x: worldTreeX,
-                y: worldTreeY,
-                id: `${chunkKey}_tree_${tx}_${ty}`,
-                type: 'tree',
-                collisionRadius: Math.max(treeCollision.width, treeCollision.height) * 0.4,
-              });
-            }
-            break;
-
-          case 10: {
-            // Building - NO collision, just decoration
-            const buildingStyle = featureRoll < 0.5 ? 'medieval' : 'modern';
-            const condition = 0.3 + featureRoll * 0.7;
-            this._drawBuilding(
-              ctx,
-              tx * tilePx + tilePx / 2,
-              ty * tilePx + tilePx / 2,
-              tilePx * (buildingStyle === 'modern' ? 0.9 : 0.7),
-              tilePx * (buildingStyle === 'modern' ? 1.2 : 0.8),
-              buildingStyle,
-              condition
-            );
-            // Note: Buildings don't have collision - player can walk through them
-            break;
-          }
-          case 11: // Ruins
-            this._drawBuilding(
-              ctx,
-              tx * tilePx + tilePx / 2,
-              ty * tilePx + tilePx / 2,
-              tilePx * 0.8,
-              tilePx * 0.6,
-              'medieval',
-              0.2 + featureRoll * 0.3
-            );
-            break;
-        }
-      }
-    }
-
-    // Store collision data for this chunk - ONLY trees (not buildings for collision)
-    // Filter to only include trees for collision detection
-    const treeCollisions = chunkTrees.filter((obj) => obj.type === 'tree');
-    this.collisionMap.set(chunkKey, treeCollisions);
-    return chunkTrees;
-  }
-
-  _createChunkRNG(cx, cy) {
-    // Create deterministic RNG for chunk decoration
-    const seed = this.seedNum + cx * 131 + cy * 197;
-    let state = seed;
-    return () => {
-      state = Math.imul(state, 1597334677) | 0;
-      state = Math.imul(state, 1597334677) | 0;
-      return (state & 0x7fffffff) / 0x7fffffff;
+      cx,
+      cy,
+      tiles: data.tiles,
+      biomeData: data.biomeData,
+      generatedAt: Date.now(),
+      canvas,
+      // Tile index -> tile type for every tile changed after generation
+      edits: new Map(),
+      _generationId: this._generationId++,
     };
   }
 
-  _postProcessGeneratedChunk(cx, cy, data) {
-    const rendered = this._createCanvasForTiles(cx, cy, data?.tiles, data?.biomeData);
+  // Stands in (blank, all-zero tiles) while the chunk's generation job is in flight
+  _placeholderChunk(cx, cy) {
     return {
       cx,
       cy,
-      tiles: data?.tiles || new Uint8Array(this.chunkSize * this.chunkSize),
-      biomeData: data?.biomeData || {},
+      tiles: new Uint8Array(this.chunkSize * this.chunkSize),
+      biomeData: {},
       generatedAt: Date.now(),
-      canvas: rendered ? rendered.canvas : null,
+      canvas: null,
+      pending: true,
       _generationId: this._generationId++,
     };
   }
@@ -748,10 +244,8 @@ export default class WorldManager {
     }
 
     // Check if already exists
-    if (this.chunks.has(key)) {
-      const existing = this.chunks.get(key);
-      if (existing.canvas) return existing;
-    }
+    const existing = this.chunks.get(key);
+    if (existing && !existing.pending) return existing;
 
     if (this.pool) {
       try {
@@ -763,9 +257,20 @@ export default class WorldManager {
             tileSize: this.tileSize,
             seedNum: this.seedNum,
             noiseConfig: this.noiseConfig,
+            paint: this.offscreenPainting,
           };
 
+          const worldVersion = this._worldVersion;
           const result = await this.pool.enqueue(args);
+          // Dropped if the seed or noise changed (a fresh job covers the chunk) or the chunk was
+          // unloaded while this was in flight
+          if (worldVersion !== this._worldVersion || !this.chunks.get(key)?.pending) {
+            if (result.bitmap) result.bitmap.close();
+            if (this.generationQueue.get(key) === generationPromise) {
+              this.generationQueue.delete(key);
+            }
+            return null;
+          }
           const chunk = this._postProcessGeneratedChunk(cx, cy, result);
           this.chunks.set(key, chunk);
           this.generationQueue.delete(key);
@@ -787,25 +292,93 @@ export default class WorldManager {
     return chunk;
   }
 
-  getChunk(cx, cy) {
+  // Saved chunks belong to one seed and chunk size; tile indexes mean nothing under another
+  _storeKey(cx, cy) {
+    return `${this.seed}/${this.chunkSize}/${cx},${cy}`;
+  }
+
+  // Terrain settings the generated tiles depend on besides the seed
+  _worldSignature() {
+    return JSON.stringify(this.noiseConfig);
+  }
+
+  // Chunks edited since their last save are written to the store on their way out; untouched
+  // ones regenerate from the seed. Obstacles must still be registered, so this runs before they
+  // are removed.
+  _saveChunk(key, chunk) {
+    if (!chunk || !chunk.dirty) return;
+    chunk.dirty = false;
+    const storeKey = this._storeKey(chunk.cx, chunk.cy);
+    const obstacles = this.collisionMap.get(key) || [];
+    this.savedChunks.add(storeKey);
+    this.store
+      .put(storeKey, serializeChunk(chunk, obstacles, this._worldSignature()))
+      .catch((err) => console.warn(`[WorldManager] Saving chunk ${key} failed:`, err));
+  }
+
+  _saveEditedChunks() {
+    for (const [key, chunk] of this.chunks) this._saveChunk(key, chunk);
+  }
+
+  // Rebuilds an edited chunk from its saved record. Under the same terrain settings the saved
+  // tiles, biome layers and obstacles are used as they are; otherwise the chunk is regenerated
+  // and the edits replayed on top. Without a readable record it is generated as usual.
+  async _restoreChunkAsync(cx, cy) {
     const key = this._key(cx, cy);
+    const storeKey = this._storeKey(cx, cy);
+    const worldVersion = this._worldVersion;
+    let saved = null;
+    try {
+      saved = deserializeChunk(await this.store.get(storeKey));
+    } catch (err) {
+      console.warn(`[WorldManager] Loading saved chunk ${cx},${cy} failed:`, err);
+    }
+    // Dropped if the world changed or the chunk was unloaded while loading
+    if (worldVersion !== this._worldVersion || !this.chunks.get(key)?.pending) return null;
+    if (!saved) {
+      this.savedChunks.delete(storeKey);
+      return this._generateChunkAsync(cx, cy);
+    }
 
-    // Return existing chunk if available and valid
-    if (this.chunks.has(key)) {
-      const chunk = this.chunks.get(key);
-      if (chunk.canvas) return chunk;
+    const current = saved.signature === this._worldSignature();
+    const data = current ? saved : this._generateChunkData(cx, cy);
+    if (!current) {
+      for (const [idx, tile] of saved.edits) data.tiles[idx] = tile;
     }
+    const chunk = this._postProcessGeneratedChunk(cx, cy, data);
+    chunk.edits = saved.edits;
+    if (current) this._setChunkObstacles(key, saved.obstacles);
+    this.chunks.set(key, chunk);
+    return chunk;
+  }
+
+  getChunk(cx, cy) {
+    const key = this._key(cx, cy);
+
+    // Return existing chunk if available; a pending one already has a job in flight
+    const existing = this.chunks.get(key);
+    if (existing) return existing;
 
     // Create placeholder and trigger async generation
-    const placeholder = this._postProcessGeneratedChunk(cx, cy, null);
+    const placeholder = this._placeholderChunk(cx, cy);
     this.chunks.set(key, placeholder);
 
-    // Start async generation
-    this._generateChunkAsync(cx, cy).catch((err) => {
+    // Restore the chunk if it was edited and saved, otherwise generate it. Until the saved keys
+    // are in, wait for them, so chunks requested right after a reload aren't regenerated.
+    const start = () => {
+      // Unloaded, or replaced by a seed or noise change, while the keys were loading
+      if (this.chunks.get(key) !== placeholder) return null;
+      return this.savedChunks.has(this._storeKey(cx, cy))
+        ? this._restoreChunkAsync(cx, cy)
+        : this._generateChunkAsync(cx, cy);
+    };
+    const job = this.storeLoaded ? start() : this.storeReady.then(start);
+    job.catch((err) => {
       console.warn(`[WorldManager] Async generation failed for ${cx},${cy}:`, err);
     });
 
-    return placeholder;
+    // Without workers the fallback has already replaced the placeholder by now
+    return this.chunks.get(key);
   }
 
   getChunksInRect(rect) {
@@ -841,6 +414,101 @@ export default class WorldManager {
     return chunk.tiles[localY * this.chunkSize + localX] || 4;
   }
 
+  // Changes one tile; see setTilesInRect
+  setTileAtWorld(x, y, type) {
+    return this.setTilesInRect({ minX: x, minY: y, maxX: x, maxY: y }, type);
+  }
+
+  // Sets every tile overlapping the world rect to type. Each edit is recorded in its chunk's
+  // edits and marks the chunk dirty so it is saved on unload; the touched part of the chunk's
+  // canvas is repainted and its tree obstacles rebuilt. Tiles of chunks that aren't loaded, or
+  // are still generating, are skipped (and counted as skipped in the change event) rather than
+  // loading them. Returns the number of tiles changed.
+  setTilesInRect(rect, type) {
+    const size = this.chunkSize;
+    const minTx = Math.floor(rect.minX / this.tileSize);
+    const minTy = Math.floor(rect.minY / this.tileSize);
+    const maxTx = Math.floor(rect.maxX / this.tileSize);
+    const maxTy = Math.floor(rect.maxY / this.tileSize);
+    const chunks = [];
+    let changed = 0;
+    let skipped = 0;
+
+    for (let cy = Math.floor(minTy / size); cy <= Math.floor(maxTy / size); cy++) {
+      for (let cx = Math.floor(minTx / size); cx <= Math.floor(maxTx / size); cx++) {
+        const fromTx = Math.max(minTx - cx * size, 0);
+        const toTx = Math.min(maxTx - cx * size, size - 1);
+        const fromTy = Math.max(minTy - cy * size, 0);
+        const toTy = Math.min(maxTy - cy * size, size - 1);
+        const chunk = this.chunks.get(this._key(cx, cy));
+        if (!chunk || chunk.pending) {
+          skipped += (toTx - fromTx + 1) * (toTy - fromTy + 1);
+          continue;
+        }
+        // Local tile rect of the tiles actually changed in this chunk
+        const dirty = { minTx: size, minTy: size, maxTx: -1, maxTy: -1 };
+        for (let ty = fromTy; ty <= toTy; ty++) {
+          for (let tx = fromTx; tx <= toTx; tx++) {
+            const idx = ty * size + tx;
+            if (chunk.tiles[idx] === type) continue;
+            chunk.tiles[idx] = type;
+            chunk.edits.set(idx, type);
+            changed++;
+            dirty.minTx = Math.min(dirty.minTx, tx);
+            dirty.minTy = Math.min(dirty.minTy, ty);
+            dirty.maxTx = Math.max(dirty.maxTx, tx);
+            dirty.maxTy = Math.max(dirty.maxTy, ty);
+          }
+        }
+        if (dirty.maxTx < 0) continue;
+        this._refreshEditedChunk(chunk, dirty);
+        chunks.push({ cx, cy });
+      }
+    }
+
+    if (changed > 0 || skipped > 0) this._emit('change', { rect, type, changed, skipped, chunks });
+    return changed;
+  }
+
+  _refreshEditedChunk(chunk, dirty) {
+    const { cx, cy, tiles, biomeData } = chunk;
+    chunk.dirty = true;
+    const ctx = this._editableContext(chunk);
+    if (ctx) {
+      repaintTiles(
+        ctx,
+        cx,
+        cy,
+        tiles,
+        biomeData,
+        this.chunkSize,
+        this.tileSize,
+        this.seedNum,
+        dirty
+      );
+    }
+    this._setChunkObstacles(
+      this._key(cx, cy),
+      chunkTrees(cx, cy, tiles, biomeData, this.chunkSize, this.tileSize, this.seedNum)
+    );
+  }
+
+  // A worker-painted chunk holds an ImageBitmap, which can't be drawn on; its first edit copies
+  // it into a canvas
+  _editableContext(chunk) {
+    if (!chunk.canvas) return null;
+    if (typeof chunk.canvas.getContext !== 'function') {
+      if (typeof document === 'undefined') return null;
+      const canvas = document.createElement('canvas');
+      canvas.width = chunk.canvas.width;
+      canvas.height = chunk.canvas.height;
+      canvas.getContext('2d').drawImage(chunk.canvas, 0, 0);
+      releaseChunkCanvas(chunk.canvas);
+      chunk.canvas = canvas;
+    }
+    return chunk.canvas.getContext('2d');
+  }
+
   // unloadFarChunks(centerCx, centerCy, radius) {
   //   const toRemove = [];
   //   for (const [key, chunk] of this.chunks) {
@@ -877,68 +545,48 @@ export default class WorldManager {
 
     for (const key of toRemove) {
       const chunk = this.chunks.get(key);
-      if (chunk && chunk.canvas) {
-        chunk.canvas.width = 0;
-        chunk.canvas.height = 0;
-      }
+      this._saveChunk(key, chunk);
+      if (chunk && chunk.canvas) releaseChunkCanvas(chunk.canvas);
       this.chunks.delete(key);
-      this.collisionMap.delete(key); // Clear collision data
+      this._removeChunkObstacles(key); // Clear collision data
     }
   }
 
   // Memory management and cleanup
   dispose() {
+    this._saveEditedChunks();
     for (const chunk of this.chunks.values()) {
-      if (chunk.canvas) {
-        chunk.canvas.width = 0;
-        chunk.canvas.height = 0;
-      }
+      if (chunk.canvas) releaseChunkCanvas(chunk.canvas);
     }
     this.chunks.clear();
     this.generationQueue.clear();
+    this.clearObstacles();
 
     if (this.pool) {
       this.pool.terminate();
     }
   }
 
-  // FIXED: Collision detection to ONLY check for trees from collisionMap
+  // Collision detection against trees only, via the obstacle R-tree
   checkCollision(x, y, radius, ignoreId = null) {
-    // Get the chunk coordinates for the position
-    const chunkX = Math.floor(x / (this.chunkSize * this.tileSize));
-    const chunkY = Math.floor(y / (this.chunkSize * this.tileSize));
-
-    // Check current chunk and surrounding chunks (3x3 grid for overlap safety)
-    for (let offsetX = -1; offsetX <= 1; offsetX++) {
-      for (let offsetY = -1; offsetY <= 1; offsetY++) {
-        const checkChunkX = chunkX + offsetX;
-        const checkChunkY = chunkY + offsetY;
-        const chunkKey = this._key(checkChunkX, checkChunkY);
-
-        if (this.collisionMap.has(chunkKey)) {
-          const obstacles = this.collisionMap.get(chunkKey);
-
-          for (const obstacle of obstacles) {
-            if (ignoreId && obstacle.id === ignoreId) continue;
-
-            const dx = obstacle.x - x;
-            const dy = obstacle.y - y;
-            const distance = Math.sqrt(dx * dx + dy * dy);
-            const minDistance = radius + (obstacle.collisionRadius || obstacle.width * 0.5);
-
-            if (distance < minDistance) {
-              return {
-                collided: true,
-                obstacle,
-                penetration: minDistance - distance,
-                direction: {
-                  x: dx / distance,
-                  y: dy / distance,
-                },
-              };
-            }
-          }
-        }
+    for (const obstacle of this.obstacleIndex.queryCircle(x, y, radius)) {
+      if (ignoreId && obstacle.id === ignoreId) continue;
+
+      const dx = obstacle.x - x;
+      const dy = obstacle.y - y;
+      const distance = Math.sqrt(dx * dx + dy * dy);
+      const minDistance = radius + obstacle.r;
+
+      if (distance < minDistance) {
+        return {
+          collided: true,
+          obstacle,
+          penetration: minDistance - distance,
+          direction: {
+            x: dx / distance,
+            y: dy / distance,
+          },
+        };
       }
     }
     return { collided: false };
@@ -1076,19 +724,19 @@ export default class WorldManager {
     };
   }
 
+  // Obstacles whose centre lies within radius
   getNearbyObstacles(x, y, radius) {
     const nearby = [];
-    for (const [chunkKey, obstacles] of this.collisionMap) {
-      for (const obstacle of obstacles) {
-        const dx = obstacle.x - x;
-        const dy = obstacle.y - y;
-        const distance = Math.sqrt(dx * dx + dy * dy);
-        if (distance < radius) {
-          nearby.push({
-            ...obstacle,
-            distance: distance,
-          });
-        }
+    const range = { minX: x - radius, minY: y - radius, maxX: x + radius, maxY: y + radius };
+    for (const obstacle of this.obstacleIndex.queryRange(range)) {
+      const dx = obstacle.x - x;
+      const dy = obstacle.y - y;
+      const distance = Math.sqrt(dx * dx + dy * dy);
+      if (distance < radius) {
+        nearby.push({
+          ...obstacle,
+          distance: distance,
+        });
       }
     }
     return nearby;
@@ -1102,11 +750,9 @@ export default class WorldManager {
     // Remove from chunks cache
     if (this.chunks.has(key)) {
       const chunk = this.chunks.get(key);
-      if (chunk && chunk.canvas) {
-        // Properly cleanup canvas
-        chunk.canvas.width = 0;
-        chunk.canvas.height = 0;
-      }
+      this._saveChunk(key, chunk);
+      // Properly cleanup canvas
+      if (chunk && chunk.canvas) releaseChunkCanvas(chunk.canvas);
       this.chunks.delete(key);
       console.log(`Removed chunk ${cx},${cy} from cache`);
     }
@@ -1118,8 +764,7 @@ export default class WorldManager {
     }
 
     // Remove collision data
-    if (this.collisionMap.has(key)) {
-      this.collisionMap.delete(key);
+    if (this._removeChunkObstacles(key)) {
       console.log(`Removed collision data for chunk ${cx},${cy}`);
     }
 
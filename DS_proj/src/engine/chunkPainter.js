@@ -0,0 +1,499 @@
+// src/engine/chunkPainter.js
+// Paints a generated chunk (tiles plus decorations) onto a 2D context. Used by chunkWorker on an
+// OffscreenCanvas and by WorldManager on a regular canvas when that isn't available, so it
+// touches nothing but the context it is given.
+
+// Enhanced tile rendering with detailed textures
+function drawTile(ctx, tx, ty, tileType, tilePx, biomeData = {}) {
+  const x = tx * tilePx;
+  const y = ty * tilePx;
+
+  // Advanced color palette with biome variations
+  const colors = {
+    // Water biomes
+    deepOcean: '#0a1e3a',
+    ocean: '#1a3a6a',
+    shallowWater: '#2a5a9a',
+
+    // Beach and coastal
+    beach: '#f0e6b4',
+    wetSand: '#e8d8a8',
+
+    // Grasslands
+    grass: '#5a9e5a',
+    lushGrass: '#4a8e4a',
+    dryGrass: '#6aae6a',
+
+    // Forests
+    forest: '#3a7a3a',
+    denseForest: '#2a6a2a',
+    autumnForest: '#8a6a3a',
+
+    // Arid regions
+    dirt: '#8b7355',
+    dryDirt: '#9b8365',
+    crackedEarth: '#a59375',
+
+    // Mountains
+    mountain: '#7a7a7a',
+    highMountain: '#8a8a8a',
+    snowCap: '#e8e8e8',
+
+    // Special features
+    road: '#5a5a5a',
+    building: '#3a3a3a',
+    ruin: '#4a4a4a',
+  };
+
+  let baseColor = colors.grass;
+  let texturePattern = null;
+
+  switch (tileType) {
+    case 0: // Deep Ocean
+      baseColor = colors.deepOcean;
+      texturePattern = 'waves';
+      break;
+    case 1: // Ocean
+      baseColor = colors.ocean;
+      texturePattern = 'waves';
+      break;
+    case 2: // Shallow Water
+      baseColor = colors.shallowWater;
+      texturePattern = 'ripples';
+      break;
+    case 3: // Beach
+      baseColor = colors.beach;
+      texturePattern = 'sand';
+      break;
+    case 4: // Grass
+      baseColor =
+        biomeData.moisture > 0.7
+          ? colors.lushGrass
+          : biomeData.moisture < 0.3
+          ? colors.dryGrass
+          : colors.grass;
+      texturePattern = 'grass';
+      break;
+    case 5: // Forest
+      baseColor = biomeData.temperature > 0.7 ? colors.autumnForest : colors.forest;
+      texturePattern = 'forest';
+      break;
+    case 6: // Dirt
+      baseColor = colors.dirt;
+      texturePattern = 'dirt';
+      break;
+    case 7: // Mountain
+      baseColor = colors.mountain;
+      texturePattern = 'rock';
+      break;
+    case 8: // Snow
+      baseColor = colors.snowCap;
+      texturePattern = 'snow';
+      break;
+    case 9: // Road
+      baseColor = colors.road;
+      texturePattern = 'road';
+      break;
+    case 10: // Building
+      baseColor = colors.building;
+      texturePattern = 'building';
+      break;
+    case 11: // Ruin
+      baseColor = colors.ruin;
+      texturePattern = 'ruin';
+      break;
+  }
+
+  // Draw base tile
+  ctx.fillStyle = baseColor;
+  ctx.fillRect(x, y, tilePx, tilePx);
+
+  // Apply texture patterns
+  applyTexture(ctx, x, y, tilePx, texturePattern, biomeData);
+
+  // Subtle grid for debug clarity
+  ctx.strokeStyle = 'rgba(0, 0, 0, 0.1)';
+  ctx.lineWidth = 0.5;
+  ctx.strokeRect(x, y, tilePx, tilePx);
+}
+
+function applyTexture(ctx, x, y, size, pattern, biomeData) {
+  ctx.save();
+
+  switch (pattern) {
+    case 'waves':
+      ctx.fillStyle = 'rgba(255, 255, 255, 0.15)';
+      for (let i = 0; i < 2; i++) {
+        const waveY = y + size * 0.7 + Math.sin(x * 0.1) * 2;
+        ctx.fillRect(x + 2, waveY, size - 4, 1);
+      }
+      break;
+
+    case 'ripples':
+      ctx.fillStyle = 'rgba(255, 255, 255, 0.1)';
+      ctx.beginPath();
+      ctx.arc(x + size / 2, y + size / 2, size * 0.3, 0, Math.PI * 2);
+      ctx.fill();
+      break;
+
+    case 'sand':
+      ctx.fillStyle = 'rgba(255, 255, 255, 0.08)';
+      for (let i = 0; i < 3; i++) {
+        ctx.fillRect(x + 2 + Math.random() * (size - 4), y + 2 + Math.random() * (size - 4), 1, 1);
+      }
+      break;
+
+    case 'grass':
+      ctx.fillStyle = 'rgba(106, 190, 106, 0.2)';
+      if ((x + y) % 4 === 0) {
+        ctx.fillRect(x + 4, y + 4, size - 8, 1);
+      }
+      break;
+
+    case 'forest':
+      ctx.fillStyle = 'rgba(40, 100, 40, 0.3)';
+      ctx.fillRect(x, y, size, size);
+      break;
+
+    case 'dirt':
+      ctx.fillStyle = 'rgba(101, 67, 33, 0.15)';
+      for (let i = 0; i < 4; i++) {
+        ctx.fillRect(x + 2 + Math.random() * (size - 4), y + 2 + Math.random() * (size - 4), 1, 1);
+      }
+      break;
+
+    case 'rock':
+      ctx.fillStyle = 'rgba(255, 255, 255, 0.1)';
+      if ((x * y) % 7 === 0) {
+        ctx.fillRect(x + size * 0.3, y + size * 0.3, size * 0.4, size * 0.4);
+      }
+      break;
+
+    case 'snow':
+      ctx.fillStyle = 'rgba(255, 255, 255, 0.2)';
+      for (let i = 0; i < 2; i++) {
+        ctx.fillRect(x + 2 + Math.random() * (size - 4), y + 2 + Math.random() * (size - 4), 2, 2);
+      }
+      break;
+
+    case 'road':
+      ctx.fillStyle = 'rgba(255, 255, 255, 0.3)';
+      ctx.fillRect(x + size * 0.4, y + 2, size * 0.2, size - 4);
+      break;
+  }
+
+  ctx.restore();
+}
+
+// Collision data for a tree; its x, y are filled in by the caller in world coords
+function treeShape(size, age) {
+  const trunkHeight = size * 1.2 * age;
+  const canopySize = size * 1.4 * age;
+  return {
+    width: canopySize,
+    height: trunkHeight + canopySize,
+    type: 'tree',
+  };
+}
+
+// Enhanced tree rendering with larger size
+function drawTree(ctx, x, y, size, treeType = 'oak', age = 1) {
+  const trunkHeight = size * 1.2 * age; // Increased from 0.6 to 1.2
+  const canopySize = size * 1.4 * age; // Increased from 0.8 to 1.4
+
+  ctx.save();
+
+  // Trunk - thicker
+  ctx.fillStyle = treeType === 'pine' ? '#5d4037' : treeType === 'birch' ? '#d7ccc8' : '#8d6e63';
+  ctx.fillRect(x - size * 0.12, y - trunkHeight, size * 0.24, trunkHeight); // Wider trunk
+
+  // Canopy - larger
+  switch (treeType) {
+    case 'pine':
+      ctx.fillStyle = '#2e7d32';
+      // Triangular canopy - larger
+      ctx.beginPath();
+      ctx.moveTo(x, y - trunkHeight - canopySize);
+      ctx.lineTo(x - canopySize / 1.8, y - trunkHeight); // Wider base
+      ctx.lineTo(x + canopySize / 1.8, y - trunkHeight); // Wider base
+      ctx.closePath();
+      ctx.fill();
+      break;
+
+    case 'birch':
+      ctx.fillStyle = '#a5d6a7';
+      ctx.beginPath();
+      ctx.arc(x, y - trunkHeight - canopySize / 2.5, canopySize / 1.8, 0, Math.PI * 2); // Larger radius
+      ctx.fill();
+      // Birch markings
+      ctx.strokeStyle = '#ffffff';
+      ctx.lineWidth = 1.5; // Thicker markings
+      for (let i = 0; i < 4; i++) {
+        // More markings
+        ctx.beginPath();
+        ctx.moveTo(x - size * 0.08, y - trunkHeight + i * 10);
+        ctx.lineTo(x + size * 0.08, y - trunkHeight + i * 10);
+        ctx.stroke();
+      }
+      break;
+
+    default: // Oak
+      ctx.fillStyle = '#4caf50';
+      ctx.beginPath();
+      ctx.arc(x, y - trunkHeight - canopySize / 2.5, canopySize / 1.8, 0, Math.PI * 2); // Larger radius
+      ctx.fill();
+      break;
+  }
+
+  ctx.restore();
+
+  return treeShape(size, age);
+}
+
+// Building rendering with different architectural styles
+function drawBuilding(ctx, x, y, width, height, style = 'medieval', condition = 1) {
+  ctx.save();
+
+  const isRuined = condition < 0.3;
+  const baseColor = isRuined ? '#5d4037' : style === 'modern' ? '#37474f' : '#5d4037';
+
+  // Building base
+  ctx.fillStyle = baseColor;
+  ctx.fillRect(x - width / 2, y - height, width, height);
+
+  if (!isRuined) {
+    // Roof
+    ctx.fillStyle = style === 'modern' ? '#455a64' : '#d32f2f';
+    if (style === 'medieval') {
+      // Triangular roof
+      ctx.beginPath();
+      ctx.moveTo(x - width / 2, y - height);
+      ctx.lineTo(x + width / 2, y - height);
+      ctx.lineTo(x, y - height - width / 2);
+      ctx.closePath();
+      ctx.fill();
+    } else {
+      // Flat roof for modern buildings
+      ctx.fillRect(x - width / 2 - 2, y - height - 5, width + 4, 5);
+    }
+
+    // Door
+    ctx.fillStyle = '#5d4037';
+    ctx.fillRect(x - 3, y - 10, 6, 10);
+
+    // Windows
+    ctx.fillStyle = style === 'modern' ? '#81d4fa' : '#ffeb3b';
+    if (style === 'medieval') {
+      ctx.fillRect(x - width / 2 + 5, y - height + 15, 4, 4);
+      ctx.fillRect(x + width / 2 - 9, y - height + 15, 4, 4);
+    } else {
+      // Grid windows for modern buildings
+      for (let i = 0; i < 3; i++) {
+        for (let j = 0; j < 3; j++) {
+          ctx.fillRect(x - width / 2 + 8 + i * 8, y - height + 15 + j * 12, 4, 4);
+        }
+      }
+    }
+  } else {
+    // Ruined building - broken walls and openings
+    ctx.fillStyle = '#8d6e63';
+    ctx.fillRect(x - width / 2, y - height, width, height * 0.3);
+
+    // Collapsed sections
+    ctx.fillStyle = '#6d4c41';
+    for (let i = 0; i < 3; i++) {
+      ctx.fillRect(x - width / 2 + i * (width / 3), y - height * 0.7, width / 4, height * 0.4);
+    }
+  }
+
+  ctx.restore();
+}
+
+// Decorates one tile from its feature roll and returns its tree collision record, if any.
+// Without a ctx nothing is drawn, which is how edits rebuild collision data.
+function decorateTile(ctx, cx, cy, tx, ty, tiles, biomeData, size, tilePx, featureRoll) {
+  const idx = ty * size + tx;
+  const localX = tx * tilePx + tilePx / 2;
+  const localY = ty * tilePx + tilePx / 2;
+  let treeType = 'oak';
+  let treeSize = 0;
+  let age = 1;
+
+  // Place environmental features based on tile type and biome
+  switch (tiles[idx]) {
+    case 5: // Forest - dense trees
+      if (featureRoll >= 0.3) return null;
+      treeType = featureRoll < 0.1 ? 'pine' : featureRoll < 0.2 ? 'birch' : 'oak';
+      treeSize = tilePx * 1.1;
+      age = 0.8 + featureRoll * 0.4;
+      break;
+
+    case 4: // Grass - occasional trees
+      if (featureRoll >= 0.05 || biomeData.moisture[idx] <= 0.5) return null;
+      treeSize = tilePx * 0.9;
+      age = 0.6 + featureRoll;
+      break;
+
+    case 10: {
+      // Building - NO collision, just decoration
+      const buildingStyle = featureRoll < 0.5 ? 'medieval' : 'modern';
+      const condition = 0.3 + featureRoll * 0.7;
+      if (ctx) {
+        drawBuilding(
+          ctx,
+          localX,
+          localY,
+          tilePx * (buildingStyle === 'modern' ? 0.9 : 0.7),
+          tilePx * (buildingStyle === 'modern' ? 1.2 : 0.8),
+          buildingStyle,
+          condition
+        );
+      }
+      // Note: Buildings don't have collision - player can walk through them
+      return null;
+    }
+    case 11: // Ruins
+      if (ctx) {
+        drawBuilding(
+          ctx,
+          localX,
+          localY,
+          tilePx * 0.8,
+          tilePx * 0.6,
+          'medieval',
+          0.2 + featureRoll * 0.3
+        );
+      }
+      return null;
+
+    default:
+      return null;
+  }
+
+  const shape = ctx
+    ? drawTree(ctx, localX, localY, treeSize, treeType, age)
+    : treeShape(treeSize, age);
+  return {
+    ...shape,
+    x: cx * size * tilePx + localX,
+    y: cy * size * tilePx + localY,
+    id: `${cx},${cy}_tree_${tx}_${ty}`,
+    type: 'tree',
+    collisionRadius: Math.max(shape.width, shape.height) * 0.4,
+  };
+}
+
+// Decorates every tile of the chunk. Returns the chunk's tree collision records in world
+// coordinates (buildings have none).
+function decorateChunk(ctx, cx, cy, tiles, biomeData, size, tilePx, seedNum) {
+  const rng = createChunkRNG(seedNum, cx, cy);
+  const trees = [];
+
+  for (let ty = 0; ty < size; ty++) {
+    for (let tx = 0; tx < size; tx++) {
+      const tree = decorateTile(ctx, cx, cy, tx, ty, tiles, biomeData, size, tilePx, rng());
+      if (tree) trees.push(tree);
+    }
+  }
+  return trees;
+}
+
+function createChunkRNG(seedNum, cx, cy) {
+  // Create deterministic RNG for chunk decoration
+  const seed = seedNum + cx * 131 + cy * 197;
+  let state = seed;
+  return () => {
+    state = Math.imul(state, 1597334677) | 0;
+    state = Math.imul(state, 1597334677) | 0;
+    return (state & 0x7fffffff) / 0x7fffffff;
+  };
+}
+
+// Paints the whole chunk at (0, 0) and returns its tree collision records
+export function paintChunk(ctx, cx, cy, tiles, biomeData, size, tilePx, seedNum) {
+  for (let ty = 0; ty < size; ty++) {
+    for (let tx = 0; tx < size; tx++) {
+      const idx = ty * size + tx;
+      drawTile(ctx, tx, ty, tiles[idx], tilePx, tileBiome(biomeData, idx));
+    }
+  }
+
+  // Add environmental features (trees, buildings, etc.)
+  return decorateChunk(ctx, cx, cy, tiles, biomeData, size, tilePx, seedNum);
+}
+
+// Decorations stand on their tile's centre and reach at most this many tiles up, and one to
+// either side; nothing is drawn below a tile
+const DECOR_REACH_UP = 4;
+const DECOR_REACH_SIDE = 1;
+
+// Repaints the tiles in the local tile rect after an edit. The old and new decorations of those
+// tiles reach into the tiles above and beside them, so those are repainted too, along with every
+// decoration overlapping the repainted area, in the original order so they layer the same.
+// Drawing is clipped to that area; the rest of the canvas is untouched.
+export function repaintTiles(ctx, cx, cy, tiles, biomeData, size, tilePx, seedNum, rect) {
+  const minTx = Math.max(0, rect.minTx - DECOR_REACH_SIDE);
+  const maxTx = Math.min(size - 1, rect.maxTx + DECOR_REACH_SIDE);
+  const minTy = Math.max(0, rect.minTy - DECOR_REACH_UP);
+  const maxTy = rect.maxTy;
+
+  ctx.save();
+  ctx.beginPath();
+  ctx.rect(
+    minTx * tilePx,
+    minTy * tilePx,
+    (maxTx - minTx + 1) * tilePx,
+    (maxTy - minTy + 1) * tilePx
+  );
+  ctx.clip();
+
+  for (let ty = minTy; ty <= maxTy; ty++) {
+    for (let tx = minTx; tx <= maxTx; tx++) {
+      const idx = ty * size + tx;
+      drawTile(ctx, tx, ty, tiles[idx], tilePx, tileBiome(biomeData, idx));
+    }
+  }
+
+  // Feature rolls come from the chunk's sequence, so it is replayed from the first tile
+  const rng = createChunkRNG(seedNum, cx, cy);
+  const lastTy = Math.min(size - 1, maxTy + DECOR_REACH_UP);
+  for (let ty = 0; ty <= lastTy; ty++) {
+    for (let tx = 0; tx < size; tx++) {
+      const featureRoll = rng();
+      if (ty < minTy || tx < minTx - DECOR_REACH_SIDE || tx > maxTx + DECOR_REACH_SIDE) continue;
+      decorateTile(ctx, cx, cy, tx, ty, tiles, biomeData, size, tilePx, featureRoll);
+    }
+  }
+  ctx.restore();
+}
+
+// The chunk's tree collision records, without painting anything
+export function chunkTrees(cx, cy, tiles, biomeData, size, tilePx, seedNum) {
+  return decorateChunk(null, cx, cy, tiles, biomeData, size, tilePx, seedNum);
+}
+
+function tileBiome(biomeData, idx) {
+  return {
+    height: biomeData.height[idx],
+    moisture: biomeData.moisture[idx],
+    temperature: biomeData.temperature[idx],
+  };
+}
+
+// True when chunks can be painted in a worker and handed back as ImageBitmaps
+export function canPaintOffscreen() {
+  return (
+    typeof OffscreenCanvas !== 'undefined' &&
+    typeof OffscreenCanvas.prototype.transferToImageBitmap === 'function'
+  );
+}
+
+// Frees a chunk's pixels: an ImageBitmap from the worker, or a canvas painted here
+export function releaseChunkCanvas(canvas) {
+  if (typeof canvas.close === 'function') {
+    canvas.close();
+  } else {
+    canvas.width = 0;
+    canvas.height = 0;
+  }
+}
@@ -0,0 +1,127 @@
+// src/engine/chunkStore.js
+// Save format and storage for edited chunks. WorldManager writes a chunk out when it unloads
+// one the player has changed, and reads it back the next time that chunk is requested instead
+// of regenerating it from the seed. Stores are async key/value maps of records; IndexedDB backs
+// them in the browser and a Map everywhere else (tests).
+import { BIOME_LAYERS } from './terrain';
+
+// Bump when the record layout changes; records of another version are ignored and the chunk
+// regenerates from the seed
+export const CHUNK_FORMAT_VERSION = 1;
+
+// signature identifies the terrain settings the tiles came from, so a record saved under other
+// settings can replay just its edits onto freshly generated terrain
+export function serializeChunk(chunk, obstacles, signature) {
+  const biomeData = {};
+  for (const layer of BIOME_LAYERS) biomeData[layer] = chunk.biomeData[layer].slice();
+  return {
+    version: CHUNK_FORMAT_VERSION,
+    cx: chunk.cx,
+    cy: chunk.cy,
+    signature,
+    tiles: chunk.tiles.slice(),
+    biomeData,
+    obstacles: obstacles.map((obstacle) => ({ ...obstacle })),
+    // [tile index, tile type] pairs, oldest first
+    edits: [...chunk.edits],
+    savedAt: Date.now(),
+  };
+}
+
+// Returns null for a missing or unreadable record
+export function deserializeChunk(record) {
+  if (!record || record.version !== CHUNK_FORMAT_VERSION) return null;
+  return {
+    cx: record.cx,
+    cy: record.cy,
+    signature: record.signature,
+    tiles: record.tiles,
+    biomeData: record.biomeData,
+    obstacles: record.obstacles,
+    edits: new Map(record.edits),
+  };
+}
+
+// Records are cloned in and out, so like IndexedDB nothing is shared with the caller
+export class MemoryChunkStore {
+  constructor() {
+    this.records = new Map();
+  }
+
+  async get(key) {
+    const record = this.records.get(key);
+    return record ? structuredClone(record) : undefined;
+  }
+
+  async put(key, record) {
+    this.records.set(key, structuredClone(record));
+  }
+
+  async delete(key) {
+    this.records.delete(key);
+  }
+
+  async keys() {
+    return [...this.records.keys()];
+  }
+
+  async clear() {
+    this.records.clear();
+  }
+}
+
+export class IndexedDBChunkStore {
+  constructor(dbName = 'ds-proj-world', storeName = 'chunks') {
+    this.dbName = dbName;
+    this.storeName = storeName;
+    this._db = null;
+  }
+
+  _open() {
+    if (!this._db) {
+      this._db = new Promise((resolve, reject) => {
+        const req = indexedDB.open(this.dbName, 1);
+        req.onupgradeneeded = () => req.result.createObjectStore(this.storeName);
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+      });
+    }
+    return this._db;
+  }
+
+  // Runs one request in its own transaction and resolves with its result once that commits
+  async _request(mode, makeRequest) {
+    const db = await this._open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(this.storeName, mode);
+      const req = makeRequest(tx.objectStore(this.storeName));
+      tx.oncomplete = () => resolve(req.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  get(key) {
+    return this._request('readonly', (store) => store.get(key));
+  }
+
+  async put(key, record) {
+    await this._request('readwrite', (store) => store.put(record, key));
+  }
+
+  async delete(key) {
+    await this._request('readwrite', (store) => store.delete(key));
+  }
+
+  keys() {
+    return this._request('readonly', (store) => store.getAllKeys());
+  }
+
+  async clear() {
+    await this._request('readwrite', (store) => store.clear());
+  }
+}
+
+export function createChunkStore() {
+  return typeof indexedDB !== 'undefined' ? new IndexedDBChunkStore() : new MemoryChunkStore();
+}
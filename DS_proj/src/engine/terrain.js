@@ -0,0 +1,102 @@
+// src/engine/terrain.js
+// Chunk terrain generation shared by WorldManager and chunkWorker, so a chunk comes out the
+// same whichever thread builds it. Pure functions of (cx, cy, chunkSize, seedNum, noiseConfig);
+// no DOM, no canvas.
+
+import { createFractalNoise2D, DEFAULT_NOISE } from '../utils/noise';
+
+// Per-tile noise layers returned next to the tiles, one Float32Array each
+export const BIOME_LAYERS = ['height', 'moisture', 'temperature', 'ridge', 'feature'];
+
+// Tiles 0-11: deep ocean, ocean, shallows, beach, grass, forest, dirt, mountain, snow, road,
+// building, ruins. Returns { tiles: Uint8Array, biomeData: { <layer>: Float32Array } }.
+export function generateChunkData(cx, cy, size, seedNum, noiseConfig) {
+  const tiles = new Uint8Array(size * size);
+  const biomeData = {};
+  for (const layer of BIOME_LAYERS) biomeData[layer] = new Float32Array(size * size);
+
+  const scale = noiseConfig.scale;
+  const octaves = noiseConfig.octaves;
+  const noise = noiseConfig.noise || DEFAULT_NOISE;
+  const heightNoise = createFractalNoise2D(
+    noise,
+    seedNum,
+    octaves,
+    noiseConfig.lacunarity,
+    noiseConfig.gain
+  );
+  const moistureNoise = createFractalNoise2D(noise, seedNum + 1000, octaves - 1);
+  const temperatureNoise = createFractalNoise2D(noise, seedNum + 2000, octaves - 1);
+  const ridgeNoise = createFractalNoise2D(noise, seedNum + 3000, 1);
+  const featureNoise = createFractalNoise2D(noise, seedNum + 4000, 2);
+
+  for (let ty = 0; ty < size; ty++) {
+    for (let tx = 0; tx < size; tx++) {
+      const worldX = cx * size + tx;
+      const worldY = cy * size + ty;
+      const idx = ty * size + tx;
+
+      // Generate multiple noise layers for realistic terrain
+      const height = heightNoise(worldX * scale, worldY * scale) * noiseConfig.heightWeight;
+
+      const moisture =
+        moistureNoise(worldX * scale * 1.3, worldY * scale * 1.3) * noiseConfig.moistureWeight;
+
+      const temperature =
+        temperatureNoise(worldX * scale * 0.8, worldY * scale * 0.8) *
+        noiseConfig.temperatureWeight;
+
+      // Ridge noise for mountains
+      const ridge = 1 - Math.abs(ridgeNoise(worldX * scale * 0.5, worldY * scale * 0.5) * 2 - 1);
+
+      // Advanced biome determination
+      // FIXED: Adjusted thresholds to create more land (70% land, 30% water)
+      let tileType = 4; // Default to grass
+
+      if (height < 0.12) {
+        tileType = height < 0.06 ? 0 : height < 0.09 ? 1 : 2; // Deep ocean -> ocean -> shallow
+      } else if (height < 0.16) {
+        tileType = 3; // Beach
+      } else if (height < 0.65) {
+        if (moisture > 0.7) {
+          tileType = 5; // Forest
+        } else if (moisture < 0.3) {
+          tileType = 6; // Dirt/arid
+        } else {
+          tileType = 4; // Grass
+        }
+      } else if (height < 0.82) {
+        if (ridge > 0.6) {
+          tileType = 7; // Mountain
+        } else {
+          tileType = temperature > 0.6 ? 6 : 4; // Dirt in warm areas, else grass
+        }
+      } else {
+        tileType = height > 0.88 ? 8 : 7; // Snow caps on highest mountains
+      }
+
+      // Add human infrastructure based on strategic noise
+      const feature = featureNoise(worldX * scale * 4, worldY * scale * 4);
+
+      if (feature > 0.65 && feature < 0.67 && height > 0.3 && height < 0.6 && moisture > 0.4) {
+        tileType = 9; // Road network
+      } else if (feature > 0.75 && height > 0.35 && height < 0.5) {
+        tileType = temperature > 0.5 ? 10 : 11; // Buildings or ruins based on climate
+      }
+
+      tiles[idx] = tileType;
+      biomeData.height[idx] = height;
+      biomeData.moisture[idx] = moisture;
+      biomeData.temperature[idx] = temperature;
+      biomeData.ridge[idx] = ridge;
+      biomeData.feature[idx] = feature;
+    }
+  }
+
+  return { tiles, biomeData };
+}
+
+// Buffers to hand over in postMessage instead of copying
+export function chunkTransferables({ tiles, biomeData }) {
+  return [tiles.buffer, ...BIOME_LAYERS.map((layer) => biomeData[layer].buffer)];
+}
@@ -0,0 +1,170 @@
+// src/spatial/AutoIndexSelector.js
+// Decides which concrete index the 'auto' type should run on. IndexManager hands it workload
+// samples; it times shadow builds and queries on every candidate and only recommends a switch
+// when a challenger beats the current index by a clear margin several samples in a row. A
+// sample is a round spread over several rebuilds, one candidate timed per rebuild, so no single
+// frame pays for building every index.
+import { mulberry32 } from '../utils/prng';
+
+export const AUTO_CANDIDATES = [
+  'grid',
+  'hgrid',
+  'quadtree',
+  'kdtree',
+  'bvh',
+  'sap',
+  'rtree',
+  'morton',
+];
+
+// 1 - occupied / possible over a coarse grid with about one cell per entity: near 0 when
+// entities are spread out, approaching 1 when they crowd into a few spots
+export function clusteringCoefficient(entities) {
+  const n = entities.length;
+  if (n < 2) return 0;
+  let minX = Infinity;
+  let minY = Infinity;
+  let maxX = -Infinity;
+  let maxY = -Infinity;
+  for (const e of entities) {
+    if (e.x < minX) minX = e.x;
+    if (e.y < minY) minY = e.y;
+    if (e.x > maxX) maxX = e.x;
+    if (e.y > maxY) maxY = e.y;
+  }
+  const side = Math.max(1, Math.round(Math.sqrt(n)));
+  const w = Math.max(maxX - minX, 1e-9);
+  const h = Math.max(maxY - minY, 1e-9);
+  const occupied = new Set();
+  for (const e of entities) {
+    const cx = Math.min(side - 1, Math.floor(((e.x - minX) / w) * side));
+    const cy = Math.min(side - 1, Math.floor(((e.y - minY) / h) * side));
+    occupied.add(cy * side + cx);
+  }
+  // Even a uniform scatter leaves ~1/e of cells empty, so normalise against that
+  const expected = side * side * (1 - Math.exp(-n / (side * side)));
+  return Math.max(0, Math.min(1, 1 - occupied.size / expected));
+}
+
+export default class AutoIndexSelector {
+  constructor(config = {}) {
+    this.candidates = config.candidates || AUTO_CANDIDATES;
+    // Milliseconds between workload samples
+    this.sampleInterval = config.sampleInterval ?? 2000;
+    // A challenger must be this fraction cheaper than the current index...
+    this.margin = config.margin ?? 0.2;
+    // ...on this many consecutive samples before a switch
+    this.confirmations = config.confirmations ?? 2;
+    this.shadowQueries = config.shadowQueries ?? 32;
+    this.queryRadius = config.queryRadius ?? 100;
+    this.now = config.now || (() => performance.now());
+
+    this.lastSampleAt = -Infinity;
+    // The sample being taken: { features, counters, probes, pending, costs }, or null
+    this.round = null;
+    this.challenger = null;
+    this.streak = 0;
+    this.lastSample = null;
+    this.rand = mulberry32(config.seed ?? 1);
+  }
+
+  isDue() {
+    return this.now() - this.lastSampleAt >= this.sampleInterval;
+  }
+
+  get sampling() {
+    return this.round !== null;
+  }
+
+  // Starts a sample: captures the workload features and the call counts the costs weigh
+  begin(entities, counters) {
+    this.lastSampleAt = this.now();
+    this.round = {
+      features: {
+        count: entities.length,
+        clustering: clusteringCoefficient(entities),
+        queries: counters.queries,
+        updates: counters.updates,
+        queryUpdateRatio: counters.queries / Math.max(1, counters.updates),
+      },
+      counters: { ...counters },
+      probes: this._probes(entities),
+      pending: [...this.candidates],
+      costs: {},
+    };
+  }
+
+  // Candidate the next measure() call should time, or null when no sample is running
+  nextCandidate() {
+    return this.round?.pending[0] ?? null;
+  }
+
+  // Times the next candidate on the current entities. buildTime is a rebuild of index the caller
+  // has just done itself (the active index), so it isn't built a second time here. Returns the
+  // finished sample, { features, costs } with the estimated per-interval cost of every
+  // candidate, once the last candidate is in, else null.
+  measure(index, entities, buildTime) {
+    const round = this.round;
+    const type = round.pending.shift();
+    round.costs[type] = this._shadowCost(index, entities, round.probes, round.counters, buildTime);
+    if (round.pending.length > 0) return null;
+
+    this.round = null;
+    this.lastSample = { features: round.features, costs: round.costs };
+    return this.lastSample;
+  }
+
+  _probes(entities) {
+    const probes = [];
+    if (entities.length === 0) return probes;
+    for (let i = 0; i < this.shadowQueries; i++) {
+      probes.push(entities[Math.floor(this.rand() * entities.length)]);
+    }
+    return probes;
+  }
+
+  // Build time stands in for per-entity update cost; probe queries are circles around
+  // sampled entities like the simulation's own queries
+  _shadowCost(index, entities, probes, counters, buildTime) {
+    if (buildTime === undefined) {
+      const t0 = this.now();
+      index.rebuild(entities);
+      buildTime = this.now() - t0;
+    }
+    const t1 = this.now();
+    for (const e of probes) index.queryCircle(e.x, e.y, this.queryRadius);
+    const t2 = this.now();
+
+    const perUpdate = entities.length > 0 ? buildTime / entities.length : 0;
+    const perQuery = probes.length > 0 ? (t2 - t1) / probes.length : 0;
+    return perUpdate * counters.updates + perQuery * counters.queries;
+  }
+
+  // Returns the type to switch to with a reason, or null to stay put
+  decide(current, { features, costs }) {
+    let best = current;
+    for (const type of Object.keys(costs)) {
+      if (costs[type] < (costs[best] ?? Infinity)) best = type;
+    }
+
+    const currentCost = costs[current] ?? Infinity;
+    if (best === current || !(costs[best] < currentCost * (1 - this.margin))) {
+      this.challenger = null;
+      this.streak = 0;
+      return null;
+    }
+
+    this.streak = best === this.challenger ? this.streak + 1 : 1;
+    this.challenger = best;
+    if (this.streak < this.confirmations) return null;
+
+    const saving = currentCost > 0 ? Math.round((1 - costs[best] / currentCost) * 100) : 100;
+    const reason =
+      `${best} ~${saving}% cheaper than ${current} over ${this.streak} samples ` +
+      `(${features.count} entities, clustering ${features.clustering.toFixed(2)}, ` +
+      `${features.queryUpdateRatio.toFixed(2)} queries/update)`;
+    this.challenger = null;
+    this.streak = 0;
+    return { to: best, reason };
+  }
+}
@@ -1,81 +1,436 @@
-export default class BVH {
-  constructor(capacity = 16) {
-    this.capacity = capacity;
+import ISpatialIndex from './ISpatialIndex';
+import { NearestSet, NodeQueue } from './nearest';
+import { clipRayToBounds } from './raycast';
+import {
+  aabbOf,
+  contains,
+  entityOverlapsRange,
+  entityOverlapsCircle,
+  circleIntersectsBounds,
+  distSqToBounds,
+  unionBounds,
+  perimeter,
+  area,
+  intersectionArea,
+} from './geometry';
+import { layerOf, matchesMask, layersMatch } from './layers';
+
+// How a node's entities are split: binned surface area heuristic, median on the longer
+// axis of the entity centres, or median on x/y alternating by depth
+export const BVH_BUILDERS = ['sah', 'median', 'roundRobin'];
+
+const SAH_BINS = 16;
+
+export default class BVH extends ISpatialIndex {
+  // Accepts either a bare leaf capacity or a config object ({ capacity, builder, margin,
+  // rebuildThreshold }) as IndexManager passes
+  constructor(config = 16) {
+    super();
+    const opts = typeof config === 'number' ? { capacity: config } : config || {};
+    this.capacity = opts.capacity || 16;
+    this.builder = BVH_BUILDERS.includes(opts.builder) ? opts.builder : 'sah';
+    // Entity boxes are padded by margin so small moves leave the tree untouched
+    this.margin = opts.margin ?? 8;
+    // Rebuild once incremental edits push the SAH cost this far past the last build
+    this.rebuildThreshold = opts.rebuildThreshold ?? 1.5;
     this.type = 'bvh';
     this.root = null;
-    this.entities = [];
+    this.entities = new Map();
+    this.fatBounds = new Map();
+    this.leafOf = new Map();
+    this.buildCost = 0;
+    this._editsSinceCheck = 0;
+    this.counters = { rebuilds: 0, reinserts: 0, rotations: 0, refits: 0 };
   }
 
   rebuild(entities) {
-    this.entities = entities.slice();
-    if (this.entities.length === 0) {
+    this.entities = new Map();
+    this.fatBounds = new Map();
+    this.leafOf = new Map();
+    for (const entity of entities) {
+      this.entities.set(entity.id, entity);
+      this.fatBounds.set(entity.id, this._fatten(entity));
+    }
+    this._editsSinceCheck = 0;
+    this.counters.rebuilds++;
+    if (this.entities.size === 0) {
       this.root = null;
+      this.buildCost = 0;
       return;
     }
 
-    this.root = this._buildNode(this.entities, 0);
+    this.root = this._buildNode(Array.from(this.entities.values()), 0);
+    this.root.parent = null;
+    this.buildCost = this._treeCost();
   }
 
   _buildNode(entities, depth = 0) {
     if (entities.length === 0) return null;
 
     if (entities.length <= this.capacity) {
-      return {
-        isLeaf: true,
-        entities: entities.slice(),
-        bounds: this._computeBounds(entities),
-      };
+      return this._makeLeaf(entities.slice());
     }
 
-    const axis = depth % 2 === 0 ? 'x' : 'y';
+    const [leftEntities, rightEntities] = this._partition(entities, depth);
 
-    entities.sort((a, b) => a[axis] - b[axis]);
+    return this._makeBranch(
+      this._buildNode(leftEntities, depth + 1),
+      this._buildNode(rightEntities, depth + 1)
+    );
+  }
+
+  _partition(entities, depth) {
+    switch (this.builder) {
+      case 'roundRobin':
+        return this._splitMedian(entities, depth % 2 === 0 ? 'x' : 'y');
+      case 'median':
+        return this._splitMedian(entities, this._longestAxis(entities));
+      default:
+        return this._splitSAH(entities) || this._splitMedian(entities, this._longestAxis(entities));
+    }
+  }
 
+  _splitMedian(entities, axis) {
+    entities.sort((a, b) => a[axis] - b[axis]);
     const mid = Math.floor(entities.length / 2);
-    const leftEntities = entities.slice(0, mid);
-    const rightEntities = entities.slice(mid);
+    return [entities.slice(0, mid), entities.slice(mid)];
+  }
+
+  // Spread of the entity centres, which is what every builder partitions
+  _centroidBounds(entities) {
+    let minX = Infinity;
+    let minY = Infinity;
+    let maxX = -Infinity;
+    let maxY = -Infinity;
+    for (const e of entities) {
+      if (e.x < minX) minX = e.x;
+      if (e.y < minY) minY = e.y;
+      if (e.x > maxX) maxX = e.x;
+      if (e.y > maxY) maxY = e.y;
+    }
+    return { minX, minY, maxX, maxY };
+  }
+
+  _longestAxis(entities) {
+    const c = this._centroidBounds(entities);
+    return c.maxX - c.minX >= c.maxY - c.minY ? 'x' : 'y';
+  }
+
+  // Buckets centres into SAH_BINS bins per axis and splits at the bin boundary that
+  // minimises perimeter(left) * |left| + perimeter(right) * |right|. Returns null when
+  // every centre coincides, leaving the caller to fall back to a median split.
+  _splitSAH(entities) {
+    const c = this._centroidBounds(entities);
+    let best = null;
+
+    for (const axis of ['x', 'y']) {
+      const lo = axis === 'x' ? c.minX : c.minY;
+      const extent = (axis === 'x' ? c.maxX : c.maxY) - lo;
+      if (!(extent > 0)) continue;
+
+      const bins = Array.from({ length: SAH_BINS }, () => ({ count: 0, bounds: null }));
+      for (const e of entities) {
+        const bin = bins[this._binOf(e[axis], lo, extent)];
+        const fat = this.fatBounds.get(e.id);
+        bin.count++;
+        bin.bounds = bin.bounds ? unionBounds(bin.bounds, fat) : fat;
+      }
+
+      // Right-hand costs from a suffix sweep, then evaluate each boundary left to right
+      const rightCost = new Array(SAH_BINS).fill(0);
+      let bounds = null;
+      let count = 0;
+      for (let i = SAH_BINS - 1; i > 0; i--) {
+        if (bins[i].count > 0) {
+          bounds = bounds ? unionBounds(bounds, bins[i].bounds) : bins[i].bounds;
+          count += bins[i].count;
+        }
+        rightCost[i] = bounds ? perimeter(bounds) * count : 0;
+      }
+
+      bounds = null;
+      count = 0;
+      for (let i = 0; i < SAH_BINS - 1; i++) {
+        if (bins[i].count > 0) {
+          bounds = bounds ? unionBounds(bounds, bins[i].bounds) : bins[i].bounds;
+          count += bins[i].count;
+        }
+        if (count === 0 || count === entities.length) continue;
+        const cost = perimeter(bounds) * count + rightCost[i + 1];
+        if (!best || cost < best.cost) best = { cost, axis, lo, extent, split: i };
+      }
+    }
+
+    if (!best) return null;
+    const left = [];
+    const right = [];
+    for (const e of entities) {
+      const bin = this._binOf(e[best.axis], best.lo, best.extent);
+      (bin <= best.split ? left : right).push(e);
+    }
+    return [left, right];
+  }
+
+  _binOf(value, lo, extent) {
+    return Math.min(SAH_BINS - 1, Math.floor(((value - lo) / extent) * SAH_BINS));
+  }
+
+  _makeLeaf(entities) {
+    const leaf = { isLeaf: true, entities, bounds: null, layers: 0, parent: null };
+    for (const entity of entities) this.leafOf.set(entity.id, leaf);
+    leaf.bounds = this._leafBounds(leaf);
+    leaf.layers = this._leafLayers(leaf);
+    return leaf;
+  }
+
+  // Nodes carry the OR of their entities' layers next to their bounds and refit it the same way
+  _makeBranch(left, right) {
+    const bounds = unionBounds(left.bounds, right.bounds);
+    const layers = left.layers | right.layers;
+    const node = { isLeaf: false, left, right, bounds, layers, parent: null };
+    left.parent = node;
+    right.parent = node;
+    return node;
+  }
 
+  _fatten(entity) {
+    const m = this.margin;
     return {
-      isLeaf: false,
-      left: this._buildNode(leftEntities, depth + 1),
-      right: this._buildNode(rightEntities, depth + 1),
-      bounds: this._computeBounds(entities),
+      minX: entity.x - entity.r - m,
+      minY: entity.y - entity.r - m,
+      maxX: entity.x + entity.r + m,
+      maxY: entity.y + entity.r + m,
     };
   }
 
-  _computeBounds(entities) {
-    if (entities.length === 0) return { minX: 0, minY: 0, maxX: 0, maxY: 0 };
+  _leafBounds(leaf) {
+    let bounds = null;
+    for (const entity of leaf.entities) {
+      const fat = this.fatBounds.get(entity.id);
+      bounds = bounds ? unionBounds(bounds, fat) : fat;
+    }
+    return bounds || { minX: 0, minY: 0, maxX: 0, maxY: 0 };
+  }
 
-    let minX = Infinity,
-      minY = Infinity,
-      maxX = -Infinity,
-      maxY = -Infinity;
+  _leafLayers(leaf) {
+    let layers = 0;
+    for (const entity of leaf.entities) layers |= layerOf(entity);
+    return layers;
+  }
 
-    for (const entity of entities) {
-      const left = entity.x - entity.r;
-      const right = entity.x + entity.r;
-      const top = entity.y - entity.r;
-      const bottom = entity.y + entity.r;
+  // O(depth): walk down the cheaper-to-grow child, then refit and rotate on the way back up
+  insert(entity) {
+    if (this.entities.has(entity.id)) {
+      this.update(entity);
+      return;
+    }
+
+    const fat = this._fatten(entity);
+    this.entities.set(entity.id, entity);
+    this.fatBounds.set(entity.id, fat);
 
-      minX = Math.min(minX, left);
-      minY = Math.min(minY, top);
-      maxX = Math.max(maxX, right);
-      maxY = Math.max(maxY, bottom);
+    if (!this.root) {
+      this.root = this._makeLeaf([entity]);
+      this.buildCost = this._treeCost();
+      return;
     }
 
-    return { minX, minY, maxX, maxY };
+    let node = this.root;
+    while (!node.isLeaf) {
+      node =
+        this._growthCost(node.left, fat) <= this._growthCost(node.right, fat)
+          ? node.left
+          : node.right;
+    }
+
+    node.entities.push(entity);
+    this.leafOf.set(entity.id, node);
+    if (node.entities.length > this.capacity) node = this._splitLeaf(node);
+    this._refitUp(node);
+    this._afterEdit();
+  }
+
+  remove(entity) {
+    const leaf = this.leafOf.get(entity.id);
+    if (!leaf) return;
+
+    leaf.entities.splice(leaf.entities.indexOf(this.entities.get(entity.id)), 1);
+    this.entities.delete(entity.id);
+    this.fatBounds.delete(entity.id);
+    this.leafOf.delete(entity.id);
+
+    if (leaf.entities.length > 0) {
+      this._refitUp(leaf);
+    } else if (!leaf.parent) {
+      this.root = null;
+    } else {
+      // Drop the empty leaf and let its sibling take the parent's place
+      const parent = leaf.parent;
+      const sibling = parent.left === leaf ? parent.right : parent.left;
+      this._replaceChild(parent, sibling);
+      this._refitUp(sibling.parent);
+    }
+    this._afterEdit();
+  }
+
+  // Moves inside the padded box cost nothing; anything further is a remove + reinsert
+  update(entity) {
+    const fat = this.fatBounds.get(entity.id);
+    if (!fat) {
+      this.insert(entity);
+      return;
+    }
+    const layer = layerOf(entity);
+    if (contains(fat, aabbOf(entity)) && (this.leafOf.get(entity.id).layers & layer) === layer) {
+      return;
+    }
+
+    this.counters.reinserts++;
+    this.remove(entity);
+    this.insert(entity);
+  }
+
+  // Bottom-up refit for when many entities moved at once: re-pad anything that left its
+  // box and recompute every node's bounds without changing the tree's shape
+  refit() {
+    for (const entity of this.entities.values()) {
+      if (!contains(this.fatBounds.get(entity.id), aabbOf(entity))) {
+        this.fatBounds.set(entity.id, this._fatten(entity));
+      }
+    }
+    if (this.root) this._refitNode(this.root);
+    this.counters.refits++;
+    this._afterEdit();
+  }
+
+  _refitNode(node) {
+    if (node.isLeaf) {
+      node.bounds = this._leafBounds(node);
+      node.layers = this._leafLayers(node);
+    } else {
+      this._refitNode(node.left);
+      this._refitNode(node.right);
+      node.bounds = unionBounds(node.left.bounds, node.right.bounds);
+      node.layers = node.left.layers | node.right.layers;
+    }
+  }
+
+  _growthCost(node, box) {
+    return perimeter(unionBounds(node.bounds, box)) - perimeter(node.bounds);
+  }
+
+  // An over-full leaf becomes a branch over two halves chosen by the configured builder
+  _splitLeaf(leaf) {
+    let depth = 0;
+    for (let node = leaf.parent; node; node = node.parent) depth++;
+    const [left, right] = this._partition(leaf.entities.slice(), depth);
+    const branch = this._makeBranch(this._makeLeaf(left), this._makeLeaf(right));
+    this._replaceChild(leaf, branch);
+    return branch;
+  }
+
+  // Puts replacement where node sits in the tree
+  _replaceChild(node, replacement) {
+    const parent = node.parent;
+    replacement.parent = parent;
+    if (!parent) {
+      this.root = replacement;
+    } else if (parent.left === node) {
+      parent.left = replacement;
+    } else {
+      parent.right = replacement;
+    }
+  }
+
+  _refitUp(node) {
+    while (node) {
+      if (node.isLeaf) {
+        node.bounds = this._leafBounds(node);
+        node.layers = this._leafLayers(node);
+      } else {
+        node.bounds = unionBounds(node.left.bounds, node.right.bounds);
+        node.layers = node.left.layers | node.right.layers;
+        this._rotate(node);
+      }
+      node = node.parent;
+    }
+  }
+
+  // Swap a child with a grandchild on the other side when that shrinks the other side's
+  // box; node's own bounds are unchanged, so ancestors need no extra work
+  _rotate(node) {
+    let best = 0;
+    let swap = null;
+    for (const [child, other] of [
+      [node.left, node.right],
+      [node.right, node.left],
+    ]) {
+      if (other.isLeaf) continue;
+      for (const [grandchild, kept] of [
+        [other.left, other.right],
+        [other.right, other.left],
+      ]) {
+        const gain = perimeter(other.bounds) - perimeter(unionBounds(child.bounds, kept.bounds));
+        if (gain > best) {
+          best = gain;
+          swap = { child, other, grandchild };
+        }
+      }
+    }
+    if (!swap) return;
+
+    const { child, other, grandchild } = swap;
+    if (node.left === child) node.left = grandchild;
+    else node.right = grandchild;
+    grandchild.parent = node;
+    if (other.left === grandchild) other.left = child;
+    else other.right = child;
+    child.parent = other;
+    other.bounds = unionBounds(other.left.bounds, other.right.bounds);
+    other.layers = other.left.layers | other.right.layers;
+    this.counters.rotations++;
+  }
+
+  // Rotations only fix things locally; if the tree as a whole has drifted, start over.
+  // The cost walk is O(nodes), so it only runs about once per leaf's worth of edits.
+  _afterEdit() {
+    this._editsSinceCheck++;
+    if (this._editsSinceCheck < Math.max(32, this.entities.size / this.capacity)) return;
+    this._editsSinceCheck = 0;
+    if (this._treeCost() > this.buildCost * this.rebuildThreshold) {
+      this.rebuild(Array.from(this.entities.values()));
+    }
+  }
+
+  // Surface area heuristic with unit traversal and intersection costs, normalised by the root
+  _treeCost() {
+    if (!this.root) return 0;
+    const rootPerimeter = perimeter(this.root.bounds) || 1;
+    let cost = 0;
+    const stack = [this.root];
+    while (stack.length > 0) {
+      const node = stack.pop();
+      const ratio = perimeter(node.bounds) / rootPerimeter;
+      if (node.isLeaf) {
+        cost += ratio * node.entities.length;
+      } else {
+        cost += ratio;
+        stack.push(node.left, node.right);
+      }
+    }
+    return cost;
   }
 
-  queryRange(range) {
+  queryRange(range, options) {
     const results = [];
     if (!this.root) return results;
 
-    this._queryNode(this.root, range, results);
+    this._queryNode(this.root, range, results, options?.mask);
     return results;
   }
 
-  _queryNode(node, range, results) {
-    if (!node) return;
+  _queryNode(node, range, results, mask) {
+    if (!node || !layersMatch(node.layers, mask)) return;
 
     if (!this._boundsIntersect(node.bounds, range)) {
       return;
@@ -83,13 +438,13 @@ export default class BVH {
 
     if (node.isLeaf) {
       for (const entity of node.entities) {
-        if (this._entityInRange(entity, range)) {
+        if (matchesMask(entity, mask) && entityOverlapsRange(entity, range)) {
           results.push(entity);
         }
       }
     } else {
-      this._queryNode(node.left, range, results);
-      this._queryNode(node.right, range, results);
+      this._queryNode(node.left, range, results, mask);
+      this._queryNode(node.right, range, results, mask);
     }
   }
 
@@ -102,27 +457,88 @@ export default class BVH {
     );
   }
 
-  _entityInRange(entity, range) {
-    return (
-      entity.x >= range.minX &&
-      entity.x <= range.maxX &&
-      entity.y >= range.minY &&
-      entity.y <= range.maxY
-    );
+  queryCircle(x, y, r, options) {
+    const results = [];
+    if (!this.root) return results;
+
+    this._queryCircleNode(this.root, x, y, r, results, options?.mask);
+    return results;
+  }
+
+  _queryCircleNode(node, x, y, r, results, mask) {
+    if (!node || !layersMatch(node.layers, mask)) return;
+    if (!circleIntersectsBounds(x, y, r, node.bounds)) return;
+
+    if (node.isLeaf) {
+      for (const entity of node.entities) {
+        if (matchesMask(entity, mask) && entityOverlapsCircle(entity, x, y, r)) {
+          results.push(entity);
+        }
+      }
+    } else {
+      this._queryCircleNode(node.left, x, y, r, results, mask);
+      this._queryCircleNode(node.right, x, y, r, results, mask);
+    }
+  }
+
+  _castRay(ray, hits) {
+    if (this.root) this._castRayNode(this.root, ray, hits);
+  }
+
+  // Slab test each child, then descend nearest-entry first
+  _castRayNode(node, ray, hits) {
+    if (node.isLeaf) {
+      for (const entity of node.entities) hits.test(entity);
+      return;
+    }
+
+    const entered = [];
+    for (const child of [node.left, node.right]) {
+      if (!child) continue;
+      const span = clipRayToBounds(ray, child.bounds, 0, hits.maxT);
+      if (span) entered.push({ child, t: span[0] });
+    }
+    entered.sort((a, b) => a.t - b.t);
+    for (const { child, t } of entered) {
+      if (t <= hits.maxT) this._castRayNode(child, ray, hits);
+    }
+  }
+
+  // Kept for existing callers; now a true circle query rather than its bounding square
+  queryRadius(x, y, radius, options) {
+    return this.queryCircle(x, y, radius, options);
   }
 
-  queryRadius(x, y, radius) {
-    return this.queryRange({
-      minX: x - radius,
-      minY: y - radius,
-      maxX: x + radius,
-      maxY: y + radius,
-    });
+  // Best-first descent ordered by distance to each node's bounds
+  queryNearest(x, y, k = 1, maxDist = Infinity) {
+    const nearest = new NearestSet(k, maxDist);
+    if (!this.root || nearest.k === 0) return [];
+
+    const queue = new NodeQueue();
+    queue.push(this.root, distSqToBounds(x, y, this.root.bounds));
+    while (queue.size > 0) {
+      const { node, priority } = queue.pop();
+      if (priority > nearest.worstDistSq) break;
+
+      if (node.isLeaf) {
+        for (const entity of node.entities) nearest.offer(entity, x, y);
+        continue;
+      }
+      for (const child of [node.left, node.right]) {
+        if (!child) continue;
+        const d = distSqToBounds(x, y, child.bounds);
+        if (d <= nearest.worstDistSq) queue.push(child, d);
+      }
+    }
+    return nearest.toArray();
   }
 
   clear() {
     this.root = null;
-    this.entities = [];
+    this.entities = new Map();
+    this.fatBounds = new Map();
+    this.leafOf = new Map();
+    this.buildCost = 0;
   }
 
   getStats() {
@@ -130,6 +546,7 @@ export default class BVH {
     let leafCount = 0;
     let maxDepth = 0;
     let totalEntitiesInLeaves = 0;
+    let overlapArea = 0;
 
     const traverse = (node, depth = 0) => {
       if (!node) return;
@@ -141,12 +558,14 @@ export default class BVH {
         leafCount++;
         totalEntitiesInLeaves += node.entities.length;
       } else {
+        overlapArea += intersectionArea(node.left.bounds, node.right.bounds);
         traverse(node.left, depth + 1);
         traverse(node.right, depth + 1);
       }
     };
 
     traverse(this.root);
+    const rootArea = this.root ? area(this.root.bounds) : 0;
 
     return {
       nodeCount,
@@ -155,26 +574,36 @@ export default class BVH {
       totalEntitiesInLeaves,
       averageEntitiesPerLeaf: leafCount > 0 ? totalEntitiesInLeaves / leafCount : 0,
       balanceFactor: maxDepth > 0 ? nodeCount / maxDepth : 0,
+      builder: this.builder,
+      margin: this.margin,
+      // SAH cost normalised by the root (lower is better) and how much sibling boxes
+      // overlap as a fraction of the root's area (more overlap, more nodes per query)
+      cost: this._treeCost(),
+      overlap: rootArea > 0 ? overlapArea / rootArea : 0,
+      buildCost: this.buildCost,
+      ...this.counters,
     };
   }
 
-  insert(entity) {
-    this.entities.push(entity);
-    this.rebuild(this.entities);
+  allEntities() {
+    return Array.from(this.entities.values());
   }
 
-  remove(entity) {
-    const index = this.entities.indexOf(entity);
-    if (index > -1) {
-      this.entities.splice(index, 1);
-      this.rebuild(this.entities);
-    }
+  setCapacity(capacity) {
+    this.setParams(capacity, this.builder);
   }
 
-  setCapacity(capacity) {
+  setBuilder(builder) {
+    if (!BVH_BUILDERS.includes(builder)) return;
+    this.setParams(this.capacity, builder);
+  }
+
+  // Both at once cost a single rebuild; an unknown builder is ignored
+  setParams(capacity, builder = this.builder) {
     this.capacity = Math.max(1, capacity);
-    if (this.entities.length > 0) {
-      this.rebuild(this.entities);
+    if (BVH_BUILDERS.includes(builder)) this.builder = builder;
+    if (this.entities.size > 0) {
+      this.rebuild(this.allEntities());
     }
   }
 }
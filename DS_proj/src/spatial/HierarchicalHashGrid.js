@@ -0,0 +1,177 @@
+// src/spatial/HierarchicalHashGrid.js
+// Stack of hash grids whose cell size doubles per level. Each entity lives only in the
+// finest level whose cells are at least as wide as it is, so it touches at most 2x2 cells
+// there; queries walk every level.
+import ISpatialIndex from './ISpatialIndex';
+import SpatialHashGrid from './SpatialHashGrid';
+import { NearestSet } from './nearest';
+
+export default class HierarchicalHashGrid extends ISpatialIndex {
+  // Accepts either a bare base cell size or a config object ({ baseCellSize, levels })
+  constructor(config = 16) {
+    super();
+    const opts = typeof config === 'number' ? { baseCellSize: config } : config || {};
+    this.type = 'hgrid';
+    this.baseCellSize = Math.max(1, opts.baseCellSize || 16);
+    this.levelCount = Math.max(1, Math.floor(opts.levels || 4));
+    this.levelOf = new Map();
+    this._createLevels();
+  }
+
+  _createLevels() {
+    this.levels = [];
+    for (let i = 0; i < this.levelCount; i++) {
+      this.levels.push(new SpatialHashGrid(this.baseCellSize * 2 ** i));
+    }
+  }
+
+  // Finest level whose cell size covers the entity's diameter; oversized entities go in
+  // the coarsest level and span several of its cells
+  _levelFor(entity) {
+    const diameter = entity.r * 2;
+    for (let i = 0; i < this.levels.length; i++) {
+      if (diameter <= this.levels[i].cellSize) return i;
+    }
+    return this.levels.length - 1;
+  }
+
+  setParams(baseCellSize, levels = this.levelCount) {
+    const entities = this.allEntities();
+    this.baseCellSize = Math.max(1, baseCellSize);
+    this.levelCount = Math.max(1, Math.floor(levels));
+    this._createLevels();
+    this.rebuild(entities);
+  }
+
+  clear() {
+    for (const level of this.levels) level.clear();
+    this.levelOf.clear();
+  }
+
+  rebuild(entities) {
+    this.clear();
+    for (const e of entities) {
+      this.insert(e);
+    }
+  }
+
+  insert(entity) {
+    if (this.levelOf.has(entity.id)) this.remove(entity);
+    const level = this._levelFor(entity);
+    this.levels[level].insert(entity);
+    this.levelOf.set(entity.id, level);
+  }
+
+  remove(entity) {
+    const level = this.levelOf.get(entity.id);
+    if (level === undefined) return;
+    this.levels[level].remove(entity);
+    this.levelOf.delete(entity.id);
+  }
+
+  // A radius change can move the entity to another level
+  update(entity) {
+    const level = this.levelOf.get(entity.id);
+    if (level !== undefined && level === this._levelFor(entity)) {
+      this.levels[level].update(entity);
+      return;
+    }
+    this.insert(entity);
+  }
+
+  allEntities() {
+    return this.levels.flatMap((level) => level.allEntities());
+  }
+
+  // Each entity sits in exactly one level, so the per-level results never overlap
+  queryRange(range, options) {
+    const found = [];
+    for (const level of this.levels) {
+      if (level.entities.size > 0) found.push(...level.queryRange(range, options));
+    }
+    return found;
+  }
+
+  // Each entity lives in exactly one level, so the levels write into the batch back to back
+  _batchRange(range, options, results) {
+    for (const level of this.levels) {
+      if (level.entities.size > 0) level._batchRange(range, options, results);
+    }
+  }
+
+  queryCircle(x, y, r, options) {
+    const found = [];
+    for (const level of this.levels) {
+      if (level.entities.size > 0) found.push(...level.queryCircle(x, y, r, options));
+    }
+    return found;
+  }
+
+  // The shared RayHits shrinks maxT as hits are found, so later levels stop their DDA early
+  _castRay(ray, hits) {
+    for (const level of this.levels) level._castRay(ray, hits);
+  }
+
+  // The overall k nearest are among the union of each level's k nearest. Later levels only
+  // search as far as the current k-th best, and are skipped when all their cells lie beyond it.
+  queryNearest(x, y, k = 1, maxDist = Infinity) {
+    const nearest = new NearestSet(k, maxDist);
+    if (nearest.k === 0) return [];
+    for (const level of this.levels) {
+      if (level.entities.size === 0) continue;
+      const worstSq = nearest.worstDistSq;
+      if (this._occupiedDistSq(level, x, y) > worstSq) continue;
+      for (const entity of level.queryNearest(x, y, k, Math.sqrt(worstSq))) {
+        nearest.offer(entity, x, y);
+      }
+    }
+    return nearest.toArray();
+  }
+
+  // Squared distance from (x, y) to the box around a level's occupied cells
+  _occupiedDistSq(level, x, y) {
+    const occ = level.occupied;
+    const cs = level.cellSize;
+    const dx = Math.max(occ.minCx * cs - x, 0, x - (occ.maxCx + 1) * cs);
+    const dy = Math.max(occ.minCy * cs - y, 0, y - (occ.maxCy + 1) * cs);
+    return dx * dx + dy * dy;
+  }
+
+  getStats() {
+    const levels = this.levels.map((level) => {
+      let cellRefs = 0;
+      for (const keys of level.entityToKeys.values()) cellRefs += keys.length;
+      return {
+        cellSize: level.cellSize,
+        entityCount: level.entities.size,
+        cellCount: level.cells.size,
+        cellRefs,
+      };
+    });
+    const entityCount = this.levelOf.size;
+    const cellRefs = levels.reduce((sum, l) => sum + l.cellRefs, 0);
+    return {
+      entityCount,
+      baseCellSize: this.baseCellSize,
+      levels,
+      cellCount: levels.reduce((sum, l) => sum + l.cellCount, 0),
+      // Cells touched per entity: 1 when everything fits inside a single cell
+      cellsPerEntity: entityCount > 0 ? cellRefs / entityCount : 0,
+    };
+  }
+
+  // Occupied cells of every level in world space, coarser levels in warmer colours
+  debugDraw(ctx, canvas, camera) {
+    ctx.save();
+    ctx.lineWidth = 1;
+    this.levels.forEach((level, i) => {
+      const cs = level.cellSize;
+      ctx.strokeStyle = `hsla(${200 - i * 45}, 80%, 60%, 0.25)`;
+      for (const key of level.cells.keys()) {
+        const [cx, cy] = key.split(',').map(Number);
+        ctx.strokeRect(cx * cs, cy * cs, cs, cs);
+      }
+    });
+    ctx.restore();
+  }
+}
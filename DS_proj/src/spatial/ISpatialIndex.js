@@ -1,5 +1,21 @@
 // src/spatial/ISpatialIndex.js
 // Conceptual interface for spatial indexes. Concrete classes must implement these methods.
+//
+// Query contract shared by every index (IndexManager relies on it when switching types):
+//  - results are the entity objects themselves, never ids
+//  - an entity matches a range when its AABB (x ± r, y ± r) overlaps it, edges inclusive
+//  - each entity appears once unless the caller passes { dedupe: false }, which lets
+//    multi-bucket structures skip their dedup pass and may repeat an entity
+//  - result order is unspecified
+//  - indexes that support it take an { out } array to empty and fill in place of allocating
+//  - queryRange/queryCircle take { mask }: only entities whose layer shares a bit with it
+//    are returned, and whole nodes/cells holding no such layer may be skipped (see layers.js)
+//  - queryRangeBatch answers many boxes at once with ids in typed arrays (see batch.js)
+
+import { makeRay, RayHits } from './raycast';
+import { aabbOf } from './geometry';
+import { matchesMask } from './layers';
+import { BOX_STRIDE, sortByLocation, loadBox } from './batch';
 
 export default class ISpatialIndex {
   // Rebuild the index from an array of entity objects
@@ -22,8 +38,106 @@ export default class ISpatialIndex {
     throw new Error('Not implemented');
   }
 
-  // Query by axis-aligned bounding box: {minX,minY,maxX,maxY} -> returns array of entity ids
-  queryRange(aabb) {
+  // Query by axis-aligned bounding box: {minX,minY,maxX,maxY} -> returns array of entities
+  queryRange(aabb, options) {
+    throw new Error('Not implemented');
+  }
+
+  // Entities whose circle (x, y, e.r) overlaps the query circle, edges inclusive
+  queryCircle(x, y, r, options) {
+    throw new Error('Not implemented');
+  }
+
+  // k nearest entities to (x, y) by centre distance, within maxDist, sorted closest first
+  queryNearest(x, y, k, maxDist) {
+    throw new Error('Not implemented');
+  }
+
+  // ranges packs minX, minY, maxX, maxY per query; results is a BatchResults that receives each
+  // query's ids at results.offsets[i], results.counts[i] of them. Same semantics as queryRange.
+  queryRangeBatch(ranges, results, options = {}) {
+    results.reset(Math.floor(ranges.length / BOX_STRIDE));
+    sortByLocation(ranges, results);
+    const box = results.box;
+    const queryOptions = { dedupe: options.dedupe, mask: options.mask, out: results.scratch };
+    for (let n = 0; n < results.queryCount; n++) {
+      const i = results.order[n];
+      results.offsets[i] = results.total;
+      this._batchRange(loadBox(ranges, i, box), queryOptions, results);
+      results.counts[i] = results.total - results.offsets[i];
+    }
+    return results;
+  }
+
+  // One box of a batch. The default goes through queryRange (which reuses options.out where
+  // the index supports it); indexes with a cheaper allocation-free walk override this.
+  _batchRange(box, options, results) {
+    const found = this.queryRange(box, options);
+    for (let i = 0; i < found.length; i++) results.push(found[i].id);
+  }
+
+  // Every entity currently held by the index, in no particular order
+  allEntities() {
+    throw new Error('Not implemented');
+  }
+
+  // Broadphase: unique [a, b] pairs whose AABBs overlap, a passing filterA and b passing
+  // filterB (null accepts anything). Each a drives one queryRange on the structure, so the
+  // cost follows the index. boundsOf(a) can widen a's query box, e.g. to a projectile's sweep.
+  // mask restricts b to those layers and lets the index prune by them.
+  queryPairs(filterA = null, filterB = null, { boundsOf = aabbOf, mask } = {}) {
+    const symmetric = boundsOf === aabbOf;
+    const pairs = [];
+    for (const a of this.allEntities()) {
+      if (filterA && !filterA(a)) continue;
+      for (const b of this.queryRange(boundsOf(a), { mask })) {
+        if (b === a || (filterB && !filterB(b))) continue;
+        // When both entities fit both filters the pair is found twice; keep the lower-id driver
+        if (
+          symmetric &&
+          b.id < a.id &&
+          (!filterA || filterA(b)) &&
+          (!filterB || filterB(a)) &&
+          matchesMask(a, mask)
+        ) {
+          continue;
+        }
+        pairs.push([a, b]);
+      }
+    }
+    return pairs;
+  }
+
+  // First entity hit along origin + t * dir, t in [0, maxDist] -> { entity, distance, point } | null
+  raycast(origin, dir, maxDist = Infinity, filter = null) {
+    const ray = makeRay(origin, dir, maxDist);
+    if (!ray) return null;
+    const hits = new RayHits(ray, filter, true);
+    this._castRay(ray, hits);
+    return hits.first();
+  }
+
+  // Every entity the ray passes through, closest first (piercing shots)
+  raycastAll(origin, dir, maxDist = Infinity, filter = null) {
+    const ray = makeRay(origin, dir, maxDist);
+    if (!ray) return [];
+    const hits = new RayHits(ray, filter, false);
+    this._castRay(ray, hits);
+    return hits.all();
+  }
+
+  segmentCast(a, b, filter = null) {
+    const dir = { x: b.x - a.x, y: b.y - a.y };
+    return this.raycast(a, dir, Math.hypot(dir.x, dir.y), filter);
+  }
+
+  segmentCastAll(a, b, filter = null) {
+    const dir = { x: b.x - a.x, y: b.y - a.y };
+    return this.raycastAll(a, dir, Math.hypot(dir.x, dir.y), filter);
+  }
+
+  // Index-specific traversal: hand candidate entities to hits.test(), pruning past hits.maxT
+  _castRay(ray, hits) {
     throw new Error('Not implemented');
   }
 
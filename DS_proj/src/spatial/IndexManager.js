@@ -1,129 +1,523 @@
 import Quadtree from './Quadtree';
 import SpatialHashGrid from './SpatialHashGrid';
+import PackedHashGrid from './PackedHashGrid';
+import HierarchicalHashGrid from './HierarchicalHashGrid';
 import KDTree from './KDTree';
 import BVH from './BVH';
+import SweepAndPrune from './SweepAndPrune';
+import RTree from './RTree';
+import MortonIndex from './MortonIndex';
+import AutoIndexSelector from './AutoIndexSelector';
+import ShadowValidator from './ShadowValidator';
+import MergedIndex from './MergedIndex';
+import QueryCache from './QueryCache';
+import { isIndexed } from './layers';
+import { loadBox } from './batch';
+
+// Key schemes for the 'grid' type: the original string-keyed grid and the packed one
+export const GRID_MODES = ['string', 'packed'];
+
+// Structures the static layer can use; 'none' leaves static entities in the dynamic index
+export const STATIC_TYPES = ['none', 'bvh', 'rtree', 'grid', 'quadtree', 'kdtree', 'morton'];
 
 export default class IndexManager {
   constructor(config = {}) {
+    this.config = config;
     this.type = config.type || 'grid';
+    // 'string' is the original "cx,cy"-keyed grid, 'packed' the allocation-free one
+    this.gridMode = config.gridMode || 'string';
     this.entities = [];
 
-    // Initialize all three data structures
-    this.grid = new SpatialHashGrid({
-      cellSize: config.gridCellSize || 128,
-      bounds: config.bounds || { minX: -5000, minY: -5000, maxX: 5000, maxY: 5000 },
+    // 'auto' runs on autoType, which the selector revises from periodic workload samples
+    this.autoType = config.autoStart || 'grid';
+    this.autoSelector = new AutoIndexSelector({
+      sampleInterval: config.autoSampleInterval,
+      margin: config.autoMargin,
+      confirmations: config.autoConfirmations,
     });
+    // Calls since the last auto sample, for the query/update ratio
+    this.counters = { queries: 0, updates: 0 };
+    this.listeners = new Map();
 
-    this.quadtree = new Quadtree({
-      capacity: config.quadtreeCapacity || 8,
-      maxDepth: config.quadtreeMaxDepth || 6,
-      bounds: config.bounds || { minX: -5000, minY: -5000, maxX: 5000, maxY: 5000 },
-    });
+    // Shadow validation (debug): every tracked entity, by id, as ground truth for brute force
+    this.validator = null;
+    this.tracked = new Map();
+    this.queriesSinceRebuild = 0;
 
-    this.kdtree = new KDTree({
-      capacity: config.kdtreeCapacity || 16,
-      bounds: config.bounds || { minX: -5000, minY: -5000, maxX: 5000, maxY: 5000 },
-    });
+    // Optional per-querier cache for repeated proximity queries (see QueryCache)
+    this.queryCache = null;
 
-    this.bvh = new BVH({
-      capacity: config.bvhCapacity || 16,
-    });
+    this.grid = this._makeIndex('grid');
+    this.packedGrid = this._makeIndex('packedGrid');
+    this.hgrid = this._makeIndex('hgrid');
+    this.quadtree = this._makeIndex('quadtree');
+    this.kdtree = this._makeIndex('kdtree');
+    this.bvh = this._makeIndex('bvh');
+    this.sap = this._makeIndex('sap');
+    this.rtree = this._makeIndex('rtree');
+    this.morton = this._makeIndex('morton');
+
+    // Static layer: entities flagged { static: true } never move, so they live in their own
+    // structure that is only rebuilt when one is added or removed, never on the tick
+    this.staticEntities = new Map();
+    this.staticDirty = false;
+    this.staticRebuilds = 0;
+    this.setStaticType(config.staticType || 'bvh');
 
     this.currentIndex = this.getCurrentIndex();
+    if (config.validate) this.setValidation(true, config.validateSampleRate);
+    if (config.queryCache) this.setQueryCache(true, config.queryCacheTolerance);
+  }
+
+  // A fresh, empty index of the given kind built from the constructor config. Bounds are
+  // only a starting size: the trees grow their root when entities wander past them
+  _makeIndex(kind) {
+    const config = this.config;
+    const bounds = config.bounds || { minX: -5000, minY: -5000, maxX: 5000, maxY: 5000 };
+    switch (kind) {
+      case 'grid':
+        return new SpatialHashGrid({ cellSize: config.gridCellSize || 128, bounds });
+      case 'packedGrid':
+        return new PackedHashGrid({ cellSize: config.gridCellSize || 128 });
+      case 'hgrid':
+        // Cell sizes double per level; entities sit in the level that fits their radius
+        return new HierarchicalHashGrid({
+          baseCellSize: config.hgridBaseCellSize || 16,
+          levels: config.hgridLevels || 4,
+        });
+      case 'quadtree':
+        return new Quadtree({
+          capacity: config.quadtreeCapacity || 8,
+          maxDepth: config.quadtreeMaxDepth || 6,
+          looseness: config.quadtreeLooseness || 1,
+          bounds,
+        });
+      case 'kdtree':
+        return new KDTree({ capacity: config.kdtreeCapacity || 16, bounds });
+      case 'bvh':
+        return new BVH({
+          capacity: config.bvhCapacity || 16,
+          builder: config.bvhBuilder || 'sah',
+          margin: config.bvhMargin ?? 8,
+        });
+      case 'sap':
+        return new SweepAndPrune({ axes: config.sapAxes || 'x' });
+      case 'rtree':
+        return new RTree({ maxEntries: config.rtreeMaxEntries || 9 });
+      case 'morton':
+        // Flat Z-ordered arrays, the linear counterpart to the pointer-based trees
+        return new MortonIndex();
+      default:
+        throw new Error(`Unknown index kind: ${kind}`);
+    }
+  }
+
+  // Static entities are re-sorted into the new layer by the caller's next rebuild()
+  setStaticType(type) {
+    this.staticType = STATIC_TYPES.includes(type) ? type : 'none';
+    this.staticIndex = this.staticType === 'none' ? null : this._makeIndex(this.staticType);
+    this.merged = this.staticIndex ? new MergedIndex(this.staticIndex, null) : null;
+    this.staticEntities.clear();
+    this.staticDirty = false;
+  }
+
+  _isStatic(entity) {
+    return !!this.staticIndex && entity.static === true;
+  }
+
+  // What queries run against: the active index alone, or merged with a non-empty static layer
+  get queryIndex() {
+    if (this.staticDirty) this._rebuildStatic();
+    if (!this.merged || this.staticEntities.size === 0) return this.currentIndex;
+    this.merged.dynamicIndex = this.currentIndex;
+    return this.merged;
+  }
+
+  // Inserts and removals only mark the layer; a batch of them costs one rebuild at the next query
+  _rebuildStatic() {
+    this.staticDirty = false;
+    this.staticRebuilds++;
+    this.staticIndex.rebuild(Array.from(this.staticEntities.values()));
+  }
+
+  getStaticLayerStats() {
+    return {
+      type: this.staticType,
+      entityCount: this.staticEntities.size,
+      rebuilds: this.staticRebuilds,
+    };
+  }
+
+  // The concrete type serving queries; differs from type only under 'auto'
+  get activeType() {
+    return this.type === 'auto' ? this.autoType : this.type;
   }
 
   getCurrentIndex() {
-    switch (this.type) {
+    return this._indexFor(this.activeType);
+  }
+
+  _indexFor(type) {
+    switch (type) {
       case 'grid':
-        return this.grid;
+        return this.gridMode === 'packed' ? this.packedGrid : this.grid;
+      case 'hgrid':
+        return this.hgrid;
       case 'quadtree':
         return this.quadtree;
       case 'kdtree':
         return this.kdtree;
       case 'bvh':
         return this.bvh;
+      case 'sap':
+        return this.sap;
+      case 'rtree':
+        return this.rtree;
+      case 'morton':
+        return this.morton;
       default:
         return this.grid;
     }
   }
 
-  setBVHParams(capacity) {
-    this.bvh.setCapacity(Math.max(1, capacity));
+  setBVHParams(capacity, builder = this.bvh.builder) {
+    this.bvh.setParams(capacity, builder);
+  }
+
+  setSweepAxes(axes) {
+    this.sap.setAxes(axes);
   }
 
   setType(type) {
+    // Auto starts from whatever was running so switching to it costs nothing up front
+    if (type === 'auto' && this.type !== 'auto') this.autoType = this.activeType;
     this.type = type;
     this.currentIndex = this.getCurrentIndex();
+    // The newly active index may not hold everything yet, so cached answers start over
+    this.queryCache?.clear();
   }
 
   setGridCellSize(size) {
     this.grid.setCellSize(size);
+    this.packedGrid.setCellSize(size);
+  }
+
+  setGridMode(mode) {
+    this.gridMode = GRID_MODES.includes(mode) ? mode : 'string';
+    this.currentIndex = this.getCurrentIndex();
+    this.queryCache?.clear();
+  }
+
+  setHierarchicalGridParams(baseCellSize, levels) {
+    this.hgrid.setParams(baseCellSize, levels);
   }
 
-  setQuadtreeParams(capacity, maxDepth) {
+  setQuadtreeParams(capacity, maxDepth, looseness = this.quadtree.looseness) {
     this.quadtree.setCapacity(capacity);
     this.quadtree.setMaxDepth(maxDepth);
+    this.quadtree.setLooseness(looseness);
   }
 
   setKDTreeParams(capacity) {
     this.kdtree.setCapacity(capacity);
   }
 
+  // Indexes that take per-entity insert/update/remove between full rebuilds; the trees
+  // that only bulk-build are refreshed by rebuild() alone
+  isIncremental() {
+    return ['grid', 'hgrid', 'bvh', 'sap', 'rtree'].includes(this.activeType);
+  }
+
+  // Listeners get { from, to, reason, features, costs } on 'switch'; returns an unsubscribe
+  on(event, listener) {
+    if (!this.listeners.has(event)) this.listeners.set(event, new Set());
+    this.listeners.get(event).add(listener);
+    return () => this.listeners.get(event)?.delete(listener);
+  }
+
+  _emit(event, detail) {
+    for (const listener of this.listeners.get(event) || []) listener(detail);
+  }
+
+  // Turning validation on seeds the ground truth from what the indexes hold right now
+  setValidation(enabled, sampleRate) {
+    if (!enabled) {
+      this.validator = null;
+      this.tracked.clear();
+      return;
+    }
+    if (!this.validator) {
+      this.validator = new ShadowValidator({ sampleRate });
+      this.tracked = new Map();
+      for (const e of this.entities) this.tracked.set(e.id, e);
+      for (const e of this.currentIndex.allEntities()) this.tracked.set(e.id, e);
+      for (const e of this.staticEntities.values()) this.tracked.set(e.id, e);
+    } else if (sampleRate !== undefined) {
+      this.validator.sampleRate = sampleRate;
+    }
+  }
+
+  getValidationMetrics() {
+    return this.validator ? this.validator.getMetrics() : null;
+  }
+
+  // Starts from whatever is indexed now; a tolerance change keeps the movement history
+  setQueryCache(enabled, tolerance) {
+    if (!enabled) {
+      this.queryCache = null;
+      return;
+    }
+    if (!this.queryCache) {
+      this.queryCache = new QueryCache({ tolerance, cellSize: this.config.queryCacheCellSize });
+      this.queryCache.sync(this.queryIndex.allEntities());
+    } else if (tolerance !== undefined) {
+      this.queryCache.tolerance = tolerance;
+      this.queryCache.entries.clear();
+    }
+  }
+
+  getQueryCacheMetrics() {
+    return this.queryCache ? this.queryCache.getMetrics() : null;
+  }
+
+  // queryCircle for a querier that asks again every tick; falls through when no cache is set.
+  // A cached answer is shared with later calls for the same key, so treat it as read-only.
+  queryCircleCached(key, x, y, r, options) {
+    if (!this.queryCache) return this.queryCircle(x, y, r, options);
+    return this.queryCache.queryCircle(key, x, y, r, options, this);
+  }
+
+  // Cosmetic entities ({ indexed: false }) never enter any index
   insert(entity) {
-    if (this.type === 'grid') {
-      this.grid.insert(entity);
+    if (!isIndexed(entity)) return;
+    if (this._isStatic(entity)) {
+      this._insertStatic(entity);
+      return;
+    }
+    this.counters.updates++;
+    if (this.validator) this.tracked.set(entity.id, entity);
+    // Edits only reach non-incremental indexes at the next rebuild, which is when the cache syncs
+    if (this.isIncremental()) {
+      this.currentIndex.insert(entity);
+      this.queryCache?.note(entity);
     }
-    // For quadtree and kdtree, we typically rebuild
   }
 
+  // Static entities don't move, so an update only matters if it's the first we've seen of one
   update(entity) {
-    if (this.type === 'grid') {
-      this.grid.update(entity);
+    if (!isIndexed(entity)) return;
+    if (this._isStatic(entity)) {
+      this._insertStatic(entity);
+      return;
+    }
+    // A pooled entity reused for something that moves leaves the static layer on its first update
+    if (this.staticEntities.delete(entity.id)) {
+      this.staticDirty = true;
+      this.insert(entity);
+      return;
+    }
+    this.counters.updates++;
+    if (this.validator) this.tracked.set(entity.id, entity);
+    if (this.isIncremental()) {
+      this.currentIndex.update(entity);
+      this.queryCache?.note(entity);
     }
-    // For quadtree and kdtree, we typically rebuild
   }
 
   remove(entity) {
-    if (this.type === 'grid') {
-      this.grid.remove(entity);
+    if (this.validator) this.tracked.delete(entity.id);
+    if (this.staticEntities.delete(entity.id)) {
+      this.staticDirty = true;
+      this.queryCache?.noteRemoved(entity);
+      return;
+    }
+    this.counters.updates++;
+    if (this.isIncremental()) {
+      this.currentIndex.remove(entity);
+      this.queryCache?.noteRemoved(entity);
     }
-    // For quadtree and kdtree, we typically rebuild
   }
 
-  queryRange(range) {
-    return this.currentIndex.queryRange(range);
+  _insertStatic(entity) {
+    if (this.staticEntities.get(entity.id) === entity) return;
+    this.staticEntities.set(entity.id, entity);
+    this.staticDirty = true;
+    if (this.validator) this.tracked.set(entity.id, entity);
+    this.queryCache?.note(entity);
+  }
+
+  // Every index returns entity objects with AABB-overlap semantics (see ISpatialIndex)
+  queryRange(range, options) {
+    this.counters.queries++;
+    this.queriesSinceRebuild++;
+    const results = this.queryIndex.queryRange(range, options);
+    if (this.validator && this.validator.shouldSample()) this._validate(range, results, options);
+    return results;
+  }
+
+  // Many boxes in one pass; results is a caller-owned BatchResults (see batch.js). When
+  // validating, a sampled batch cross-checks one of its queries.
+  queryRangeBatch(ranges, results, options) {
+    this.queryIndex.queryRangeBatch(ranges, results, options);
+    this.counters.queries += results.queryCount;
+    this.queriesSinceRebuild += results.queryCount;
+    if (this.validator && results.queryCount > 0 && this.validator.shouldSample()) {
+      const i = Math.floor(Math.random() * results.queryCount);
+      const found = Array.from(results.idsOf(i), (id) => this.tracked.get(id) ?? { id });
+      this._validate(loadBox(ranges, i, {}), found, options);
+    }
+    return results;
+  }
+
+  _validate(range, results, options) {
+    const record = this.validator.check(range, results, this.tracked.values(), {
+      indexType: this.activeType,
+      gridMode: this.activeType === 'grid' ? this.gridMode : undefined,
+      dedupe: options?.dedupe,
+      mask: options?.mask,
+      queriesSinceRebuild: this.queriesSinceRebuild,
+      trackedCount: this.tracked.size,
+    });
+    if (!record) return;
+    record.indexStats = this.currentIndex.getStats?.();
+    // The first few go to the console; the rest are only counted and kept in the records
+    if (this.validator.mismatches <= 5) {
+      console.warn(
+        `[IndexManager] ${record.indexType} queryRange mismatch: ` +
+          `${record.missing.length} missing, ${record.extra.length} extra, ` +
+          `${record.duplicates.length} duplicated`,
+        record
+      );
+    }
+  }
+
+  queryCircle(x, y, r, options) {
+    this.counters.queries++;
+    return this.queryIndex.queryCircle(x, y, r, options);
+  }
+
+  queryNearest(x, y, k = 1, maxDist = Infinity) {
+    this.counters.queries++;
+    return this.queryIndex.queryNearest(x, y, k, maxDist);
+  }
+
+  queryPairs(filterA = null, filterB = null, options) {
+    this.counters.queries++;
+    return this.queryIndex.queryPairs(filterA, filterB, options);
+  }
+
+  raycast(origin, dir, maxDist = Infinity, filter = null) {
+    return this.queryIndex.raycast(origin, dir, maxDist, filter);
+  }
+
+  raycastAll(origin, dir, maxDist = Infinity, filter = null) {
+    return this.queryIndex.raycastAll(origin, dir, maxDist, filter);
+  }
+
+  segmentCast(a, b, filter = null) {
+    return this.queryIndex.segmentCast(a, b, filter);
   }
 
+  segmentCastAll(a, b, filter = null) {
+    return this.queryIndex.segmentCastAll(a, b, filter);
+  }
+
+  // Only the dynamic layer is rebuilt; the static one is touched only if its membership changed
   rebuild(entities) {
-    this.entities = entities.filter((e) => e.active);
+    const dynamic = [];
+    const statics = [];
+    for (const e of entities) {
+      if (!e.active || !isIndexed(e)) continue;
+      if (this._isStatic(e)) statics.push(e);
+      else dynamic.push(e);
+    }
+    this._syncStatic(statics);
 
-    switch (this.type) {
-      case 'grid':
-        this.grid.rebuild(this.entities);
-        break;
-      case 'quadtree':
-        this.quadtree.rebuild(this.entities);
-        break;
-      case 'kdtree':
-        this.kdtree.rebuild(this.entities);
-        break;
+    this.entities = dynamic;
+    this.counters.updates += this.entities.length;
+    this.queriesSinceRebuild = 0;
+    if (this.validator) {
+      this.tracked = new Map(this.entities.map((e) => [e.id, e]));
+      for (const e of statics) this.tracked.set(e.id, e);
+    }
+    const t0 = this.autoSelector.now();
+    this.currentIndex.rebuild(this.entities);
+    if (this.type === 'auto') this._autoSampleStep(this.autoSelector.now() - t0);
+    if (this.queryCache) this.queryCache.sync([...dynamic, ...statics]);
+  }
+
+  _syncStatic(statics) {
+    let same = statics.length === this.staticEntities.size;
+    for (let i = 0; same && i < statics.length; i++) {
+      same = this.staticEntities.get(statics[i].id) === statics[i];
     }
+    if (same) return;
+    this.staticEntities = new Map(statics.map((e) => [e.id, e]));
+    this.staticDirty = true;
+  }
+
+  // Shadow-times one candidate per rebuild once a sample is due, and lets the selector decide
+  // when the last one is in. The active index is timed by the rebuild that just ran.
+  _autoSampleStep(activeBuildTime) {
+    const selector = this.autoSelector;
+    if (!selector.sampling) {
+      if (!selector.isDue()) return;
+      selector.begin(this.entities, this.counters);
+      this.counters = { queries: 0, updates: 0 };
+    }
+
+    const type = selector.nextCandidate();
+    const index = this._indexFor(type);
+    const active = index === this.currentIndex;
+    const sample = selector.measure(index, this.entities, active ? activeBuildTime : undefined);
+    // Shadow copies aren't kept in sync, so drop them rather than leave them stale
+    if (!active) index.clear();
+    if (!sample) return;
+
+    const decision = selector.decide(this.autoType, sample);
+    if (!decision) return;
+    const from = this.autoType;
+    this.autoType = decision.to;
+    this.currentIndex = this.getCurrentIndex();
+    this.currentIndex.rebuild(this.entities);
+    this._indexFor(from).clear();
+    this._emit('switch', { from, to: decision.to, reason: decision.reason, ...sample });
   }
 
   clear() {
     this.entities = [];
+    this.tracked.clear();
+    this.queryCache?.clear();
+    this.staticEntities.clear();
+    this.staticIndex?.clear();
+    this.staticDirty = false;
     this.grid.clear();
+    this.packedGrid.clear();
+    this.hgrid.clear();
     this.quadtree.clear();
     this.kdtree.clear();
+    this.bvh.clear();
+    this.sap.clear();
+    this.rtree.clear();
+    this.morton.clear();
   }
 
   debugDraw(ctx, canvas, camera) {
     this.currentIndex.debugDraw?.(ctx, canvas, camera);
+    if (this.staticEntities.size > 0) this.staticIndex.debugDraw?.(ctx, canvas, camera);
+    this.validator?.debugDraw(ctx);
   }
 
   dispose() {
     this.grid.dispose?.();
+    this.packedGrid.dispose?.();
+    this.hgrid.dispose?.();
     this.quadtree.dispose?.();
     this.kdtree.dispose?.();
+    this.bvh.dispose?.();
+    this.sap.dispose?.();
+    this.rtree.dispose?.();
+    this.morton.dispose?.();
+    this.staticIndex?.dispose?.();
   }
 }
@@ -1,10 +1,33 @@
 // src/spatial/KDTree.js
-export default class KDTree {
+import ISpatialIndex from './ISpatialIndex';
+import { NearestSet, NodeQueue } from './nearest';
+import { clipSlab } from './raycast';
+import {
+  aabbOf,
+  contains,
+  doubleToward,
+  entityOverlapsRange,
+  entityOverlapsCircle,
+} from './geometry';
+import { layerOf, matchesMask, layersMatch } from './layers';
+
+export default class KDTree extends ISpatialIndex {
   constructor(config = {}) {
+    super();
     this.capacity = config.capacity || 16;
+    // Splits are unbounded; bounds only frame the debug overlay and double toward any
+    // entity outside them rather than clipping it
     this.bounds = config.bounds || { minX: -5000, minY: -5000, maxX: 5000, maxY: 5000 };
+    this.configuredBounds = this.bounds;
+    this.rootGrowths = 0;
     this.root = null;
     this.entities = [];
+    // Splits partition centres only, so range pruning is widened by the largest radius
+    this.maxRadius = 0;
+  }
+
+  allEntities() {
+    return this.entities;
   }
 
   setCapacity(capacity) {
@@ -13,6 +36,8 @@ export default class KDTree {
 
   insert(entity) {
     this.entities.push(entity);
+    // Built lazily, so the next query picks this entity up
+    this.root = null;
   }
 
   update(entity) {}
@@ -21,30 +46,144 @@ export default class KDTree {
     const index = this.entities.findIndex((e) => e.id === entity.id);
     if (index !== -1) {
       this.entities.splice(index, 1);
+      // Otherwise queries keep returning the removed entity until the next rebuild
+      this.root = null;
     }
   }
 
-  queryRange(range) {
-    if (!this.root && this.entities.length > 0) {
-      this._buildTree();
-    }
+  queryRange(range, options) {
+    this._ensureTree();
+
+    if (!this.root) return [];
+
+    const results = [];
+    this._queryNode(this.root, range, results, options?.mask);
+    return results;
+  }
+
+  queryCircle(x, y, r, options) {
+    this._ensureTree();
 
     if (!this.root) return [];
 
     const results = [];
-    this._queryNode(this.root, range, results);
+    this._queryCircleNode(this.root, x, y, r, results, options?.mask);
     return results;
   }
 
+  _queryCircleNode(node, x, y, r, results, mask) {
+    if (!node || !layersMatch(node.layers, mask)) return;
+
+    if (node.isLeaf) {
+      for (const entity of node.entities) {
+        if (matchesMask(entity, mask) && entityOverlapsCircle(entity, x, y, r)) {
+          results.push(entity);
+        }
+      }
+      return;
+    }
+
+    const reach = r + this.maxRadius;
+    const c = node.axis === 0 ? x : y;
+    if (c - reach <= node.value) {
+      this._queryCircleNode(node.left, x, y, r, results, mask);
+    }
+    if (c + reach >= node.value) {
+      this._queryCircleNode(node.right, x, y, r, results, mask);
+    }
+  }
+
+  _castRay(ray, hits) {
+    this._ensureTree();
+    if (!this.root) return;
+    this._castRayNode(this.root, ray, hits, 0, ray.maxDist);
+  }
+
+  // Each child is a half-plane slab widened by maxRadius; near child first, far child only
+  // if its slab starts before the best hit so far
+  _castRayNode(node, ray, hits, tmin, tmax) {
+    if (!node || tmin > hits.maxT) return;
+
+    if (node.isLeaf) {
+      for (const entity of node.entities) hits.test(entity);
+      return;
+    }
+
+    const r = this.maxRadius;
+    const o = node.axis === 0 ? ray.ox : ray.oy;
+    const d = node.axis === 0 ? ray.dx : ray.dy;
+    const left = clipSlab(o, d, -Infinity, node.value + r, tmin, tmax);
+    const right = clipSlab(o, d, node.value - r, Infinity, tmin, tmax);
+    const leftFirst = !right || (left && left[0] <= right[0]);
+    const near = leftFirst ? [node.left, left] : [node.right, right];
+    const far = leftFirst ? [node.right, right] : [node.left, left];
+    for (const [child, span] of [near, far]) {
+      if (span) this._castRayNode(child, ray, hits, span[0], span[1]);
+    }
+  }
+
+  // Best-first: a far child's lower bound is its split-plane distance (centres are partitioned)
+  queryNearest(x, y, k = 1, maxDist = Infinity) {
+    this._ensureTree();
+    const nearest = new NearestSet(k, maxDist);
+    if (!this.root || nearest.k === 0) return [];
+
+    const queue = new NodeQueue();
+    queue.push(this.root, 0);
+    while (queue.size > 0) {
+      const { node, priority } = queue.pop();
+      if (priority > nearest.worstDistSq) break;
+      if (!node) continue;
+
+      if (node.isLeaf) {
+        for (const entity of node.entities) nearest.offer(entity, x, y);
+        continue;
+      }
+
+      const delta = (node.axis === 0 ? x : y) - node.value;
+      const near = delta < 0 ? node.left : node.right;
+      const far = delta < 0 ? node.right : node.left;
+      queue.push(near, priority);
+      const farBound = Math.max(priority, delta * delta);
+      if (farBound <= nearest.worstDistSq) queue.push(far, farBound);
+    }
+    return nearest.toArray();
+  }
+
+  _ensureTree() {
+    if (!this.root && this.entities.length > 0) {
+      this._buildTree();
+    }
+  }
+
   _buildTree() {
-    this.root = this._buildNode(this.entities, 0);
+    this.maxRadius = 0;
+    for (const e of this.entities) {
+      if (e.r > this.maxRadius) this.maxRadius = e.r;
+      this._growToFit(aabbOf(e));
+    }
+    // Build from a copy: sorting this.entities in place would reorder it under callers
+    // iterating allEntities() while their first query triggers the build
+    this.root = this._buildNode([...this.entities], 0);
+  }
+
+  _growToFit(aabb) {
+    if (![aabb.minX, aabb.minY, aabb.maxX, aabb.maxY].every(Number.isFinite)) return;
+    while (!contains(this.bounds, aabb)) {
+      this.bounds = doubleToward(this.bounds, aabb);
+      this.rootGrowths++;
+    }
   }
 
   _buildNode(entities, depth) {
     if (entities.length === 0) return null;
     if (entities.length <= this.capacity) {
+      let layers = 0;
+      for (const e of entities) layers |= layerOf(e);
       return {
         entities: [...entities],
+        // OR of the layers below, so masked queries skip subtrees with nothing they want
+        layers,
         isLeaf: true,
       };
     }
@@ -59,52 +198,49 @@ export default class KDTree {
       axis,
       value: axis === 0 ? median.x : median.y,
       left: this._buildNode(entities.slice(0, mid), depth + 1),
-      right: this._buildNode(entities.slice(mid + 1), depth + 1),
+      right: this._buildNode(entities.slice(mid), depth + 1),
+      layers: 0,
       isLeaf: false,
     };
+    node.layers = (node.left?.layers ?? 0) | (node.right?.layers ?? 0);
 
     return node;
   }
 
-  _queryNode(node, range, results) {
-    if (!node) return;
+  _queryNode(node, range, results, mask) {
+    if (!node || !layersMatch(node.layers, mask)) return;
 
     if (node.isLeaf) {
       for (const entity of node.entities) {
-        if (this._entityInRange(entity, range)) {
+        if (matchesMask(entity, mask) && entityOverlapsRange(entity, range)) {
           results.push(entity);
         }
       }
       return;
     }
 
+    const r = this.maxRadius;
     if (node.axis === 0) {
-      if (range.minX <= node.value) {
-        this._queryNode(node.left, range, results);
+      if (range.minX - r <= node.value) {
+        this._queryNode(node.left, range, results, mask);
       }
-      if (range.maxX >= node.value) {
-        this._queryNode(node.right, range, results);
+      if (range.maxX + r >= node.value) {
+        this._queryNode(node.right, range, results, mask);
       }
     } else {
-      if (range.minY <= node.value) {
-        this._queryNode(node.left, range, results);
+      if (range.minY - r <= node.value) {
+        this._queryNode(node.left, range, results, mask);
       }
-      if (range.maxY >= node.value) {
-        this._queryNode(node.right, range, results);
+      if (range.maxY + r >= node.value) {
+        this._queryNode(node.right, range, results, mask);
       }
     }
   }
 
-  _entityInRange(entity, range) {
-    return (
-      entity.x >= range.minX &&
-      entity.x <= range.maxX &&
-      entity.y >= range.minY &&
-      entity.y <= range.maxY
-    );
-  }
-
+  // Growth is redone from the configured bounds for the new entity set
   rebuild(entities) {
+    this.bounds = this.configuredBounds;
+    this.rootGrowths = 0;
     this.entities = entities.filter((e) => e.active);
     this.root = null; 
   }
@@ -114,6 +250,35 @@ export default class KDTree {
     this.root = null;
   }
 
+  getStats() {
+    this._ensureTree();
+    let nodeCount = 0;
+    let leafCount = 0;
+    let maxDepth = 0;
+    const visit = (node, depth) => {
+      if (!node) return;
+      nodeCount++;
+      maxDepth = Math.max(maxDepth, depth);
+      if (node.isLeaf) {
+        leafCount++;
+      } else {
+        visit(node.left, depth + 1);
+        visit(node.right, depth + 1);
+      }
+    };
+    visit(this.root, 0);
+
+    return {
+      nodeCount,
+      leafCount,
+      maxDepth,
+      entityCount: this.entities.length,
+      maxRadius: this.maxRadius,
+      bounds: { ...this.bounds },
+      rootGrowths: this.rootGrowths,
+    };
+  }
+
   debugDraw(ctx, canvas, camera) {
     if (!this.root) return;
 
@@ -0,0 +1,91 @@
+// src/spatial/MergedIndex.js
+// Presents a static and a dynamic index as one. IndexManager keeps entities that never move
+// in their own structure, rebuilt only when one is added or removed, and routes queries here
+// so callers see a single result set. Each entity lives in exactly one of the two layers.
+import ISpatialIndex from './ISpatialIndex';
+import { NearestSet } from './nearest';
+import { aabbOf } from './geometry';
+import { matchesMask } from './layers';
+
+export default class MergedIndex extends ISpatialIndex {
+  constructor(staticIndex, dynamicIndex) {
+    super();
+    this.staticIndex = staticIndex;
+    this.dynamicIndex = dynamicIndex;
+  }
+
+  allEntities() {
+    return [...this.dynamicIndex.allEntities(), ...this.staticIndex.allEntities()];
+  }
+
+  // The dynamic layer fills any caller-owned out buffer; the static one must not reset it
+  queryRange(range, options) {
+    const found = this.dynamicIndex.queryRange(range, options);
+    for (const e of this.staticIndex.queryRange(range, staticOptions(options))) found.push(e);
+    return found;
+  }
+
+  queryCircle(x, y, r, options) {
+    const found = this.dynamicIndex.queryCircle(x, y, r, options);
+    for (const e of this.staticIndex.queryCircle(x, y, r, staticOptions(options))) found.push(e);
+    return found;
+  }
+
+  _batchRange(range, options, results) {
+    this.dynamicIndex._batchRange(range, options, results);
+    this.staticIndex._batchRange(range, options, results);
+  }
+
+  queryNearest(x, y, k = 1, maxDist = Infinity) {
+    const nearest = new NearestSet(k, maxDist);
+    for (const e of this.dynamicIndex.queryNearest(x, y, k, maxDist)) nearest.offer(e, x, y);
+    for (const e of this.staticIndex.queryNearest(x, y, k, maxDist)) nearest.offer(e, x, y);
+    return nearest.toArray();
+  }
+
+  // Pairs inside each layer come from that layer's own broadphase (keeping the sweep-and-prune
+  // fast path); pairs across the layers are found by driving each layer's entities into the other
+  queryPairs(filterA = null, filterB = null, options = {}) {
+    const pairs = this.dynamicIndex.queryPairs(filterA, filterB, options);
+    pairs.push(...this.staticIndex.queryPairs(filterA, filterB, options));
+    this._crossPairs(this.dynamicIndex, this.staticIndex, filterA, filterB, options, pairs);
+    this._crossPairs(this.staticIndex, this.dynamicIndex, filterA, filterB, options, pairs);
+    return pairs;
+  }
+
+  // Same orientation and lower-id rules as ISpatialIndex.queryPairs
+  _crossPairs(from, to, filterA, filterB, { boundsOf = aabbOf, mask } = {}, pairs) {
+    const symmetric = boundsOf === aabbOf;
+    for (const a of from.allEntities()) {
+      if (filterA && !filterA(a)) continue;
+      for (const b of to.queryRange(boundsOf(a), { mask })) {
+        if (filterB && !filterB(b)) continue;
+        if (
+          symmetric &&
+          b.id < a.id &&
+          (!filterA || filterA(b)) &&
+          (!filterB || filterB(a)) &&
+          matchesMask(a, mask)
+        ) {
+          continue;
+        }
+        pairs.push([a, b]);
+      }
+    }
+  }
+
+  // Both layers share one RayHits, so whichever finds the nearer hit first prunes the other
+  _castRay(ray, hits) {
+    this.dynamicIndex._castRay(ray, hits);
+    this.staticIndex._castRay(ray, hits);
+  }
+
+  clear() {
+    this.dynamicIndex.clear();
+    this.staticIndex.clear();
+  }
+}
+
+function staticOptions(options) {
+  return options?.out ? { dedupe: options.dedupe, mask: options.mask } : options;
+}
@@ -0,0 +1,426 @@
+// src/spatial/MortonIndex.js
+// Linear quadtree: entity centres quantised to a 2^16 x 2^16 lattice over the current extent,
+// keyed by their interleaved (Morton / Z-order) code and kept in flat typed arrays sorted by
+// an LSD radix sort. Range queries walk the sorted codes with Tropf-Herzog BIGMIN/LITMAX
+// splitting, so only Z-runs that can fall inside the box are ever touched.
+import ISpatialIndex from './ISpatialIndex';
+import { NearestSet } from './nearest';
+import { entityOverlapsCircle, contains } from './geometry';
+import { layerOf, layersMatch } from './layers';
+import { mortonEncode, compact1by1 } from './morton';
+
+export { mortonEncode, mortonDecode } from './morton';
+
+const BITS = 16;
+const CELLS = 1 << BITS;
+const X_MASK = 0x55555555;
+const Y_MASK = 0xaaaaaaaa;
+// Below this many codes a linear scan beats splitting further
+const SCAN_RUN = 16;
+
+// Bits of the same dimension as `bit` that sit strictly below it
+function lowerSameDim(bit) {
+  const below = bit === 31 ? 0x7fffffff : (1 << bit) - 1;
+  return (below & (bit % 2 === 0 ? X_MASK : Y_MASK)) >>> 0;
+}
+
+// LOAD("1000...", z): set `bit`, clear the lower bits of its dimension
+function load1000(z, bit) {
+  return ((z & ~lowerSameDim(bit)) | (1 << bit)) >>> 0;
+}
+
+// LOAD("0111...", z): clear `bit`, set the lower bits of its dimension
+function load0111(z, bit) {
+  return ((z & ~(1 << bit)) | lowerSameDim(bit)) >>> 0;
+}
+
+// Smallest code > zval whose cell lies inside the box spanned by zmin..zmax
+export function bigmin(zval, zmin, zmax) {
+  let result = 0;
+  for (let bit = BITS * 2 - 1; bit >= 0; bit--) {
+    const v = (zval >>> bit) & 1;
+    const lo = (zmin >>> bit) & 1;
+    const hi = (zmax >>> bit) & 1;
+    if (v === 0 && lo === 0 && hi === 1) {
+      result = load1000(zmin, bit);
+      zmax = load0111(zmax, bit);
+    } else if (v === 0 && lo === 1 && hi === 1) {
+      return zmin;
+    } else if (v === 1 && lo === 0 && hi === 0) {
+      return result;
+    } else if (v === 1 && lo === 0 && hi === 1) {
+      zmin = load1000(zmin, bit);
+    }
+  }
+  return result;
+}
+
+// Largest code < zval whose cell lies inside the box spanned by zmin..zmax
+export function litmax(zval, zmin, zmax) {
+  let result = 0;
+  for (let bit = BITS * 2 - 1; bit >= 0; bit--) {
+    const v = (zval >>> bit) & 1;
+    const lo = (zmin >>> bit) & 1;
+    const hi = (zmax >>> bit) & 1;
+    if (v === 0 && lo === 0 && hi === 1) {
+      zmax = load0111(zmax, bit);
+    } else if (v === 0 && lo === 1 && hi === 1) {
+      return result;
+    } else if (v === 1 && lo === 0 && hi === 0) {
+      return zmax;
+    } else if (v === 1 && lo === 0 && hi === 1) {
+      result = load0111(zmax, bit);
+      zmin = load1000(zmin, bit);
+    }
+  }
+  return result;
+}
+
+export default class MortonIndex extends ISpatialIndex {
+  constructor() {
+    super();
+    this.type = 'morton';
+    this.entities = new Map();
+    this.dirty = false;
+
+    // Sorted layout: sorted[i] is the entity with the i-th smallest code, xs/ys/rs its shape
+    this.count = 0;
+    this.sorted = [];
+    this.codes = new Uint32Array(0);
+    this.xs = new Float64Array(0);
+    this.ys = new Float64Array(0);
+    this.rs = new Float64Array(0);
+    // Layer per slot, and the OR over each aligned block of SCAN_RUN slots so a masked scan
+    // can pass over blocks holding nothing it wants
+    this.layers = new Int32Array(0);
+    this.blockLayers = new Int32Array(0);
+    // Radix sort scratch, grown on demand and reused between rebuilds
+    this.scratchCodes = new Uint32Array(0);
+    this.order = new Uint32Array(0);
+    this.scratchOrder = new Uint32Array(0);
+    this.counts = new Uint32Array(256);
+
+    // Quantisation: lattice cell = floor((x - originX) * scale)
+    this.originX = 0;
+    this.originY = 0;
+    this.scale = 1;
+    // Centres are indexed, so queries are widened by the largest radius
+    this.maxR = 0;
+
+    this.lastSortPasses = 0;
+    this.lastQueryRuns = 0;
+  }
+
+  rebuild(entities) {
+    this.entities = new Map();
+    for (const entity of entities) this.entities.set(entity.id, entity);
+    this._build();
+  }
+
+  // Between rebuilds edits only mark the layout stale; the next query re-sorts
+  insert(entity) {
+    this.entities.set(entity.id, entity);
+    this.dirty = true;
+  }
+
+  remove(entity) {
+    if (this.entities.delete(entity.id)) this.dirty = true;
+  }
+
+  update(entity) {
+    this.insert(entity);
+  }
+
+  allEntities() {
+    return Array.from(this.entities.values());
+  }
+
+  clear() {
+    this.entities = new Map();
+    this.count = 0;
+    this.sorted = [];
+    this.maxR = 0;
+    this.dirty = false;
+  }
+
+  _ensureCapacity(n) {
+    if (this.codes.length >= n) return;
+    const size = Math.max(n, this.codes.length * 2, 64);
+    this.codes = new Uint32Array(size);
+    this.scratchCodes = new Uint32Array(size);
+    this.order = new Uint32Array(size);
+    this.scratchOrder = new Uint32Array(size);
+    this.xs = new Float64Array(size);
+    this.ys = new Float64Array(size);
+    this.rs = new Float64Array(size);
+    this.layers = new Int32Array(size);
+    this.blockLayers = new Int32Array(Math.ceil(size / SCAN_RUN));
+  }
+
+  _build() {
+    const items = Array.from(this.entities.values());
+    const n = items.length;
+    this.count = n;
+    this.dirty = false;
+    this._ensureCapacity(n);
+
+    let minX = Infinity;
+    let minY = Infinity;
+    let maxX = -Infinity;
+    let maxY = -Infinity;
+    let maxR = 0;
+    for (const e of items) {
+      if (e.x < minX) minX = e.x;
+      if (e.y < minY) minY = e.y;
+      if (e.x > maxX) maxX = e.x;
+      if (e.y > maxY) maxY = e.y;
+      if (e.r > maxR) maxR = e.r;
+    }
+    const span = Math.max(maxX - minX, maxY - minY, 1e-9);
+    this.originX = n > 0 ? minX : 0;
+    this.originY = n > 0 ? minY : 0;
+    this.scale = (CELLS - 1) / span;
+    this.maxR = maxR;
+
+    const codes = this.codes;
+    const order = this.order;
+    for (let i = 0; i < n; i++) {
+      codes[i] = mortonEncode(this._quantX(items[i].x), this._quantY(items[i].y));
+      order[i] = i;
+    }
+    this._radixSort(n);
+
+    // Lay the shapes out in code order so scans read contiguous memory
+    const sorted = new Array(n);
+    this.blockLayers.fill(0);
+    for (let i = 0; i < n; i++) {
+      const e = items[this.order[i]];
+      sorted[i] = e;
+      this.xs[i] = e.x;
+      this.ys[i] = e.y;
+      this.rs[i] = e.r;
+      this.layers[i] = layerOf(e);
+      this.blockLayers[(i / SCAN_RUN) | 0] |= this.layers[i];
+    }
+    this.sorted = sorted;
+  }
+
+  // LSD radix sort of codes[0..n) by 8-bit digits, carrying order[] along; digits every
+  // code shares are skipped
+  _radixSort(n) {
+    let src = this.codes;
+    let dst = this.scratchCodes;
+    let srcOrder = this.order;
+    let dstOrder = this.scratchOrder;
+    const counts = this.counts;
+    let passes = 0;
+
+    for (let shift = 0; shift < 32; shift += 8) {
+      counts.fill(0);
+      for (let i = 0; i < n; i++) counts[(src[i] >>> shift) & 0xff]++;
+      if (n === 0 || counts[(src[0] >>> shift) & 0xff] === n) continue;
+
+      let sum = 0;
+      for (let d = 0; d < 256; d++) {
+        const c = counts[d];
+        counts[d] = sum;
+        sum += c;
+      }
+      for (let i = 0; i < n; i++) {
+        const d = (src[i] >>> shift) & 0xff;
+        const at = counts[d]++;
+        dst[at] = src[i];
+        dstOrder[at] = srcOrder[i];
+      }
+      [src, dst] = [dst, src];
+      [srcOrder, dstOrder] = [dstOrder, srcOrder];
+      passes++;
+    }
+
+    // Keep the sorted data in the primary buffers
+    this.codes = src;
+    this.scratchCodes = dst;
+    this.order = srcOrder;
+    this.scratchOrder = dstOrder;
+    this.lastSortPasses = passes;
+  }
+
+  _quantX(x) {
+    return Math.min(CELLS - 1, Math.max(0, Math.floor((x - this.originX) * this.scale)));
+  }
+
+  _quantY(y) {
+    return Math.min(CELLS - 1, Math.max(0, Math.floor((y - this.originY) * this.scale)));
+  }
+
+  // First index in [lo, hi) whose code is >= z
+  _lowerBound(z, lo, hi) {
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (this.codes[mid] < z) lo = mid + 1;
+      else hi = mid;
+    }
+    return lo;
+  }
+
+  // options.out, when given, is emptied and filled instead of allocating a result array
+  queryRange(range, options) {
+    if (this.dirty) this._build();
+    const results = options?.out || [];
+    results.length = 0;
+    if (this.count === 0) return results;
+
+    // Any centre that can overlap the range lies in the range widened by maxR
+    const r = this.maxR;
+    const qminX = this._quantX(range.minX - r);
+    const qminY = this._quantY(range.minY - r);
+    const qmaxX = this._quantX(range.maxX + r);
+    const qmaxY = this._quantY(range.maxY + r);
+    const box = { qminX, qminY, qmaxX, qmaxY, mask: options?.mask };
+    const zmin = mortonEncode(qminX, qminY);
+    const zmax = mortonEncode(qmaxX, qmaxY);
+
+    const lo = this._lowerBound(zmin, 0, this.count);
+    const hi = this._lowerBound(zmax + 1, lo, this.count);
+    this.lastQueryRuns = 0;
+    this._searchZ(lo, hi, zmin, zmax, box, range, results);
+    return results;
+  }
+
+  // Tropf-Herzog range search over sorted codes[lo, hi). zmin and zmax are the box's corner
+  // codes; a probe outside the box splits the run at LITMAX/BIGMIN, dropping every code
+  // between the two since none of them can be inside.
+  _searchZ(lo, hi, zmin, zmax, box, range, results) {
+    if (lo >= hi) return;
+    if (hi - lo <= SCAN_RUN) {
+      // A run spans at most two blocks
+      const blocks =
+        this.blockLayers[(lo / SCAN_RUN) | 0] | this.blockLayers[((hi - 1) / SCAN_RUN) | 0];
+      if (!layersMatch(blocks, box.mask)) return;
+      this.lastQueryRuns++;
+      for (let i = lo; i < hi; i++) this._testSlot(i, box, range, results);
+      return;
+    }
+
+    const mid = (lo + hi) >> 1;
+    const code = this.codes[mid];
+    if (this._codeInBox(code, box)) {
+      this._searchZ(lo, mid, zmin, zmax, box, range, results);
+      this._testSlot(mid, box, range, results);
+      this._searchZ(mid + 1, hi, zmin, zmax, box, range, results);
+      return;
+    }
+
+    const lit = litmax(code, zmin, zmax);
+    const big = bigmin(code, zmin, zmax);
+    this._searchZ(lo, this._lowerBound(lit + 1, lo, mid), zmin, zmax, box, range, results);
+    this._searchZ(this._lowerBound(big, mid + 1, hi), hi, zmin, zmax, box, range, results);
+  }
+
+  _codeInBox(code, box) {
+    const qx = compact1by1(code);
+    const qy = compact1by1(code >>> 1);
+    return qx >= box.qminX && qx <= box.qmaxX && qy >= box.qminY && qy <= box.qmaxY;
+  }
+
+  _testSlot(i, box, range, results) {
+    if (!layersMatch(this.layers[i], box.mask) || !this._codeInBox(this.codes[i], box)) return;
+    const x = this.xs[i];
+    const y = this.ys[i];
+    const r = this.rs[i];
+    if (x + r >= range.minX && x - r <= range.maxX && y + r >= range.minY && y - r <= range.maxY) {
+      results.push(this.sorted[i]);
+    }
+  }
+
+  queryCircle(x, y, r, options) {
+    const box = { minX: x - r, minY: y - r, maxX: x + r, maxY: y + r };
+    // Compacted in place so a caller's out array ends up holding the answer
+    const found = this.queryRange(box, options);
+    let n = 0;
+    for (let i = 0; i < found.length; i++) {
+      if (entityOverlapsCircle(found[i], x, y, r)) found[n++] = found[i];
+    }
+    found.length = n;
+    return found;
+  }
+
+  // The Z-order says nothing about ray order, so a finite cast scans the segment's box and
+  // an unbounded one tests everything
+  _castRay(ray, hits) {
+    if (this.dirty) this._build();
+    if (ray.maxDist === Infinity) {
+      for (let i = 0; i < this.count; i++) hits.test(this.sorted[i]);
+      return;
+    }
+    const ex = ray.ox + ray.dx * ray.maxDist;
+    const ey = ray.oy + ray.dy * ray.maxDist;
+    const box = {
+      minX: Math.min(ray.ox, ex),
+      minY: Math.min(ray.oy, ey),
+      maxX: Math.max(ray.ox, ex),
+      maxY: Math.max(ray.oy, ey),
+    };
+    for (const entity of this.queryRange(box)) hits.test(entity);
+  }
+
+  // Square searches that double until the k-th nearest centre is provably inside
+  queryNearest(x, y, k = 1, maxDist = Infinity) {
+    if (this.dirty) this._build();
+    if (k < 1 || this.count === 0) return [];
+    const extent = this._extent();
+
+    let half = 32;
+    for (;;) {
+      const nearest = new NearestSet(k, maxDist);
+      // Centres are what count here, so only the slots whose centre is in the box are offered
+      const box = { minX: x - half, minY: y - half, maxX: x + half, maxY: y + half };
+      for (const entity of this.queryRange(box)) {
+        if (Math.abs(entity.x - x) <= half && Math.abs(entity.y - y) <= half) {
+          nearest.offer(entity, x, y);
+        }
+      }
+      const settled = nearest.isFull() && nearest.worstDistSq <= half * half;
+      if (settled || half >= maxDist || contains(box, extent)) return nearest.toArray();
+      half *= 2;
+    }
+  }
+
+  _extent() {
+    const span = (CELLS - 1) / this.scale;
+    return {
+      minX: this.originX,
+      minY: this.originY,
+      maxX: this.originX + span,
+      maxY: this.originY + span,
+    };
+  }
+
+  getStats() {
+    if (this.dirty) this._build();
+    return {
+      entityCount: this.count,
+      bitsPerAxis: BITS,
+      cellSize: 1 / this.scale,
+      maxR: this.maxR,
+      // Byte-wide radix passes the last rebuild actually needed (at most 4)
+      lastSortPasses: this.lastSortPasses,
+      // Linear Z-runs the last range query scanned
+      lastQueryRuns: this.lastQueryRuns,
+      bufferCapacity: this.codes.length,
+    };
+  }
+
+  // The Z-curve through the entity centres in sorted order
+  debugDraw(ctx, canvas, camera) {
+    if (this.count < 2) return;
+    ctx.save();
+    ctx.strokeStyle = 'rgba(120, 220, 255, 0.3)';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(this.xs[0], this.ys[0]);
+    for (let i = 1; i < this.count; i++) ctx.lineTo(this.xs[i], this.ys[i]);
+    ctx.stroke();
+    ctx.restore();
+  }
+}
@@ -0,0 +1,416 @@
+// src/spatial/PackedHashGrid.js
+// Allocation-free variant of SpatialHashGrid. Cells are keyed by a Szudzik pairing of the
+// zigzagged cell coordinates instead of "cx,cy" strings, buckets and per-entity records
+// are pooled, dedupe uses a per-query stamp instead of a Set, and queries can fill a
+// caller-owned `out` array. SpatialHashGrid stays as the string-keyed baseline.
+import ISpatialIndex from './ISpatialIndex';
+import { NearestSet } from './nearest';
+import { clipRayToBounds } from './raycast';
+import { entityOverlapsRange, entityOverlapsCircle, circleIntersectsBounds } from './geometry';
+import { layerOf, layersMatch } from './layers';
+
+// Maps ..., -2, -1, 0, 1, 2, ... to 3, 1, 0, 2, 4 so both coordinates are non-negative
+function zigzag(n) {
+  return n >= 0 ? n * 2 : -n * 2 - 1;
+}
+
+// Exact (collision-free) for |cx|, |cy| below ~4.7e7, well past any reachable world
+export function cellKey(cx, cy) {
+  const a = zigzag(cx);
+  const b = zigzag(cy);
+  return a >= b ? a * a + a + b : a + b * b;
+}
+
+export default class PackedHashGrid extends ISpatialIndex {
+  // Accepts either a bare cell size or a config object ({ cellSize })
+  constructor(config = 64) {
+    super();
+    const opts = typeof config === 'number' ? { cellSize: config } : config || {};
+    this.type = 'grid';
+    this.mode = 'packed';
+    this.cellSize = opts.cellSize || 64;
+    this.cells = new Map();
+    this.records = new Map();
+    this.bucketPool = [];
+    this.recordPool = [];
+    this.stamp = 0;
+    // Scratch cell box reused by queryCircle
+    this.cellBounds = { minX: 0, minY: 0, maxX: 0, maxY: 0 };
+    this.counters = { bucketsCreated: 0, recordsCreated: 0, skippedUpdates: 0 };
+    this._resetOccupiedBounds();
+  }
+
+  _resetOccupiedBounds() {
+    this.occupied = { minCx: Infinity, minCy: Infinity, maxCx: -Infinity, maxCy: -Infinity };
+  }
+
+  _toCell(x) {
+    return Math.floor(x / this.cellSize);
+  }
+
+  // Every query bumps the stamp; a record already carrying it was seen this query
+  _nextStamp() {
+    this.stamp = (this.stamp + 1) | 0;
+    if (this.stamp === 0) {
+      for (const record of this.records.values()) record.stamp = 0;
+      this.stamp = 1;
+    }
+    return this.stamp;
+  }
+
+  _acquireBucket(key, cx, cy) {
+    let bucket = this.bucketPool.pop();
+    if (!bucket) {
+      bucket = { key: 0, cx: 0, cy: 0, layers: 0, items: [] };
+      this.counters.bucketsCreated++;
+    }
+    bucket.key = key;
+    bucket.cx = cx;
+    bucket.cy = cy;
+    bucket.layers = 0;
+    this.cells.set(key, bucket);
+    return bucket;
+  }
+
+  _releaseBucket(bucket) {
+    this.cells.delete(bucket.key);
+    bucket.items.length = 0;
+    this.bucketPool.push(bucket);
+  }
+
+  _acquireRecord(entity) {
+    let record = this.recordPool.pop();
+    if (!record) {
+      record = {
+        entity: null,
+        minCx: 0,
+        minCy: 0,
+        maxCx: 0,
+        maxCy: 0,
+        layer: 0,
+        stamp: 0,
+        buckets: [],
+        slots: [],
+      };
+      this.counters.recordsCreated++;
+    }
+    record.entity = entity;
+    return record;
+  }
+
+  clear() {
+    for (const bucket of this.cells.values()) {
+      bucket.items.length = 0;
+      this.bucketPool.push(bucket);
+    }
+    for (const record of this.records.values()) {
+      record.entity = null;
+      record.buckets.length = 0;
+      record.slots.length = 0;
+      this.recordPool.push(record);
+    }
+    this.cells.clear();
+    this.records.clear();
+    this._resetOccupiedBounds();
+  }
+
+  rebuild(entities) {
+    this.clear();
+    for (const e of entities) {
+      this.insert(e);
+    }
+  }
+
+  insert(entity) {
+    if (this.records.has(entity.id)) this.remove(entity);
+    const record = this._acquireRecord(entity);
+    this._place(record);
+    this.records.set(entity.id, record);
+  }
+
+  _place(record) {
+    const entity = record.entity;
+    const minCx = this._toCell(entity.x - entity.r);
+    const maxCx = this._toCell(entity.x + entity.r);
+    const minCy = this._toCell(entity.y - entity.r);
+    const maxCy = this._toCell(entity.y + entity.r);
+    record.minCx = minCx;
+    record.minCy = minCy;
+    record.maxCx = maxCx;
+    record.maxCy = maxCy;
+    record.layer = layerOf(entity);
+
+    const occ = this.occupied;
+    if (minCx < occ.minCx) occ.minCx = minCx;
+    if (minCy < occ.minCy) occ.minCy = minCy;
+    if (maxCx > occ.maxCx) occ.maxCx = maxCx;
+    if (maxCy > occ.maxCy) occ.maxCy = maxCy;
+
+    for (let cx = minCx; cx <= maxCx; cx++) {
+      for (let cy = minCy; cy <= maxCy; cy++) {
+        const key = cellKey(cx, cy);
+        const bucket = this.cells.get(key) || this._acquireBucket(key, cx, cy);
+        record.buckets.push(bucket);
+        record.slots.push(bucket.items.length);
+        bucket.items.push(record);
+        bucket.layers |= record.layer;
+      }
+    }
+  }
+
+  // Swap-removes the record from each of its buckets, fixing up the moved record's slot
+  _unplace(record) {
+    const { buckets, slots } = record;
+    for (let i = 0; i < buckets.length; i++) {
+      const items = buckets[i].items;
+      const last = items.pop();
+      if (last !== record) {
+        items[slots[i]] = last;
+        const j = last.buckets.indexOf(buckets[i]);
+        last.slots[j] = slots[i];
+      }
+      if (items.length === 0) {
+        this._releaseBucket(buckets[i]);
+      } else {
+        let layers = 0;
+        for (let k = 0; k < items.length; k++) layers |= items[k].layer;
+        buckets[i].layers = layers;
+      }
+    }
+    buckets.length = 0;
+    slots.length = 0;
+  }
+
+  remove(entity) {
+    const record = this.records.get(entity.id);
+    if (!record) return;
+    this._unplace(record);
+    this.records.delete(entity.id);
+    record.entity = null;
+    this.recordPool.push(record);
+  }
+
+  // Most frames an entity stays inside the same cells, which costs nothing here
+  update(entity) {
+    const record = this.records.get(entity.id);
+    if (!record) {
+      this.insert(entity);
+      return;
+    }
+    record.entity = entity;
+    if (
+      this._toCell(entity.x - entity.r) === record.minCx &&
+      this._toCell(entity.x + entity.r) === record.maxCx &&
+      this._toCell(entity.y - entity.r) === record.minCy &&
+      this._toCell(entity.y + entity.r) === record.maxCy &&
+      layerOf(entity) === record.layer
+    ) {
+      this.counters.skippedUpdates++;
+      return;
+    }
+    this._unplace(record);
+    this._place(record);
+  }
+
+  allEntities() {
+    return Array.from(this.records.values(), (record) => record.entity);
+  }
+
+  setCellSize(size) {
+    const entities = this.allEntities();
+    this.cellSize = Math.max(1, size);
+    this.rebuild(entities);
+  }
+
+  // options.out, when given, is emptied and filled instead of allocating a result array
+  queryRange(range, options) {
+    const found = options?.out || [];
+    found.length = 0;
+    const stamp = options?.dedupe === false ? 0 : this._nextStamp();
+    const mask = options?.mask;
+    const minCx = this._toCell(range.minX);
+    const maxCx = this._toCell(range.maxX);
+    const minCy = this._toCell(range.minY);
+    const maxCy = this._toCell(range.maxY);
+    for (let cx = minCx; cx <= maxCx; cx++) {
+      for (let cy = minCy; cy <= maxCy; cy++) {
+        const bucket = this.cells.get(cellKey(cx, cy));
+        if (!bucket || !layersMatch(bucket.layers, mask)) continue;
+        const items = bucket.items;
+        for (let i = 0; i < items.length; i++) {
+          const record = items[i];
+          if (stamp !== 0) {
+            if (record.stamp === stamp) continue;
+            record.stamp = stamp;
+          }
+          if (layersMatch(record.layer, mask) && entityOverlapsRange(record.entity, range)) {
+            found.push(record.entity);
+          }
+        }
+      }
+    }
+    return found;
+  }
+
+  queryCircle(x, y, r, options) {
+    const found = options?.out || [];
+    found.length = 0;
+    const stamp = options?.dedupe === false ? 0 : this._nextStamp();
+    const mask = options?.mask;
+    const minCx = this._toCell(x - r);
+    const maxCx = this._toCell(x + r);
+    const minCy = this._toCell(y - r);
+    const maxCy = this._toCell(y + r);
+    const cs = this.cellSize;
+    const cell = this.cellBounds;
+    for (let cx = minCx; cx <= maxCx; cx++) {
+      for (let cy = minCy; cy <= maxCy; cy++) {
+        const bucket = this.cells.get(cellKey(cx, cy));
+        if (!bucket || !layersMatch(bucket.layers, mask)) continue;
+        cell.minX = cx * cs;
+        cell.minY = cy * cs;
+        cell.maxX = cell.minX + cs;
+        cell.maxY = cell.minY + cs;
+        if (!circleIntersectsBounds(x, y, r, cell)) continue;
+        const items = bucket.items;
+        for (let i = 0; i < items.length; i++) {
+          const record = items[i];
+          if (stamp !== 0) {
+            if (record.stamp === stamp) continue;
+            record.stamp = stamp;
+          }
+          if (layersMatch(record.layer, mask) && entityOverlapsCircle(record.entity, x, y, r)) {
+            found.push(record.entity);
+          }
+        }
+      }
+    }
+    return found;
+  }
+
+  // Same Amanatides-Woo walk as SpatialHashGrid, over numeric keys
+  _castRay(ray, hits) {
+    if (this.records.size === 0) return;
+    const cs = this.cellSize;
+    const occ = this.occupied;
+    const extent = {
+      minX: occ.minCx * cs,
+      minY: occ.minCy * cs,
+      maxX: (occ.maxCx + 1) * cs,
+      maxY: (occ.maxCy + 1) * cs,
+    };
+    const span = clipRayToBounds(ray, extent);
+    if (!span) return;
+
+    const [tStart, tEnd] = span;
+    let cx = this._toCell(ray.ox + ray.dx * tStart);
+    let cy = this._toCell(ray.oy + ray.dy * tStart);
+    const stepX = Math.sign(ray.dx);
+    const stepY = Math.sign(ray.dy);
+    const tDeltaX = ray.dx !== 0 ? cs / Math.abs(ray.dx) : Infinity;
+    const tDeltaY = ray.dy !== 0 ? cs / Math.abs(ray.dy) : Infinity;
+    const edgeX = (stepX > 0 ? cx + 1 : cx) * cs;
+    const edgeY = (stepY > 0 ? cy + 1 : cy) * cs;
+    let tMaxX = stepX !== 0 ? (edgeX - ray.ox) / ray.dx : Infinity;
+    let tMaxY = stepY !== 0 ? (edgeY - ray.oy) / ray.dy : Infinity;
+
+    let tCell = tStart;
+    while (tCell <= tEnd && tCell <= hits.maxT) {
+      const bucket = this.cells.get(cellKey(cx, cy));
+      if (bucket) {
+        for (const record of bucket.items) hits.test(record.entity);
+      }
+      if (tMaxX < tMaxY) {
+        tCell = tMaxX;
+        cx += stepX;
+        tMaxX += tDeltaX;
+      } else {
+        tCell = tMaxY;
+        cy += stepY;
+        tMaxY += tDeltaY;
+      }
+    }
+  }
+
+  // Expanding square rings of cells with a linear-scan fallback, as in
+  // SpatialHashGrid.queryNearest
+  queryNearest(x, y, k = 1, maxDist = Infinity) {
+    const nearest = new NearestSet(k, maxDist);
+    if (nearest.k === 0 || this.records.size === 0) return [];
+
+    const qx = this._toCell(x);
+    const qy = this._toCell(y);
+    const occ = this.occupied;
+    let maxRing = Math.max(qx - occ.minCx, occ.maxCx - qx, qy - occ.minCy, occ.maxCy - qy, 0);
+    if (Number.isFinite(maxDist)) maxRing = Math.min(maxRing, Math.ceil(maxDist / this.cellSize));
+
+    let visited = 0;
+    for (let ring = 0; ring <= maxRing; ring++) {
+      const covered = Math.max(0, ring - 1) * this.cellSize;
+      if (ring > 0 && nearest.isFull() && nearest.worstDistSq < covered * covered) break;
+      if (visited >= this.records.size) break;
+      if ((2 * ring - 1) ** 2 > this.cells.size) return this._scanNearest(x, y, k, maxDist);
+
+      if (ring === 0) {
+        visited += this._visitNearestCell(qx, qy, x, y, nearest);
+        continue;
+      }
+      for (let cx = qx - ring; cx <= qx + ring; cx++) {
+        visited += this._visitNearestCell(cx, qy - ring, x, y, nearest);
+        visited += this._visitNearestCell(cx, qy + ring, x, y, nearest);
+      }
+      for (let cy = qy - ring + 1; cy <= qy + ring - 1; cy++) {
+        visited += this._visitNearestCell(qx - ring, cy, x, y, nearest);
+        visited += this._visitNearestCell(qx + ring, cy, x, y, nearest);
+      }
+    }
+    return nearest.toArray();
+  }
+
+  _scanNearest(x, y, k, maxDist) {
+    const nearest = new NearestSet(k, maxDist);
+    for (const { entity } of this.records.values()) nearest.offer(entity, x, y);
+    return nearest.toArray();
+  }
+
+  _visitNearestCell(cx, cy, x, y, nearest) {
+    const bucket = this.cells.get(cellKey(cx, cy));
+    if (!bucket) return 0;
+    let visited = 0;
+    for (const { entity } of bucket.items) {
+      if (this._toCell(entity.x) !== cx || this._toCell(entity.y) !== cy) continue;
+      visited++;
+      nearest.offer(entity, x, y);
+    }
+    return visited;
+  }
+
+  getStats() {
+    let cellRefs = 0;
+    for (const record of this.records.values()) cellRefs += record.buckets.length;
+    return {
+      entityCount: this.records.size,
+      cellSize: this.cellSize,
+      cellCount: this.cells.size,
+      cellRefs,
+      pooledBuckets: this.bucketPool.length,
+      pooledRecords: this.recordPool.length,
+      // Allocations since construction; flat once the pools have warmed up
+      bucketsCreated: this.counters.bucketsCreated,
+      recordsCreated: this.counters.recordsCreated,
+      skippedUpdates: this.counters.skippedUpdates,
+    };
+  }
+
+  debugDraw(ctx, canvas, camera) {
+    const cs = this.cellSize;
+    ctx.save();
+    ctx.strokeStyle = 'rgba(255,255,255,0.06)';
+    ctx.fillStyle = 'rgba(255,255,255,0.02)';
+    for (const bucket of this.cells.values()) {
+      ctx.fillRect(bucket.cx * cs, bucket.cy * cs, cs, cs);
+      ctx.strokeRect(bucket.cx * cs, bucket.cy * cs, cs, cs);
+    }
+    ctx.restore();
+  }
+}
@@ -1,26 +1,45 @@
 import ISpatialIndex from './ISpatialIndex';
+import { NearestSet, NodeQueue } from './nearest';
+import { clipRayToBounds } from './raycast';
+import {
+  aabbOf,
+  intersects,
+  contains,
+  entityOverlapsRange,
+  entityOverlapsCircle,
+  circleIntersectsBounds,
+  distSqToBounds,
+  doubleToward,
+} from './geometry';
+import { layerOf, matchesMask, layersMatch } from './layers';
 
-function aabbOf(e) {
-  return { minX: e.x - e.r, minY: e.y - e.r, maxX: e.x + e.r, maxY: e.y + e.r };
-}
-function intersects(a, b) {
-  return !(a.maxX < b.minX || a.minX > b.maxX || a.maxY < b.minY || a.minY > b.maxY);
-}
-function contains(bounds, aabb) {
-  return (
-    bounds.minX <= aabb.minX &&
-    bounds.minY <= aabb.minY &&
-    bounds.maxX >= aabb.maxX &&
-    bounds.maxY >= aabb.maxY
-  );
+const DEFAULT_BOUNDS = { minX: -20000, minY: -20000, maxX: 20000, maxY: 20000 };
+
+// Bounds grown about their centre so each side is `looseness` times as long
+function loosen(bounds, looseness) {
+  const padX = ((bounds.maxX - bounds.minX) * (looseness - 1)) / 2;
+  const padY = ((bounds.maxY - bounds.minY) * (looseness - 1)) / 2;
+  return {
+    minX: bounds.minX - padX,
+    minY: bounds.minY - padY,
+    maxX: bounds.maxX + padX,
+    maxY: bounds.maxY + padY,
+  };
 }
 
 class QTNode {
-  constructor(bounds, capacity = 6, depth = 0, maxDepth = 8) {
+  constructor(bounds, capacity = 6, depth = 0, maxDepth = 8, looseness = 1) {
     this.bounds = bounds; 
+    // Everything stored in this subtree lies inside looseBounds; with looseness 1 (the
+    // classic tree) it is the same object as bounds
+    this.looseness = looseness;
+    this.looseBounds = looseness > 1 ? loosen(bounds, looseness) : bounds;
     this.capacity = capacity;
     this.entities = []; 
     this.children = null;
+    // OR of every layer inserted into this subtree since the last clear. Removals leave it
+    // a superset, which only costs masked queries a wasted visit until the next rebuild
+    this.layers = 0;
     this.depth = depth;
     this.maxDepth = maxDepth;
   }
@@ -30,36 +49,27 @@ class QTNode {
     const midX = (minX + maxX) / 2;
     const midY = (minY + maxY) / 2;
     this.children = [
-      new QTNode(
-        { minX, minY, maxX: midX, maxY: midY },
-        this.capacity,
-        this.depth + 1,
-        this.maxDepth
-      ),
-      new QTNode(
-        { minX: midX, minY, maxY: midY, maxX },
-        this.capacity,
-        this.depth + 1,
-        this.maxDepth
-      ),
-      new QTNode(
-        { minX, minY: midY, maxX: midX, maxY },
-        this.capacity,
-        this.depth + 1,
-        this.maxDepth
-      ),
-      new QTNode(
-        { minX: midX, minY: midY, maxX, maxY },
-        this.capacity,
-        this.depth + 1,
-        this.maxDepth
-      ),
+      this._child({ minX, minY, maxX: midX, maxY: midY }),
+      this._child({ minX: midX, minY, maxY: midY, maxX }),
+      this._child({ minX, minY: midY, maxX: midX, maxY }),
+      this._child({ minX: midX, minY: midY, maxX, maxY }),
     ];
   }
 
-  insertEntity(entity) {
+  _child(bounds) {
+    return new QTNode(bounds, this.capacity, this.depth + 1, this.maxDepth, this.looseness);
+  }
+
+  // placed (id -> node) is kept current for entities a loose split moves down
+  insertEntity(entity, placed = null) {
+    if (this.looseness > 1) {
+      if (this.depth === 0 && !intersects(this.looseBounds, aabbOf(entity))) return null;
+      return this._insertLoose(entity, placed);
+    }
+
     const aabb = aabbOf(entity);
     if (!intersects(this.bounds, aabb)) return null;
+    this.layers |= layerOf(entity);
 
     if (!this.children && (this.entities.length < this.capacity || this.depth >= this.maxDepth)) {
       this.entities.push(entity);
@@ -78,6 +88,39 @@ class QTNode {
     return this;
   }
 
+  // Loose placement goes by centre: an entity follows the quadrant holding its centre for
+  // as long as it fits that child's loose bounds, so straddlers no longer pile up in the
+  // parent. A leaf that splits hands its entities down the same way.
+  _insertLoose(entity, placed) {
+    this.layers |= layerOf(entity);
+    if (!this.children) {
+      if (this.entities.length < this.capacity || this.depth >= this.maxDepth) {
+        this.entities.push(entity);
+        return this;
+      }
+      this.subdivide();
+      const held = this.entities;
+      this.entities = [];
+      for (const e of held) {
+        const node = this._placeLoose(e, placed);
+        if (placed) placed.set(e.id, node);
+      }
+    }
+    return this._placeLoose(entity, placed);
+  }
+
+  _placeLoose(entity, placed) {
+    const { minX, minY, maxX, maxY } = this.bounds;
+    const quadrant =
+      (entity.x >= (minX + maxX) / 2 ? 1 : 0) + (entity.y >= (minY + maxY) / 2 ? 2 : 0);
+    const child = this.children[quadrant];
+    if (contains(child.looseBounds, aabbOf(entity))) {
+      return child._insertLoose(entity, placed);
+    }
+    this.entities.push(entity);
+    return this;
+  }
+
   removeEntityById(entityId) {
     for (let i = 0; i < this.entities.length; i++) {
       if (this.entities[i].id === entityId) {
@@ -93,55 +136,98 @@ class QTNode {
     return false;
   }
 
-  queryRange(range, found) {
-    if (!intersects(this.bounds, range)) return;
+  queryRange(range, found, mask) {
+    if (!layersMatch(this.layers, mask) || !intersects(this.looseBounds, range)) return;
+    for (const e of this.entities) {
+      if (matchesMask(e, mask) && entityOverlapsRange(e, range)) {
+        found.push(e);
+      }
+    }
+    if (this.children) {
+      for (const c of this.children) c.queryRange(range, found, mask);
+    }
+  }
+
+  queryCircle(x, y, r, found, mask) {
+    if (!layersMatch(this.layers, mask) || !circleIntersectsBounds(x, y, r, this.looseBounds)) {
+      return;
+    }
     for (const e of this.entities) {
-      const ea = aabbOf(e);
-      if (intersects(ea, range)) {
-        found.push(e.id);
+      if (matchesMask(e, mask) && entityOverlapsCircle(e, x, y, r)) {
+        found.push(e);
       }
     }
     if (this.children) {
-      for (const c of this.children) c.queryRange(range, found);
+      for (const c of this.children) c.queryCircle(x, y, r, found, mask);
+    }
+  }
+
+  // Children are visited in order of where the ray enters them
+  castRay(ray, hits) {
+    for (const e of this.entities) hits.test(e);
+    if (!this.children) return;
+    const entered = [];
+    for (const c of this.children) {
+      const span = clipRayToBounds(ray, c.looseBounds, 0, hits.maxT);
+      if (span) entered.push({ node: c, t: span[0] });
+    }
+    entered.sort((a, b) => a.t - b.t);
+    for (const { node, t } of entered) {
+      if (t <= hits.maxT) node.castRay(ray, hits);
     }
   }
 
   clear() {
     this.entities.length = 0;
+    this.layers = 0;
     if (this.children) {
       for (const c of this.children) c.clear();
       this.children = null;
     }
   }
 
-  debugDraw(ctx, camera) {
-    const sx = camera.worldToScreenX(this.bounds.minX);
-    const sy = camera.worldToScreenY(this.bounds.minY);
-    const w = (this.bounds.maxX - this.bounds.minX) * camera.scale;
-    const h = (this.bounds.maxY - this.bounds.minY) * camera.scale;
+  // Drawn in world space (the renderer applies the camera). Loose bounds are only outlined
+  // for nodes that hold entities, otherwise the overlapping boxes drown everything out.
+  debugDraw(ctx) {
+    const b = this.bounds;
     ctx.strokeStyle = 'rgba(255,255,255,0.08)';
-    ctx.strokeRect(sx, sy, w, h);
+    ctx.strokeRect(b.minX, b.minY, b.maxX - b.minX, b.maxY - b.minY);
+    if (this.looseBounds !== b && this.entities.length > 0) {
+      const l = this.looseBounds;
+      ctx.save();
+      ctx.setLineDash([6, 6]);
+      ctx.strokeStyle = `hsla(${(this.depth * 45) % 360}, 80%, 60%, 0.4)`;
+      ctx.strokeRect(l.minX, l.minY, l.maxX - l.minX, l.maxY - l.minY);
+      ctx.restore();
+    }
     ctx.fillStyle = 'rgba(255,255,255,0.25)';
     ctx.font = '10px monospace';
-    ctx.fillText(String(this.entities.length), sx + 4, sy + 12);
+    ctx.fillText(String(this.entities.length), b.minX + 4, b.minY + 12);
     if (this.children) {
-      for (const c of this.children) c.debugDraw(ctx, camera);
+      for (const c of this.children) c.debugDraw(ctx);
     }
   }
 }
 
 export default class Quadtree extends ISpatialIndex {
-  constructor(
-    bounds = { minX: -20000, minY: -20000, maxX: 20000, maxY: 20000 },
-    capacity = 6,
-    maxDepth = 8
-  ) {
+  // Positional (bounds, capacity, maxDepth, looseness) or a single config object as
+  // IndexManager passes. looseness > 1 switches to a loose quadtree.
+  constructor(bounds = DEFAULT_BOUNDS, capacity = 6, maxDepth = 8, looseness = 1) {
     super();
-    this.root = new QTNode(bounds, capacity, 0, maxDepth);
+    if (bounds && !('minX' in bounds)) {
+      ({ bounds = DEFAULT_BOUNDS, capacity = 6, maxDepth = 8, looseness = 1 } = bounds);
+    }
+    this.looseness = Math.max(1, looseness);
+    this.root = new QTNode(bounds, capacity, 0, maxDepth, this.looseness);
     this.bounds = bounds;
+    // What rebuild shrinks the root back to once growth has pushed it past these
+    this.configuredBounds = bounds;
     this.capacity = capacity;
     this.maxDepth = maxDepth;
     this.entityNodeMap = new Map(); 
+    // The world is unbounded: the root doubles toward anything outside it, and every
+    // doubling allows one more level so leaves keep their original size
+    this.rootGrowths = 0;
   }
 
   clear() {
@@ -149,18 +235,87 @@ export default class Quadtree extends ISpatialIndex {
     this.entityNodeMap.clear();
   }
 
+  setCapacity(capacity) {
+    this.capacity = Math.max(1, capacity);
+    this._resetRoot();
+  }
+
+  setMaxDepth(maxDepth) {
+    this.maxDepth = Math.max(0, maxDepth);
+    this._resetRoot();
+  }
+
+  setLooseness(looseness) {
+    this.looseness = Math.max(1, looseness);
+    this._resetRoot();
+  }
+
+  // Node params are baked in at construction, so changing them means re-inserting everything
+  _resetRoot() {
+    const entities = this.allEntities();
+    this.root = new QTNode(this.bounds, this.capacity, 0, this._depthLimit(), this.looseness);
+    this.rebuild(entities);
+  }
+
+  _depthLimit() {
+    return this.maxDepth + this.rootGrowths;
+  }
+
+  // Doubles the root toward aabb until it fits. The old root becomes one quadrant of the new
+  // one, so nothing already stored has to move; its subtree just sits a level deeper.
+  _growToFit(aabb) {
+    while (!contains(this.root.bounds, aabb)) {
+      const old = this.root;
+      this.bounds = doubleToward(old.bounds, aabb);
+      this.rootGrowths++;
+
+      const root = new QTNode(this.bounds, this.capacity, 0, this._depthLimit(), this.looseness);
+      root.subdivide();
+      // Growing left or up leaves the old root in the right or lower half
+      const quadrant =
+        (this.bounds.minX < old.bounds.minX ? 1 : 0) + (this.bounds.minY < old.bounds.minY ? 2 : 0);
+      root.children[quadrant] = old;
+      root.layers = old.layers;
+      const deepen = (node) => {
+        node.depth++;
+        node.maxDepth = root.maxDepth;
+        if (node.children) node.children.forEach(deepen);
+      };
+      deepen(old);
+      this.root = root;
+    }
+  }
+
+  allEntities() {
+    const entities = [];
+    const collect = (node) => {
+      entities.push(...node.entities);
+      if (node.children) node.children.forEach(collect);
+    };
+    collect(this.root);
+    return entities;
+  }
+
+  // A rebuild starts again from the configured bounds, so one entity that strayed far out
+  // doesn't leave the root (and the depth limit) grown for good
   rebuild(entities) {
+    if (this.rootGrowths > 0) {
+      this.bounds = this.configuredBounds;
+      this.rootGrowths = 0;
+      this.root = new QTNode(this.bounds, this.capacity, 0, this.maxDepth, this.looseness);
+    }
     this.clear();
     for (const e of entities) {
-      const node = this.root.insertEntity(e);
-      if (node) {
-        this.entityNodeMap.set(e.id, node);
-      }
+      this.insert(e);
     }
   }
 
+  // Only a non-finite position can fail; everything else grows the root if it has to
   insert(entity) {
-    const node = this.root.insertEntity(entity);
+    const aabb = aabbOf(entity);
+    if (![aabb.minX, aabb.minY, aabb.maxX, aabb.maxY].every(Number.isFinite)) return false;
+    this._growToFit(aabb);
+    const node = this.root.insertEntity(entity, this.entityNodeMap);
     if (node) this.entityNodeMap.set(entity.id, node);
     return !!node;
   }
@@ -180,7 +335,10 @@ export default class Quadtree extends ISpatialIndex {
   update(entity) {
     const node = this.entityNodeMap.get(entity.id);
     const aabb = aabbOf(entity);
-    if (node && contains(node.bounds, aabb)) {
+    // Staying put is only safe while the node's summary (and so every ancestor's) still
+    // covers the entity's layer
+    const layer = layerOf(entity);
+    if (node && contains(node.looseBounds, aabb) && (node.layers & layer) === layer) {
       for (let i = 0; i < node.entities.length; i++) {
         if (node.entities[i].id === entity.id) {
           node.entities[i] = entity;
@@ -193,13 +351,73 @@ export default class Quadtree extends ISpatialIndex {
     return true;
   }
 
-  queryRange(range) {
+  queryRange(range, options) {
+    const found = [];
+    this.root.queryRange(range, found, options?.mask);
+    return found;
+  }
+
+  queryCircle(x, y, r, options) {
     const found = [];
-    this.root.queryRange(range, found);
+    this.root.queryCircle(x, y, r, found, options?.mask);
     return found;
   }
 
-  debugDraw(ctx, camera) {
-    this.root.debugDraw(ctx, camera);
+  // Slab tests against node bounds, nearest child first
+  _castRay(ray, hits) {
+    this.root.castRay(ray, hits);
+  }
+
+  // Best-first branch and bound over node bounds; returns entities sorted by centre distance
+  queryNearest(x, y, k = 1, maxDist = Infinity) {
+    const nearest = new NearestSet(k, maxDist);
+    if (nearest.k === 0) return [];
+
+    const queue = new NodeQueue();
+    // The root grows to hold everything, so it is always the first node visited
+    queue.push(this.root, 0);
+    while (queue.size > 0) {
+      const { node, priority } = queue.pop();
+      if (priority > nearest.worstDistSq) break;
+      for (const e of node.entities) nearest.offer(e, x, y);
+      if (!node.children) continue;
+      for (const c of node.children) {
+        const d = distSqToBounds(x, y, c.looseBounds);
+        if (d <= nearest.worstDistSq) queue.push(c, d);
+      }
+    }
+    return nearest.toArray();
+  }
+
+  getStats() {
+    let nodeCount = 0;
+    let leafCount = 0;
+    let maxDepth = 0;
+    let maxNodeEntities = 0;
+    const visit = (node) => {
+      nodeCount++;
+      maxDepth = Math.max(maxDepth, node.depth);
+      maxNodeEntities = Math.max(maxNodeEntities, node.entities.length);
+      if (node.children) node.children.forEach(visit);
+      else leafCount++;
+    };
+    visit(this.root);
+
+    return {
+      nodeCount,
+      leafCount,
+      maxDepth,
+      entityCount: this.entityNodeMap.size,
+      // Entities parked at the root are checked by every query
+      rootEntities: this.root.entities.length,
+      maxNodeEntities,
+      looseness: this.looseness,
+      bounds: { ...this.bounds },
+      rootGrowths: this.rootGrowths,
+    };
+  }
+
+  debugDraw(ctx, canvas, camera) {
+    this.root.debugDraw(ctx);
   }
 }
\ No newline at end of file
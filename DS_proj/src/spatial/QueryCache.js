@@ -0,0 +1,219 @@
+// src/spatial/QueryCache.js
+// Temporal-coherence cache for proximity queries that repeat every tick. Each querier (any key,
+// e.g. an entity id) keeps its last answer. Entity movement is tracked on a coarse grid of
+// change versions: an entity only counts as moved once it is more than `tolerance` from where
+// it was last committed, and then stamps the cells under its old and new bounds. A repeat query
+// from within `tolerance` of the cached centre is then
+//  - a hit when none of the cells it covers changed since the answer was made,
+//  - a patch when only a few did: entities that moved are dropped, and the changed cells are
+//    re-queried to pick up whatever moved in,
+//  - a miss otherwise, answered by the index from scratch.
+// With tolerance 0 answers are exact; above it they can be stale by at most that distance.
+import { cellKey } from './PackedHashGrid';
+import { entityOverlapsCircle } from './geometry';
+
+export default class QueryCache {
+  constructor(config = {}) {
+    this.tolerance = config.tolerance ?? 0;
+    this.cellSize = config.cellSize || 64;
+    // Least recently used entries beyond this are dropped
+    this.maxEntries = config.maxEntries || 4096;
+    // A repeat query patches when at most this fraction of its cells changed
+    this.patchLimit = config.patchLimit ?? 0.5;
+
+    this.version = 0;
+    this.cellVersions = new Map();
+    // id -> { x, y, r, version, seen }: where each entity was when its movement last counted
+    this.committed = new Map();
+    this.entries = new Map();
+    this.syncs = 0;
+    // Scratch box for patch queries
+    this.patchBox = { minX: 0, minY: 0, maxX: 0, maxY: 0 };
+    this.resetStats();
+  }
+
+  resetStats() {
+    this.hits = 0;
+    this.patches = 0;
+    this.misses = 0;
+  }
+
+  clear() {
+    this.cellVersions.clear();
+    this.committed.clear();
+    this.entries.clear();
+  }
+
+  _toCell(v) {
+    return Math.floor(v / this.cellSize);
+  }
+
+  _touch(x, y, r) {
+    const minCx = this._toCell(x - r);
+    const maxCx = this._toCell(x + r);
+    const minCy = this._toCell(y - r);
+    const maxCy = this._toCell(y + r);
+    for (let cx = minCx; cx <= maxCx; cx++) {
+      for (let cy = minCy; cy <= maxCy; cy++) this.cellVersions.set(cellKey(cx, cy), this.version);
+    }
+  }
+
+  // An entity was inserted or moved; only movement past the tolerance invalidates anything
+  note(entity) {
+    const rec = this.committed.get(entity.id);
+    if (!rec) {
+      this.version++;
+      this._touch(entity.x, entity.y, entity.r);
+      this.committed.set(entity.id, {
+        x: entity.x,
+        y: entity.y,
+        r: entity.r,
+        version: this.version,
+        seen: this.syncs,
+      });
+      return;
+    }
+    rec.seen = this.syncs;
+    const dx = entity.x - rec.x;
+    const dy = entity.y - rec.y;
+    if (dx * dx + dy * dy <= this.tolerance * this.tolerance && entity.r === rec.r) return;
+    this.version++;
+    this._touch(rec.x, rec.y, rec.r);
+    this._touch(entity.x, entity.y, entity.r);
+    rec.x = entity.x;
+    rec.y = entity.y;
+    rec.r = entity.r;
+    rec.version = this.version;
+  }
+
+  noteRemoved(entity) {
+    const rec = this.committed.get(entity.id);
+    if (!rec) return;
+    this.version++;
+    this._touch(rec.x, rec.y, rec.r);
+    this.committed.delete(entity.id);
+  }
+
+  // A full rebuild says nothing about what moved, so diff the new set against the committed one
+  sync(entities) {
+    const pass = ++this.syncs;
+    for (const e of entities) this.note(e);
+    for (const [id, rec] of this.committed) {
+      if (rec.seen === pass) continue;
+      this.version++;
+      this._touch(rec.x, rec.y, rec.r);
+      this.committed.delete(id);
+    }
+  }
+
+  // source answers misses and patches (IndexManager, so they are counted and merged like any
+  // other query). The returned array belongs to the cache: read it before the next call.
+  queryCircle(key, x, y, r, options = {}, source) {
+    const mask = options.mask;
+    let entry = this.entries.get(key);
+    if (entry) {
+      this.entries.delete(key);
+      this.entries.set(key, entry);
+      const dx = x - entry.x;
+      const dy = y - entry.y;
+      const near = dx * dx + dy * dy <= this.tolerance * this.tolerance;
+      if (near && entry.r === r && entry.mask === mask) {
+        const changed = this._changedCells(entry);
+        if (changed === 0) {
+          this.hits++;
+          return entry.results;
+        }
+        if (changed <= entry.cellCount * this.patchLimit) {
+          this.patches++;
+          this._patch(entry, source);
+          return entry.results;
+        }
+      }
+    } else {
+      entry = { x: 0, y: 0, r: 0, mask: undefined, version: 0, results: null };
+      this.entries.set(key, entry);
+      if (this.entries.size > this.maxEntries) {
+        this.entries.delete(this.entries.keys().next().value);
+      }
+    }
+
+    this.misses++;
+    entry.x = x;
+    entry.y = y;
+    entry.r = r;
+    entry.mask = mask;
+    entry.version = this.version;
+    entry.results = source.queryCircle(x, y, r, { mask });
+    const pad = r + this.tolerance;
+    entry.minCx = this._toCell(x - pad);
+    entry.maxCx = this._toCell(x + pad);
+    entry.minCy = this._toCell(y - pad);
+    entry.maxCy = this._toCell(y + pad);
+    entry.cellCount = (entry.maxCx - entry.minCx + 1) * (entry.maxCy - entry.minCy + 1);
+    return entry.results;
+  }
+
+  // Counts the entry's cells stamped after it was answered, keeping their bounds for a patch
+  _changedCells(entry) {
+    const box = this.patchBox;
+    box.minX = Infinity;
+    box.minY = Infinity;
+    box.maxX = -Infinity;
+    box.maxY = -Infinity;
+    let changed = 0;
+    for (let cx = entry.minCx; cx <= entry.maxCx; cx++) {
+      for (let cy = entry.minCy; cy <= entry.maxCy; cy++) {
+        const v = this.cellVersions.get(cellKey(cx, cy));
+        if (v === undefined || v <= entry.version) continue;
+        changed++;
+        if (cx < box.minX) box.minX = cx;
+        if (cy < box.minY) box.minY = cy;
+        if (cx > box.maxX) box.maxX = cx;
+        if (cy > box.maxY) box.maxY = cy;
+      }
+    }
+    return changed;
+  }
+
+  // Keeps the entities that haven't moved since the answer and re-queries the changed cells for
+  // the ones that have. An unmoved entity found there was either kept already or never matched;
+  // a moved one that now overlaps the circle stamped cells it shares with it, so it is found.
+  _patch(entry, source) {
+    const results = entry.results;
+    let n = 0;
+    for (let i = 0; i < results.length; i++) {
+      const rec = this.committed.get(results[i].id);
+      if (rec && rec.version <= entry.version) results[n++] = results[i];
+    }
+    results.length = n;
+
+    const cs = this.cellSize;
+    const box = this.patchBox;
+    const range = {
+      minX: Math.max(box.minX * cs, entry.x - entry.r),
+      minY: Math.max(box.minY * cs, entry.y - entry.r),
+      maxX: Math.min((box.maxX + 1) * cs, entry.x + entry.r),
+      maxY: Math.min((box.maxY + 1) * cs, entry.y + entry.r),
+    };
+    if (range.minX <= range.maxX && range.minY <= range.maxY) {
+      for (const e of source.queryRange(range, { mask: entry.mask })) {
+        const rec = this.committed.get(e.id);
+        if (rec && rec.version <= entry.version) continue;
+        if (entityOverlapsCircle(e, entry.x, entry.y, entry.r)) results.push(e);
+      }
+    }
+    entry.version = this.version;
+  }
+
+  getMetrics() {
+    const total = this.hits + this.patches + this.misses;
+    return {
+      tolerance: this.tolerance,
+      entries: this.entries.size,
+      hits: this.hits,
+      patches: this.patches,
+      misses: this.misses,
+      hitRate: total > 0 ? (this.hits + this.patches) / total : 0,
+    };
+  }
+}
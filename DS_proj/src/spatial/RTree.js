@@ -0,0 +1,463 @@
+// src/spatial/RTree.js
+// R-tree over entity AABBs. rebuild() bulk-loads with Sort-Tile-Recursive packing; single
+// inserts descend by least enlargement and split overfull nodes with Guttman's quadratic split.
+// load() adds a batch to a live tree by STR-packing it into a subtree and inserting that whole.
+import ISpatialIndex from './ISpatialIndex';
+import { NearestSet, NodeQueue } from './nearest';
+import { clipRayToBounds } from './raycast';
+import {
+  aabbOf,
+  intersects,
+  entityOverlapsRange,
+  entityOverlapsCircle,
+  circleIntersectsBounds,
+  distSqToBounds,
+  unionBounds,
+  area,
+} from './geometry';
+import { layerOf, layersMatch } from './layers';
+
+function boundsOfAll(items) {
+  let bounds = items[0].bounds;
+  for (let i = 1; i < items.length; i++) bounds = unionBounds(bounds, items[i].bounds);
+  return bounds;
+}
+
+// Slots carry their entity's layer and nodes the OR of their children's, refreshed with bounds
+function layersOfAll(items) {
+  let layers = 0;
+  for (const item of items) layers |= item.layers;
+  return layers;
+}
+
+function enlargement(bounds, box) {
+  return area(unionBounds(bounds, box)) - area(bounds);
+}
+
+export default class RTree extends ISpatialIndex {
+  // Accepts either a bare node size or a config object ({ maxEntries, minEntries })
+  constructor(config = 9) {
+    super();
+    const opts = typeof config === 'number' ? { maxEntries: config } : config || {};
+    this.type = 'rtree';
+    this.maxEntries = Math.max(4, opts.maxEntries || 9);
+    this.minEntries = Math.max(2, opts.minEntries || Math.ceil(this.maxEntries * 0.4));
+    // Leaf slots are { entity, bounds, layers }; the box is kept so removal and refit don't
+    // depend on where the entity has since moved
+    this.slots = new Map();
+    this.root = this._makeNode(true, []);
+    this.splits = 0;
+  }
+
+  _makeNode(leaf, children) {
+    const node = { leaf, children, bounds: null, layers: layersOfAll(children), parent: null };
+    for (const child of children) child.parent = node;
+    node.bounds = children.length > 0 ? boundsOfAll(children) : null;
+    return node;
+  }
+
+  rebuild(entities) {
+    this.slots = new Map();
+    const slots = [];
+    for (const entity of entities) {
+      const slot = { entity, bounds: aabbOf(entity), layers: layerOf(entity), parent: null };
+      this.slots.set(entity.id, slot);
+      slots.push(slot);
+    }
+    this.root = slots.length > 0 ? this._bulkLoad(slots, true) : this._makeNode(true, []);
+  }
+
+  // Sort-Tile-Recursive: cut the items into ~sqrt(P) vertical slices by x, pack each slice
+  // into runs of maxEntries by y, then repeat one level up until a single root remains
+  _bulkLoad(items, leaf) {
+    const M = this.maxEntries;
+    const centre = (item, axis) =>
+      axis === 'x'
+        ? (item.bounds.minX + item.bounds.maxX) / 2
+        : (item.bounds.minY + item.bounds.maxY) / 2;
+
+    let level = items;
+    let isLeaf = leaf;
+    do {
+      const nodeCount = Math.ceil(level.length / M);
+      const sliceSize = M * Math.ceil(Math.sqrt(nodeCount));
+      const sorted = level.slice().sort((a, b) => centre(a, 'x') - centre(b, 'x'));
+      const next = [];
+      for (let i = 0; i < sorted.length; i += sliceSize) {
+        const slice = sorted
+          .slice(i, i + sliceSize)
+          .sort((a, b) => centre(a, 'y') - centre(b, 'y'));
+        for (let j = 0; j < slice.length; j += M) {
+          next.push(this._makeNode(isLeaf, slice.slice(j, j + M)));
+        }
+      }
+      level = next;
+      isLeaf = false;
+    } while (level.length > 1);
+    return level[0];
+  }
+
+  insert(entity) {
+    if (this.slots.has(entity.id)) this.remove(entity);
+    const slot = { entity, bounds: aabbOf(entity), layers: layerOf(entity), parent: null };
+    this.slots.set(entity.id, slot);
+    this._insertItem(slot);
+  }
+
+  // Bulk insert: the batch is packed into its own subtree, which goes in at its height the
+  // way a single slot goes in at the leaves. Batches too small to fill a leaf are inserted
+  // one by one.
+  load(entities) {
+    const slots = [];
+    for (const entity of entities) {
+      if (this.slots.has(entity.id)) this.remove(entity);
+      const slot = { entity, bounds: aabbOf(entity), layers: layerOf(entity), parent: null };
+      this.slots.set(entity.id, slot);
+      slots.push(slot);
+    }
+    if (slots.length < this.minEntries) {
+      for (const slot of slots) this._insertItem(slot);
+      return;
+    }
+
+    let subtree = this._bulkLoad(slots, true);
+    if (this.root.children.length === 0) {
+      this.root = subtree;
+      return;
+    }
+    let treeHeight = this._height(this.root);
+    let subHeight = this._height(subtree);
+    if (subHeight > treeHeight) {
+      [this.root, subtree] = [subtree, this.root];
+      [treeHeight, subHeight] = [subHeight, treeHeight];
+    }
+    if (subHeight === treeHeight) {
+      this.root = this._makeNode(false, [this.root, subtree]);
+    } else {
+      this._insertItem(subtree, subHeight);
+    }
+  }
+
+  // Descends by least area enlargement (ties to the smaller node) to the node one level above
+  // height and adds item there: a slot (height -1) lands in a leaf, a subtree of height h under
+  // a node of height h + 1
+  _insertItem(item, height = -1) {
+    let node = this.root;
+    for (let level = this._height(node); level > height + 1; level--) {
+      let best = null;
+      let bestGrowth = Infinity;
+      let bestArea = Infinity;
+      for (const child of node.children) {
+        const growth = enlargement(child.bounds, item.bounds);
+        const a = area(child.bounds);
+        if (growth < bestGrowth || (growth === bestGrowth && a < bestArea)) {
+          best = child;
+          bestGrowth = growth;
+          bestArea = a;
+        }
+      }
+      node = best;
+    }
+
+    node.children.push(item);
+    item.parent = node;
+    this._adjustUpward(node);
+  }
+
+  // Height above the leaves: a leaf is 0
+  _height(node) {
+    let h = 0;
+    while (!node.leaf) {
+      node = node.children[0];
+      h++;
+    }
+    return h;
+  }
+
+  // Splits overfull nodes and refreshes bounds from node up to the root
+  _adjustUpward(node) {
+    while (node) {
+      if (node.children.length > this.maxEntries) {
+        const sibling = this._quadraticSplit(node);
+        if (!node.parent) {
+          this.root = this._makeNode(false, [node, sibling]);
+          return;
+        }
+        node.parent.children.push(sibling);
+        sibling.parent = node.parent;
+      } else {
+        node.bounds = node.children.length > 0 ? boundsOfAll(node.children) : null;
+        node.layers = layersOfAll(node.children);
+      }
+      node = node.parent;
+    }
+  }
+
+  // Guttman's quadratic split: seed the two groups with the pair that would waste the most
+  // area together, then hand out the rest by strongest preference, respecting minEntries.
+  // node keeps one group; the other comes back as a new sibling.
+  _quadraticSplit(node) {
+    const items = node.children;
+    let seedA = 0;
+    let seedB = 1;
+    let worst = -Infinity;
+    for (let i = 0; i < items.length; i++) {
+      for (let j = i + 1; j < items.length; j++) {
+        const waste =
+          area(unionBounds(items[i].bounds, items[j].bounds)) -
+          area(items[i].bounds) -
+          area(items[j].bounds);
+        if (waste > worst) {
+          worst = waste;
+          seedA = i;
+          seedB = j;
+        }
+      }
+    }
+
+    const groupA = [items[seedA]];
+    const groupB = [items[seedB]];
+    let boundsA = items[seedA].bounds;
+    let boundsB = items[seedB].bounds;
+    const rest = items.filter((_, i) => i !== seedA && i !== seedB);
+
+    while (rest.length > 0) {
+      if (groupA.length + rest.length === this.minEntries) {
+        groupA.push(...rest);
+        break;
+      }
+      if (groupB.length + rest.length === this.minEntries) {
+        groupB.push(...rest);
+        break;
+      }
+
+      let pick = 0;
+      let maxDiff = -Infinity;
+      for (let i = 0; i < rest.length; i++) {
+        const diff = Math.abs(
+          enlargement(boundsA, rest[i].bounds) - enlargement(boundsB, rest[i].bounds)
+        );
+        if (diff > maxDiff) {
+          maxDiff = diff;
+          pick = i;
+        }
+      }
+      const [item] = rest.splice(pick, 1);
+      const growA = enlargement(boundsA, item.bounds);
+      const growB = enlargement(boundsB, item.bounds);
+      const toA =
+        growA < growB ||
+        (growA === growB && area(boundsA) < area(boundsB)) ||
+        (growA === growB && area(boundsA) === area(boundsB) && groupA.length <= groupB.length);
+      if (toA) {
+        groupA.push(item);
+        boundsA = unionBounds(boundsA, item.bounds);
+      } else {
+        groupB.push(item);
+        boundsB = unionBounds(boundsB, item.bounds);
+      }
+    }
+
+    this.splits++;
+    node.children = groupA;
+    for (const item of groupA) item.parent = node;
+    node.bounds = boundsOfAll(groupA);
+    node.layers = layersOfAll(groupA);
+    return this._makeNode(node.leaf, groupB);
+  }
+
+  remove(entity) {
+    const slot = this.slots.get(entity.id);
+    if (!slot) return;
+    this.slots.delete(entity.id);
+
+    const leaf = slot.parent;
+    leaf.children.splice(leaf.children.indexOf(slot), 1);
+    this._condense(leaf);
+  }
+
+  // Underfull nodes are cut out and the entities beneath them reinserted
+  _condense(node) {
+    const orphans = [];
+    while (node.parent) {
+      const parent = node.parent;
+      if (node.children.length < this.minEntries) {
+        parent.children.splice(parent.children.indexOf(node), 1);
+        orphans.push(node);
+      } else {
+        node.bounds = boundsOfAll(node.children);
+        node.layers = layersOfAll(node.children);
+      }
+      node = parent;
+    }
+    node.bounds = node.children.length > 0 ? boundsOfAll(node.children) : null;
+    node.layers = layersOfAll(node.children);
+    if (!node.leaf && node.children.length === 0) this.root = this._makeNode(true, []);
+
+    for (const orphan of orphans) {
+      for (const slot of this._slotsUnder(orphan)) this._insertItem(slot);
+    }
+
+    while (!this.root.leaf && this.root.children.length === 1) {
+      this.root = this.root.children[0];
+      this.root.parent = null;
+    }
+  }
+
+  _slotsUnder(node, out = []) {
+    if (node.leaf) out.push(...node.children);
+    else for (const child of node.children) this._slotsUnder(child, out);
+    return out;
+  }
+
+  // Entities whose box hasn't changed stay put; anything that moved is reinserted
+  update(entity) {
+    const slot = this.slots.get(entity.id);
+    if (slot) {
+      const box = aabbOf(entity);
+      const b = slot.bounds;
+      if (
+        b.minX === box.minX &&
+        b.minY === box.minY &&
+        b.maxX === box.maxX &&
+        b.maxY === box.maxY &&
+        slot.layers === layerOf(entity)
+      ) {
+        slot.entity = entity;
+        return;
+      }
+    }
+    this.insert(entity);
+  }
+
+  allEntities() {
+    return Array.from(this.slots.values(), (slot) => slot.entity);
+  }
+
+  queryRange(range, options) {
+    const results = [];
+    if (this.root.bounds) this._queryNode(this.root, range, results, options?.mask);
+    return results;
+  }
+
+  _queryNode(node, range, results, mask) {
+    if (!layersMatch(node.layers, mask) || !intersects(node.bounds, range)) return;
+    if (node.leaf) {
+      for (const slot of node.children) {
+        if (layersMatch(slot.layers, mask) && entityOverlapsRange(slot.entity, range)) {
+          results.push(slot.entity);
+        }
+      }
+      return;
+    }
+    for (const child of node.children) this._queryNode(child, range, results, mask);
+  }
+
+  queryCircle(x, y, r, options) {
+    const results = [];
+    if (this.root.bounds) this._queryCircleNode(this.root, x, y, r, results, options?.mask);
+    return results;
+  }
+
+  _queryCircleNode(node, x, y, r, results, mask) {
+    if (!layersMatch(node.layers, mask) || !circleIntersectsBounds(x, y, r, node.bounds)) return;
+    if (node.leaf) {
+      for (const slot of node.children) {
+        if (layersMatch(slot.layers, mask) && entityOverlapsCircle(slot.entity, x, y, r)) {
+          results.push(slot.entity);
+        }
+      }
+      return;
+    }
+    for (const child of node.children) this._queryCircleNode(child, x, y, r, results, mask);
+  }
+
+  _castRay(ray, hits) {
+    if (this.root.bounds && clipRayToBounds(ray, this.root.bounds)) {
+      this._castRayNode(this.root, ray, hits);
+    }
+  }
+
+  // Children are entered nearest slab entry first
+  _castRayNode(node, ray, hits) {
+    if (node.leaf) {
+      for (const slot of node.children) hits.test(slot.entity);
+      return;
+    }
+    const entered = [];
+    for (const child of node.children) {
+      const span = clipRayToBounds(ray, child.bounds, 0, hits.maxT);
+      if (span) entered.push({ child, t: span[0] });
+    }
+    entered.sort((a, b) => a.t - b.t);
+    for (const { child, t } of entered) {
+      if (t <= hits.maxT) this._castRayNode(child, ray, hits);
+    }
+  }
+
+  // Best-first over node bounds
+  queryNearest(x, y, k = 1, maxDist = Infinity) {
+    const nearest = new NearestSet(k, maxDist);
+    if (!this.root.bounds || nearest.k === 0) return [];
+
+    const queue = new NodeQueue();
+    queue.push(this.root, distSqToBounds(x, y, this.root.bounds));
+    while (queue.size > 0) {
+      const { node, priority } = queue.pop();
+      if (priority > nearest.worstDistSq) break;
+      if (node.leaf) {
+        for (const slot of node.children) nearest.offer(slot.entity, x, y);
+        continue;
+      }
+      for (const child of node.children) {
+        const d = distSqToBounds(x, y, child.bounds);
+        if (d <= nearest.worstDistSq) queue.push(child, d);
+      }
+    }
+    return nearest.toArray();
+  }
+
+  clear() {
+    this.slots = new Map();
+    this.root = this._makeNode(true, []);
+  }
+
+  getStats() {
+    let nodeCount = 0;
+    let leafCount = 0;
+    let filled = 0;
+    const visit = (node) => {
+      nodeCount++;
+      filled += node.children.length;
+      if (node.leaf) leafCount++;
+      else node.children.forEach(visit);
+    };
+    visit(this.root);
+
+    return {
+      entityCount: this.slots.size,
+      nodeCount,
+      leafCount,
+      height: this._height(this.root) + 1,
+      maxEntries: this.maxEntries,
+      minEntries: this.minEntries,
+      // Average children per node as a fraction of maxEntries
+      fill: nodeCount > 0 ? filled / (nodeCount * this.maxEntries) : 0,
+      splits: this.splits,
+    };
+  }
+
+  debugDraw(ctx, canvas, camera) {
+    if (!this.root.bounds) return;
+    ctx.save();
+    ctx.lineWidth = 1;
+    const draw = (node, depth) => {
+      const b = node.bounds;
+      ctx.strokeStyle = `hsla(${(depth * 60) % 360}, 70%, 55%, ${node.leaf ? 0.5 : 0.3})`;
+      ctx.strokeRect(b.minX, b.minY, b.maxX - b.minX, b.maxY - b.minY);
+      if (!node.leaf) for (const child of node.children) draw(child, depth + 1);
+    };
+    draw(this.root, 0);
+    ctx.restore();
+  }
+}
@@ -0,0 +1,124 @@
+// src/spatial/ShadowValidator.js
+// Debug cross-check for IndexManager: on a sampled fraction of queryRange calls the same range
+// is answered by brute force over every tracked entity, and any disagreement is recorded with
+// enough context (index type and stats, the range, the entities involved) to reproduce it.
+import { entityOverlapsRange } from './geometry';
+import { matchesMask } from './layers';
+
+export default class ShadowValidator {
+  constructor(config = {}) {
+    // Fraction of queries that get a brute-force twin
+    this.sampleRate = config.sampleRate ?? 0.05;
+    // Most recent mismatch records kept for inspection
+    this.maxRecords = config.maxRecords ?? 50;
+    this.random = config.random || Math.random;
+    this.reset();
+  }
+
+  reset() {
+    this.checks = 0;
+    this.mismatches = 0;
+    this.missing = 0;
+    this.extra = 0;
+    this.duplicates = 0;
+    this.records = [];
+  }
+
+  shouldSample() {
+    return this.random() < this.sampleRate;
+  }
+
+  // results: what the index returned; entities: ground truth to brute-force over.
+  // context is copied into any mismatch record. Returns the record, or null when they agree.
+  check(range, results, entities, context = {}) {
+    this.checks++;
+
+    const expected = new Map();
+    for (const e of entities) {
+      if (e.active !== false && matchesMask(e, context.mask) && entityOverlapsRange(e, range)) {
+        expected.set(e.id, e);
+      }
+    }
+
+    const returned = new Map();
+    const duplicateIds = [];
+    for (const e of results) {
+      if (returned.has(e.id)) duplicateIds.push(e.id);
+      else returned.set(e.id, e);
+    }
+
+    const missing = [];
+    for (const [id, e] of expected) if (!returned.has(id)) missing.push(e);
+    const extra = [];
+    for (const [id, e] of returned) if (!expected.has(id)) extra.push(e);
+    const duplicates = context.dedupe === false ? [] : duplicateIds;
+
+    if (missing.length === 0 && extra.length === 0 && duplicates.length === 0) return null;
+
+    this.mismatches++;
+    this.missing += missing.length;
+    this.extra += extra.length;
+    this.duplicates += duplicates.length;
+
+    const describe = (e) => ({
+      id: e.id,
+      type: e.type,
+      layer: e.layer,
+      x: e.x,
+      y: e.y,
+      r: e.r,
+      active: e.active,
+    });
+    const record = {
+      time: performance.now(),
+      ...context,
+      range: { ...range },
+      expectedCount: expected.size,
+      resultCount: results.length,
+      missing: missing.map(describe),
+      extra: extra.map(describe),
+      duplicates,
+    };
+    this.records.push(record);
+    if (this.records.length > this.maxRecords) this.records.shift();
+    return record;
+  }
+
+  getMetrics() {
+    return {
+      sampleRate: this.sampleRate,
+      checks: this.checks,
+      mismatches: this.mismatches,
+      missing: this.missing,
+      extra: this.extra,
+      duplicates: this.duplicates,
+      mismatchRate: this.checks > 0 ? this.mismatches / this.checks : 0,
+      recent: this.records.slice(),
+    };
+  }
+
+  // Recent mismatched ranges in red, with missing entities ringed in orange and extras in cyan
+  debugDraw(ctx, maxAge = 3000) {
+    const now = performance.now();
+    ctx.save();
+    ctx.lineWidth = 2;
+    for (const record of this.records) {
+      if (now - record.time > maxAge) continue;
+      const { range } = record;
+      ctx.strokeStyle = 'rgba(255, 40, 40, 0.8)';
+      ctx.strokeRect(range.minX, range.minY, range.maxX - range.minX, range.maxY - range.minY);
+      for (const [list, color] of [
+        [record.missing, 'rgba(255, 160, 0, 0.9)'],
+        [record.extra, 'rgba(0, 220, 255, 0.9)'],
+      ]) {
+        ctx.strokeStyle = color;
+        for (const e of list) {
+          ctx.beginPath();
+          ctx.arc(e.x, e.y, e.r + 3, 0, Math.PI * 2);
+          ctx.stroke();
+        }
+      }
+    }
+    ctx.restore();
+  }
+}
@@ -1,12 +1,30 @@
 // src/spatial/SpatialHashGrid.js
 import ISpatialIndex from './ISpatialIndex';
+import { NearestSet } from './nearest';
+import { clipRayToBounds } from './raycast';
+import { entityOverlapsRange, entityOverlapsCircle, circleIntersectsBounds } from './geometry';
+import { layerOf, matchesMask, layersMatch } from './layers';
 
 export default class SpatialHashGrid extends ISpatialIndex {
-  constructor(cellSize = 64) {
+  // Accepts either a bare cell size or a config object ({ cellSize }) as IndexManager passes
+  constructor(config = 64) {
     super();
-    this.cellSize = cellSize;
+    const opts = typeof config === 'number' ? { cellSize: config } : config || {};
+    this.cellSize = opts.cellSize || 64;
     this.cells = new Map();
+    // OR of the layers in each cell, so masked queries skip cells with nothing they want
+    this.cellLayers = new Map();
     this.entityToKeys = new Map();
+    this.entities = new Map();
+    // Batched queries dedupe by stamping ids with the query number instead of a fresh Set
+    this.batchStamps = new Map();
+    this.batchStamp = 0;
+    this._resetOccupiedBounds();
+  }
+
+  // Cell-space extent of everything ever inserted since the last clear; bounds ring expansion
+  _resetOccupiedBounds() {
+    this.occupied = { minCx: Infinity, minCy: Infinity, maxCx: -Infinity, maxCy: -Infinity };
   }
 
   _cellKey(cx, cy) {
@@ -18,7 +36,11 @@ export default class SpatialHashGrid extends ISpatialIndex {
 
   clear() {
     this.cells.clear();
+    this.cellLayers.clear();
     this.entityToKeys.clear();
+    this.entities.clear();
+    this.batchStamps.clear();
+    this._resetOccupiedBounds();
   }
 
   rebuild(entities) {
@@ -33,6 +55,12 @@ export default class SpatialHashGrid extends ISpatialIndex {
     const maxCx = this._toCell(entity.x + entity.r);
     const minCy = this._toCell(entity.y - entity.r);
     const maxCy = this._toCell(entity.y + entity.r);
+    const occ = this.occupied;
+    if (minCx < occ.minCx) occ.minCx = minCx;
+    if (minCy < occ.minCy) occ.minCy = minCy;
+    if (maxCx > occ.maxCx) occ.maxCx = maxCx;
+    if (maxCy > occ.maxCy) occ.maxCy = maxCy;
+    const layer = layerOf(entity);
     const keys = [];
     for (let cx = minCx; cx <= maxCx; cx++) {
       for (let cy = minCy; cy <= maxCy; cy++) {
@@ -43,10 +71,12 @@ export default class SpatialHashGrid extends ISpatialIndex {
           this.cells.set(k, set);
         }
         set.add(entity.id);
+        this.cellLayers.set(k, (this.cellLayers.get(k) || 0) | layer);
         keys.push(k);
       }
     }
     this.entityToKeys.set(entity.id, keys);
+    this.entities.set(entity.id, entity);
   }
 
   remove(entity) {
@@ -56,9 +86,16 @@ export default class SpatialHashGrid extends ISpatialIndex {
       const set = this.cells.get(k);
       if (!set) continue;
       set.delete(entity.id);
-      if (set.size === 0) this.cells.delete(k);
+      if (set.size === 0) {
+        this.cells.delete(k);
+        this.cellLayers.delete(k);
+      } else {
+        this._refreshCellLayers(k, set);
+      }
     }
     this.entityToKeys.delete(entity.id);
+    this.entities.delete(entity.id);
+    this.batchStamps.delete(entity.id);
   }
 
   update(entity) {
@@ -66,21 +103,217 @@ export default class SpatialHashGrid extends ISpatialIndex {
     this.insert(entity);
   }
 
-  queryRange(range) {
+  _refreshCellLayers(k, set) {
+    let layers = 0;
+    for (const id of set) {
+      const e = this.entities.get(id);
+      if (e) layers |= layerOf(e);
+    }
+    this.cellLayers.set(k, layers);
+  }
+
+  allEntities() {
+    return Array.from(this.entities.values());
+  }
+
+  setCellSize(size) {
+    this.cellSize = Math.max(1, size);
+    this.rebuild(Array.from(this.entities.values()));
+  }
+
+  queryRange(range, { dedupe = true, mask } = {}) {
     const minCx = this._toCell(range.minX);
     const maxCx = this._toCell(range.maxX);
     const minCy = this._toCell(range.minY);
     const maxCy = this._toCell(range.maxY);
-    const ids = new Set();
+    const seen = dedupe ? new Set() : null;
+    const found = [];
     for (let cx = minCx; cx <= maxCx; cx++) {
       for (let cy = minCy; cy <= maxCy; cy++) {
-        const set = this.cells.get(this._cellKey(cx, cy));
-        if (set) {
-          for (const id of set) ids.add(id);
+        const k = this._cellKey(cx, cy);
+        const set = this.cells.get(k);
+        if (!set || !layersMatch(this.cellLayers.get(k), mask)) continue;
+        for (const id of set) {
+          if (seen) {
+            if (seen.has(id)) continue;
+            seen.add(id);
+          }
+          const entity = this.entities.get(id);
+          if (entity && matchesMask(entity, mask) && entityOverlapsRange(entity, range)) {
+            found.push(entity);
+          }
         }
       }
     }
-    return Array.from(ids);
+    return found;
+  }
+
+  // queryRange for one box of a batch, writing ids straight into the results
+  _batchRange(range, { dedupe = true, mask } = {}, results) {
+    const minCx = this._toCell(range.minX);
+    const maxCx = this._toCell(range.maxX);
+    const minCy = this._toCell(range.minY);
+    const maxCy = this._toCell(range.maxY);
+    const stamp = ++this.batchStamp;
+    for (let cx = minCx; cx <= maxCx; cx++) {
+      for (let cy = minCy; cy <= maxCy; cy++) {
+        const k = this._cellKey(cx, cy);
+        const set = this.cells.get(k);
+        if (!set || !layersMatch(this.cellLayers.get(k), mask)) continue;
+        for (const id of set) {
+          if (dedupe) {
+            if (this.batchStamps.get(id) === stamp) continue;
+            this.batchStamps.set(id, stamp);
+          }
+          const entity = this.entities.get(id);
+          if (entity && matchesMask(entity, mask) && entityOverlapsRange(entity, range)) {
+            results.push(id);
+          }
+        }
+      }
+    }
+  }
+
+  // Walks the circle's bounding cells, skipping corner cells the circle never reaches
+  queryCircle(x, y, r, { dedupe = true, mask } = {}) {
+    const minCx = this._toCell(x - r);
+    const maxCx = this._toCell(x + r);
+    const minCy = this._toCell(y - r);
+    const maxCy = this._toCell(y + r);
+    const cs = this.cellSize;
+    const cell = { minX: 0, minY: 0, maxX: 0, maxY: 0 };
+    const seen = dedupe ? new Set() : null;
+    const found = [];
+    for (let cx = minCx; cx <= maxCx; cx++) {
+      for (let cy = minCy; cy <= maxCy; cy++) {
+        const k = this._cellKey(cx, cy);
+        const set = this.cells.get(k);
+        if (!set || !layersMatch(this.cellLayers.get(k), mask)) continue;
+        cell.minX = cx * cs;
+        cell.minY = cy * cs;
+        cell.maxX = cell.minX + cs;
+        cell.maxY = cell.minY + cs;
+        if (!circleIntersectsBounds(x, y, r, cell)) continue;
+        for (const id of set) {
+          if (seen) {
+            if (seen.has(id)) continue;
+            seen.add(id);
+          }
+          const entity = this.entities.get(id);
+          if (entity && matchesMask(entity, mask) && entityOverlapsCircle(entity, x, y, r)) {
+            found.push(entity);
+          }
+        }
+      }
+    }
+    return found;
+  }
+
+  // Amanatides-Woo DDA through the cells the ray crosses, clipped to the occupied extent
+  _castRay(ray, hits) {
+    if (this.entities.size === 0) return;
+    const cs = this.cellSize;
+    const occ = this.occupied;
+    const extent = {
+      minX: occ.minCx * cs,
+      minY: occ.minCy * cs,
+      maxX: (occ.maxCx + 1) * cs,
+      maxY: (occ.maxCy + 1) * cs,
+    };
+    const span = clipRayToBounds(ray, extent);
+    if (!span) return;
+
+    const [tStart, tEnd] = span;
+    let cx = this._toCell(ray.ox + ray.dx * tStart);
+    let cy = this._toCell(ray.oy + ray.dy * tStart);
+    const stepX = Math.sign(ray.dx);
+    const stepY = Math.sign(ray.dy);
+    const tDeltaX = ray.dx !== 0 ? cs / Math.abs(ray.dx) : Infinity;
+    const tDeltaY = ray.dy !== 0 ? cs / Math.abs(ray.dy) : Infinity;
+    const edgeX = (stepX > 0 ? cx + 1 : cx) * cs;
+    const edgeY = (stepY > 0 ? cy + 1 : cy) * cs;
+    let tMaxX = stepX !== 0 ? (edgeX - ray.ox) / ray.dx : Infinity;
+    let tMaxY = stepY !== 0 ? (edgeY - ray.oy) / ray.dy : Infinity;
+
+    // A hit point lies in a cell registered for that entity, so once a cell starts past the
+    // best hit nothing further along can beat it
+    let tCell = tStart;
+    while (tCell <= tEnd && tCell <= hits.maxT) {
+      const set = this.cells.get(this._cellKey(cx, cy));
+      if (set) {
+        for (const id of set) {
+          const entity = this.entities.get(id);
+          if (entity) hits.test(entity);
+        }
+      }
+      if (tMaxX < tMaxY) {
+        tCell = tMaxX;
+        cx += stepX;
+        tMaxX += tDeltaX;
+      } else {
+        tCell = tMaxY;
+        cy += stepY;
+        tMaxY += tDeltaY;
+      }
+    }
+  }
+
+  // k nearest entity centres to (x, y), expanding square rings of cells outwards. Once the rings
+  // have looked up more cells than are occupied, mostly empty space is left between the query
+  // and the entities, and a linear scan is cheaper than walking it.
+  queryNearest(x, y, k = 1, maxDist = Infinity) {
+    const nearest = new NearestSet(k, maxDist);
+    if (nearest.k === 0 || this.entities.size === 0) return [];
+
+    const qx = this._toCell(x);
+    const qy = this._toCell(y);
+    const occ = this.occupied;
+    let maxRing = Math.max(qx - occ.minCx, occ.maxCx - qx, qy - occ.minCy, occ.maxCy - qy, 0);
+    if (Number.isFinite(maxDist)) maxRing = Math.min(maxRing, Math.ceil(maxDist / this.cellSize));
+
+    let visited = 0;
+    for (let ring = 0; ring <= maxRing; ring++) {
+      // After rings 0..ring-1 every centre closer than (ring - 1) * cellSize has been seen
+      const covered = Math.max(0, ring - 1) * this.cellSize;
+      if (ring > 0 && nearest.isFull() && nearest.worstDistSq < covered * covered) break;
+      if (visited >= this.entities.size) break;
+      // Cells looked up by rings 0..ring-1
+      if ((2 * ring - 1) ** 2 > this.cells.size) return this._scanNearest(x, y, k, maxDist);
+
+      if (ring === 0) {
+        visited += this._visitNearestCell(qx, qy, x, y, nearest);
+        continue;
+      }
+      for (let cx = qx - ring; cx <= qx + ring; cx++) {
+        visited += this._visitNearestCell(cx, qy - ring, x, y, nearest);
+        visited += this._visitNearestCell(cx, qy + ring, x, y, nearest);
+      }
+      for (let cy = qy - ring + 1; cy <= qy + ring - 1; cy++) {
+        visited += this._visitNearestCell(qx - ring, cy, x, y, nearest);
+        visited += this._visitNearestCell(qx + ring, cy, x, y, nearest);
+      }
+    }
+    return nearest.toArray();
+  }
+
+  _scanNearest(x, y, k, maxDist) {
+    const nearest = new NearestSet(k, maxDist);
+    for (const entity of this.entities.values()) nearest.offer(entity, x, y);
+    return nearest.toArray();
+  }
+
+  // Only the cell holding an entity's centre offers it, so multi-cell entities count once
+  _visitNearestCell(cx, cy, x, y, nearest) {
+    const set = this.cells.get(this._cellKey(cx, cy));
+    if (!set) return 0;
+    let visited = 0;
+    for (const id of set) {
+      const entity = this.entities.get(id);
+      if (!entity || this._toCell(entity.x) !== cx || this._toCell(entity.y) !== cy) continue;
+      visited++;
+      nearest.offer(entity, x, y);
+    }
+    return visited;
   }
 
   debugDraw(
@@ -0,0 +1,315 @@
+// src/spatial/SweepAndPrune.js
+// Sort-based broadphase: every entity contributes a min and a max endpoint per tracked axis,
+// kept sorted. Frame to frame the order barely changes, so insertion sort re-sorts in close
+// to linear time.
+import ISpatialIndex from './ISpatialIndex';
+import { NearestSet } from './nearest';
+import {
+  aabbOf,
+  intersects,
+  contains,
+  entityOverlapsRange,
+  entityOverlapsCircle,
+} from './geometry';
+import { matchesMask } from './layers';
+
+const AXES = { x: ['minX', 'maxX'], y: ['minY', 'maxY'] };
+
+// Ties put min endpoints first so touching boxes count as overlapping
+function endpointBefore(a, b) {
+  return a.value < b.value || (a.value === b.value && a.isMin && !b.isMin);
+}
+
+export default class SweepAndPrune extends ISpatialIndex {
+  // axes: 'x' keeps one endpoint list, 'xy' keeps a second one for y and sweeps whichever
+  // axis the entities are more spread out along
+  constructor(config = {}) {
+    super();
+    this.type = 'sap';
+    this.axes = config.axes === 'xy' ? ['x', 'y'] : ['x'];
+    this.proxies = new Map();
+    this.endpoints = { x: [], y: [] };
+    // Range scans start this far left of the range so long boxes are not missed
+    this.maxExtent = 0;
+    this.dirty = false;
+    this.lastSwaps = 0;
+    this.totalSwaps = 0;
+  }
+
+  setAxes(axes) {
+    const entities = this.allEntities();
+    this.axes = axes === 'xy' ? ['x', 'y'] : ['x'];
+    this.clear();
+    this.rebuild(entities);
+  }
+
+  // Reuses existing proxies so a per-frame rebuild still benefits from the nearly sorted lists
+  rebuild(entities) {
+    const seen = new Set();
+    for (const entity of entities) {
+      seen.add(entity.id);
+      if (this.proxies.has(entity.id)) this.update(entity);
+      else this.insert(entity);
+    }
+    for (const [id, proxy] of this.proxies) {
+      if (!seen.has(id)) this.remove(proxy.entity);
+    }
+  }
+
+  insert(entity) {
+    if (this.proxies.has(entity.id)) {
+      this.update(entity);
+      return;
+    }
+    const box = aabbOf(entity);
+    const proxy = { entity, box, removed: false, activeIndex: -1 };
+    for (const axis of this.axes) {
+      const [lo, hi] = AXES[axis];
+      this.endpoints[axis].push(
+        { value: box[lo], isMin: true, proxy },
+        { value: box[hi], isMin: false, proxy }
+      );
+    }
+    this.proxies.set(entity.id, proxy);
+    this.dirty = true;
+  }
+
+  // Endpoint values change in place; the next query re-sorts them
+  update(entity) {
+    const proxy = this.proxies.get(entity.id);
+    if (!proxy) {
+      this.insert(entity);
+      return;
+    }
+    proxy.entity = entity;
+    proxy.box = aabbOf(entity);
+    this.dirty = true;
+  }
+
+  // Endpoints are dropped lazily on the next sort
+  remove(entity) {
+    const proxy = this.proxies.get(entity.id);
+    if (!proxy) return;
+    proxy.removed = true;
+    this.proxies.delete(entity.id);
+    this.dirty = true;
+  }
+
+  allEntities() {
+    return Array.from(this.proxies.values(), (p) => p.entity);
+  }
+
+  clear() {
+    this.proxies.clear();
+    this.endpoints = { x: [], y: [] };
+    this.maxExtent = 0;
+    this.dirty = false;
+  }
+
+  _sort() {
+    if (!this.dirty) return;
+    let swaps = 0;
+    this.maxExtent = 0;
+    for (const proxy of this.proxies.values()) {
+      const { box } = proxy;
+      this.maxExtent = Math.max(this.maxExtent, box.maxX - box.minX, box.maxY - box.minY);
+    }
+
+    for (const axis of this.axes) {
+      const [lo, hi] = AXES[axis];
+      const list = this.endpoints[axis].filter((ep) => !ep.proxy.removed);
+      for (const ep of list) ep.value = ep.proxy.box[ep.isMin ? lo : hi];
+
+      for (let i = 1; i < list.length; i++) {
+        const ep = list[i];
+        let j = i - 1;
+        while (j >= 0 && endpointBefore(ep, list[j])) {
+          list[j + 1] = list[j];
+          j--;
+          swaps++;
+        }
+        list[j + 1] = ep;
+      }
+      this.endpoints[axis] = list;
+    }
+
+    this.lastSwaps = swaps;
+    this.totalSwaps += swaps;
+    this.dirty = false;
+  }
+
+  // First endpoint with value >= v
+  _lowerBound(list, v) {
+    let lo = 0;
+    let hi = list.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (list[mid].value < v) lo = mid + 1;
+      else hi = mid;
+    }
+    return lo;
+  }
+
+  // With two axes, scan whichever one has fewer endpoints inside the widened range
+  _scanAxis(range) {
+    if (this.axes.length === 1) return 'x';
+    const span = (axis) => {
+      const [lo, hi] = AXES[axis];
+      const list = this.endpoints[axis];
+      return this._lowerBound(list, range[hi]) - this._lowerBound(list, range[lo] - this.maxExtent);
+    };
+    return span('y') < span('x') ? 'y' : 'x';
+  }
+
+  queryRange(range, options) {
+    this._sort();
+    const axis = this._scanAxis(range);
+    const [lo, hi] = AXES[axis];
+    const list = this.endpoints[axis];
+    const mask = options?.mask;
+    const results = [];
+    // One flat list has no groups to skip, so the mask is only checked per entity
+    for (let i = this._lowerBound(list, range[lo] - this.maxExtent); i < list.length; i++) {
+      const ep = list[i];
+      if (ep.value > range[hi]) break;
+      if (!ep.isMin) continue;
+      const entity = ep.proxy.entity;
+      if (matchesMask(entity, mask) && entityOverlapsRange(entity, range)) results.push(entity);
+    }
+    return results;
+  }
+
+  queryCircle(x, y, r, options) {
+    const box = { minX: x - r, minY: y - r, maxX: x + r, maxY: y + r };
+    return this.queryRange(box, options).filter((e) => entityOverlapsCircle(e, x, y, r));
+  }
+
+  // A single sweep finds every overlapping pair. Custom bounds (e.g. swept projectiles) are
+  // not what the endpoints hold, so those fall back to the generic per-entity queries.
+  queryPairs(filterA = null, filterB = null, options = {}) {
+    if (options.boundsOf && options.boundsOf !== aabbOf) {
+      return super.queryPairs(filterA, filterB, options);
+    }
+
+    this._sort();
+    const axis = this._sweepAxis();
+    const pairs = [];
+    const active = [];
+    for (const ep of this.endpoints[axis]) {
+      const proxy = ep.proxy;
+      if (!ep.isMin) {
+        const last = active.pop();
+        if (last !== proxy) {
+          active[proxy.activeIndex] = last;
+          last.activeIndex = proxy.activeIndex;
+        }
+        proxy.activeIndex = -1;
+        continue;
+      }
+
+      for (const other of active) {
+        if (intersects(proxy.box, other.box)) {
+          this._emitPair(proxy.entity, other.entity, filterA, filterB, options.mask, pairs);
+        }
+      }
+      proxy.activeIndex = active.length;
+      active.push(proxy);
+    }
+    return pairs;
+  }
+
+  // Same orientation rules as ISpatialIndex.queryPairs: a on the filterA side, and a pair
+  // that fits both ways round is reported once with the lower id first
+  _emitPair(p, q, filterA, filterB, mask, pairs) {
+    const pq = (!filterA || filterA(p)) && (!filterB || filterB(q)) && matchesMask(q, mask);
+    const qp = (!filterA || filterA(q)) && (!filterB || filterB(p)) && matchesMask(p, mask);
+    if (pq && qp) pairs.push(p.id < q.id ? [p, q] : [q, p]);
+    else if (pq) pairs.push([p, q]);
+    else if (qp) pairs.push([q, p]);
+  }
+
+  // Sweep along the axis with more spread; fewer boxes are open at once along it
+  _sweepAxis() {
+    if (this.axes.length === 1) return 'x';
+    const spread = (axis) => {
+      const list = this.endpoints[axis];
+      return list.length > 0 ? list[list.length - 1].value - list[0].value : 0;
+    };
+    return spread('y') > spread('x') ? 'y' : 'x';
+  }
+
+  // Endpoint lists don't order anything along a ray, so a finite cast scans the segment's
+  // box and an unbounded one tests everything
+  _castRay(ray, hits) {
+    if (ray.maxDist === Infinity) {
+      for (const proxy of this.proxies.values()) hits.test(proxy.entity);
+      return;
+    }
+    const ex = ray.ox + ray.dx * ray.maxDist;
+    const ey = ray.oy + ray.dy * ray.maxDist;
+    const box = {
+      minX: Math.min(ray.ox, ex),
+      minY: Math.min(ray.oy, ey),
+      maxX: Math.max(ray.ox, ex),
+      maxY: Math.max(ray.oy, ey),
+    };
+    for (const entity of this.queryRange(box)) hits.test(entity);
+  }
+
+  // Square searches that double until the k-th nearest centre is provably inside
+  queryNearest(x, y, k = 1, maxDist = Infinity) {
+    if (k < 1 || this.proxies.size === 0) return [];
+    this._sort();
+    const world = this._extent();
+
+    let half = Math.max(this.maxExtent, 32);
+    for (;;) {
+      const nearest = new NearestSet(k, maxDist);
+      const box = { minX: x - half, minY: y - half, maxX: x + half, maxY: y + half };
+      for (const entity of this.queryRange(box)) nearest.offer(entity, x, y);
+      const settled = nearest.isFull() && nearest.worstDistSq <= half * half;
+      if (settled || half >= maxDist || contains(box, world)) return nearest.toArray();
+      half *= 2;
+    }
+  }
+
+  _extent() {
+    const xs = this.endpoints.x;
+    let minY = Infinity;
+    let maxY = -Infinity;
+    for (const proxy of this.proxies.values()) {
+      minY = Math.min(minY, proxy.box.minY);
+      maxY = Math.max(maxY, proxy.box.maxY);
+    }
+    return { minX: xs[0].value, minY, maxX: xs[xs.length - 1].value, maxY };
+  }
+
+  getStats() {
+    this._sort();
+    return {
+      entityCount: this.proxies.size,
+      axes: this.axes.join(''),
+      sweepAxis: this._sweepAxis(),
+      endpointCount: this.axes.length * this.proxies.size * 2,
+      maxExtent: this.maxExtent,
+      // Insertion-sort swaps: near zero when the lists were already nearly in order
+      lastSwaps: this.lastSwaps,
+      totalSwaps: this.totalSwaps,
+    };
+  }
+
+  // Each entity's x interval, drawn at its own height
+  debugDraw(ctx, canvas, camera) {
+    ctx.save();
+    ctx.strokeStyle = 'rgba(255, 200, 0, 0.35)';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    for (const proxy of this.proxies.values()) {
+      const y = proxy.entity.y;
+      ctx.moveTo(proxy.box.minX, y);
+      ctx.lineTo(proxy.box.maxX, y);
+    }
+    ctx.stroke();
+    ctx.restore();
+  }
+}
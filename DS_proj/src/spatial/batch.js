@@ -0,0 +1,99 @@
+// src/spatial/batch.js
+// Batched range queries. The boxes arrive packed in one typed array (minX, minY, maxX, maxY per
+// query) and the answers go back as entity ids in a caller-owned BatchResults: one flat id
+// buffer plus a start offset and count per query. Queries run in Z-order of their centres so
+// neighbouring boxes hit the same cells/nodes back to back, and nothing is allocated per query
+// once the buffers have grown to the workload.
+import { mortonEncode } from './morton';
+
+export const BOX_STRIDE = 4;
+
+// Query index rides in the low bits of each sort key, so the batch size is capped at 2^21
+const INDEX_BITS = 21;
+const INDEX_SCALE = 2 ** INDEX_BITS;
+export const MAX_BATCH = INDEX_SCALE;
+
+export class BatchResults {
+  constructor(capacity = 1024, queryCount = 0) {
+    this.ids = new Int32Array(Math.max(1, capacity));
+    this.total = 0;
+    this.queryCount = 0;
+    this.offsets = new Uint32Array(queryCount);
+    this.counts = new Uint32Array(queryCount);
+    this.order = new Uint32Array(queryCount);
+    this.sortKeys = new Float64Array(queryCount);
+    // Reused by every query: the current box, and an out array for indexes that accept one
+    this.box = { minX: 0, minY: 0, maxX: 0, maxY: 0 };
+    this.scratch = [];
+  }
+
+  // Sizes the per-query arrays for queryCount queries and empties the id buffer
+  reset(queryCount) {
+    if (queryCount > MAX_BATCH) throw new Error(`Batch of ${queryCount} exceeds ${MAX_BATCH}`);
+    if (this.offsets.length < queryCount) {
+      this.offsets = new Uint32Array(queryCount);
+      this.counts = new Uint32Array(queryCount);
+      this.order = new Uint32Array(queryCount);
+      this.sortKeys = new Float64Array(queryCount);
+    }
+    this.queryCount = queryCount;
+    this.total = 0;
+  }
+
+  // Doubles the id buffer when full, so a reused BatchResults settles at the workload's size
+  push(id) {
+    if (this.total === this.ids.length) {
+      const grown = new Int32Array(this.ids.length * 2);
+      grown.set(this.ids);
+      this.ids = grown;
+    }
+    this.ids[this.total++] = id;
+  }
+
+  // View (not a copy) of query i's ids; only valid until the next batch
+  idsOf(i) {
+    const start = this.offsets[i];
+    return this.ids.subarray(start, start + this.counts[i]);
+  }
+}
+
+// Fills results.order with the query indexes sorted by the Z-order of their box centres,
+// quantised over the extent of the batch itself
+export function sortByLocation(ranges, results) {
+  const n = results.queryCount;
+  let minX = Infinity;
+  let minY = Infinity;
+  let maxX = -Infinity;
+  let maxY = -Infinity;
+  for (let i = 0; i < n; i++) {
+    const o = i * BOX_STRIDE;
+    const cx = (ranges[o] + ranges[o + 2]) * 0.5;
+    const cy = (ranges[o + 1] + ranges[o + 3]) * 0.5;
+    if (cx < minX) minX = cx;
+    if (cy < minY) minY = cy;
+    if (cx > maxX) maxX = cx;
+    if (cy > maxY) maxY = cy;
+  }
+  const scale = 0xffff / Math.max(maxX - minX, maxY - minY, 1e-9);
+
+  // key * 2^21 + i stays an exact integer in a double, so a plain numeric sort orders by key
+  const keys = results.sortKeys.subarray(0, n);
+  for (let i = 0; i < n; i++) {
+    const o = i * BOX_STRIDE;
+    const qx = Math.floor(((ranges[o] + ranges[o + 2]) * 0.5 - minX) * scale);
+    const qy = Math.floor(((ranges[o + 1] + ranges[o + 3]) * 0.5 - minY) * scale);
+    keys[i] = mortonEncode(qx, qy) * INDEX_SCALE + i;
+  }
+  keys.sort();
+  for (let i = 0; i < n; i++) results.order[i] = keys[i] % INDEX_SCALE;
+}
+
+// Copies query i's box out of the packed array into results.box
+export function loadBox(ranges, i, box) {
+  const o = i * BOX_STRIDE;
+  box.minX = ranges[o];
+  box.minY = ranges[o + 1];
+  box.maxX = ranges[o + 2];
+  box.maxY = ranges[o + 3];
+  return box;
+}
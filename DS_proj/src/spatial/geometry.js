@@ -0,0 +1,88 @@
+// src/spatial/geometry.js
+// Geometry shared by every spatial index. An entity is a circle (x, y, r); its footprint for
+// range queries is the AABB (x ± r, y ± r). Edges are inclusive: touching counts as overlap.
+
+export function aabbOf(e) {
+  return { minX: e.x - e.r, minY: e.y - e.r, maxX: e.x + e.r, maxY: e.y + e.r };
+}
+
+export function intersects(a, b) {
+  return !(a.maxX < b.minX || a.minX > b.maxX || a.maxY < b.minY || a.minY > b.maxY);
+}
+
+export function contains(bounds, aabb) {
+  return (
+    bounds.minX <= aabb.minX &&
+    bounds.minY <= aabb.minY &&
+    bounds.maxX >= aabb.maxX &&
+    bounds.maxY >= aabb.maxY
+  );
+}
+
+// Squared distance from a point to an axis-aligned box (0 when the point is inside)
+export function distSqToBounds(x, y, b) {
+  const dx = x < b.minX ? b.minX - x : x > b.maxX ? x - b.maxX : 0;
+  const dy = y < b.minY ? b.minY - y : y > b.maxY ? y - b.maxY : 0;
+  return dx * dx + dy * dy;
+}
+
+// Circle-vs-box test used to prune cells and nodes during circle queries
+export function circleIntersectsBounds(x, y, r, b) {
+  return distSqToBounds(x, y, b) <= r * r;
+}
+
+// Circle-vs-circle: the query circle (x, y, r) overlaps the entity's own circle
+export function entityOverlapsCircle(e, x, y, r) {
+  const dx = e.x - x;
+  const dy = e.y - y;
+  const rr = r + e.r;
+  return dx * dx + dy * dy <= rr * rr;
+}
+
+// Same test as intersects(aabbOf(e), range) without allocating the box
+export function entityOverlapsRange(e, range) {
+  return !(
+    e.x + e.r < range.minX ||
+    e.x - e.r > range.maxX ||
+    e.y + e.r < range.minY ||
+    e.y - e.r > range.maxY
+  );
+}
+
+export function unionBounds(a, b) {
+  return {
+    minX: Math.min(a.minX, b.minX),
+    minY: Math.min(a.minY, b.minY),
+    maxX: Math.max(a.maxX, b.maxX),
+    maxY: Math.max(a.maxY, b.maxY),
+  };
+}
+
+// 2D stand-in for surface area in SAH-style cost estimates
+export function perimeter(b) {
+  return 2 * (b.maxX - b.minX + b.maxY - b.minY);
+}
+
+export function area(b) {
+  return (b.maxX - b.minX) * (b.maxY - b.minY);
+}
+
+export function intersectionArea(a, b) {
+  const w = Math.min(a.maxX, b.maxX) - Math.max(a.minX, b.minX);
+  const h = Math.min(a.maxY, b.maxY) - Math.max(a.minY, b.minY);
+  return w > 0 && h > 0 ? w * h : 0;
+}
+
+// Bounds twice the size on each axis, extended toward aabb; repeat until it fits
+export function doubleToward(bounds, aabb) {
+  const w = bounds.maxX - bounds.minX;
+  const h = bounds.maxY - bounds.minY;
+  const growLeft = aabb.minX < bounds.minX;
+  const growUp = aabb.minY < bounds.minY;
+  return {
+    minX: growLeft ? bounds.minX - w : bounds.minX,
+    minY: growUp ? bounds.minY - h : bounds.minY,
+    maxX: growLeft ? bounds.maxX : bounds.maxX + w,
+    maxY: growUp ? bounds.maxY : bounds.maxY + h,
+  };
+}
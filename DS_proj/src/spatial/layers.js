@@ -0,0 +1,36 @@
+// src/spatial/layers.js
+// Collision layers. An entity's `layer` holds the bit(s) it belongs to and `mask` the layers it
+// cares about. Queries that pass { mask } only return entities whose layer shares a bit with it,
+// and indexes keep an OR of the layers under each node or cell so they can skip misses whole.
+// Entities with `indexed: false` (cosmetic effects) never enter an index at all.
+
+export const LAYER = {
+  DEFAULT: 1 << 0,
+  PLAYER: 1 << 1,
+  ZOMBIE: 1 << 2,
+  PROJECTILE: 1 << 3,
+  PICKUP: 1 << 4,
+  EFFECT: 1 << 5,
+  PARTICLE: 1 << 6,
+};
+
+// Every bit set; also what an entity without a layer counts as, so unlayered data still matches
+export const ALL_LAYERS = ~0;
+
+export function layerOf(e) {
+  return e.layer ?? ALL_LAYERS;
+}
+
+// A missing mask means no filtering
+export function matchesMask(e, mask) {
+  return mask == null || (layerOf(e) & mask) !== 0;
+}
+
+// For per-node/per-cell summaries: can anything under `layers` pass `mask`?
+export function layersMatch(layers, mask) {
+  return mask == null || (layers & mask) !== 0;
+}
+
+export function isIndexed(e) {
+  return e.indexed !== false;
+}
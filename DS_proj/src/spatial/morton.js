@@ -0,0 +1,30 @@
+// src/spatial/morton.js
+// Z-order (Morton) codes for 16-bit lattice coordinates: x bits on the even positions, y on the
+// odd. Shared by MortonIndex and the batch query sorter.
+
+// Spreads the low 16 bits of v so they occupy the even bit positions
+function part1by1(v) {
+  v &= 0xffff;
+  v = (v | (v << 8)) & 0x00ff00ff;
+  v = (v | (v << 4)) & 0x0f0f0f0f;
+  v = (v | (v << 2)) & 0x33333333;
+  v = (v | (v << 1)) & 0x55555555;
+  return v;
+}
+
+export function compact1by1(v) {
+  v &= 0x55555555;
+  v = (v | (v >>> 1)) & 0x33333333;
+  v = (v | (v >>> 2)) & 0x0f0f0f0f;
+  v = (v | (v >>> 4)) & 0x00ff00ff;
+  v = (v | (v >>> 8)) & 0x0000ffff;
+  return v;
+}
+
+export function mortonEncode(qx, qy) {
+  return (part1by1(qx) | (part1by1(qy) << 1)) >>> 0;
+}
+
+export function mortonDecode(code) {
+  return [compact1by1(code), compact1by1(code >>> 1)];
+}
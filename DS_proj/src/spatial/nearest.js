@@ -0,0 +1,85 @@
+// src/spatial/nearest.js
+// Shared helpers for k-nearest-neighbour queries across the spatial indexes.
+
+// Keeps the k closest entities seen so far, ordered by squared centre distance
+export class NearestSet {
+  constructor(k = 1, maxDist = Infinity) {
+    this.k = Math.max(0, Math.floor(k));
+    this.maxDistSq = maxDist * maxDist;
+    this.items = [];
+  }
+
+  isFull() {
+    return this.items.length >= this.k;
+  }
+
+  // Anything further than this can no longer make it into the result
+  get worstDistSq() {
+    return this.isFull() ? this.items[this.items.length - 1].distSq : this.maxDistSq;
+  }
+
+  offer(entity, x, y) {
+    if (this.k === 0) return;
+    const dx = entity.x - x;
+    const dy = entity.y - y;
+    const distSq = dx * dx + dy * dy;
+    if (distSq > this.worstDistSq) return;
+
+    let i = this.items.length;
+    this.items.push({ entity, distSq });
+    while (i > 0 && this.items[i - 1].distSq > distSq) {
+      this.items[i] = this.items[i - 1];
+      i--;
+    }
+    this.items[i] = { entity, distSq };
+    if (this.items.length > this.k) this.items.pop();
+  }
+
+  toArray() {
+    return this.items.map((item) => item.entity);
+  }
+}
+
+// Binary min-heap of { node, priority } used for best-first tree traversal
+export class NodeQueue {
+  constructor() {
+    this.heap = [];
+  }
+
+  get size() {
+    return this.heap.length;
+  }
+
+  push(node, priority) {
+    const heap = this.heap;
+    heap.push({ node, priority });
+    let i = heap.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (heap[parent].priority <= heap[i].priority) break;
+      [heap[parent], heap[i]] = [heap[i], heap[parent]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const heap = this.heap;
+    const top = heap[0];
+    const last = heap.pop();
+    if (heap.length > 0) {
+      heap[0] = last;
+      let i = 0;
+      for (;;) {
+        const l = i * 2 + 1;
+        const r = l + 1;
+        let smallest = i;
+        if (l < heap.length && heap[l].priority < heap[smallest].priority) smallest = l;
+        if (r < heap.length && heap[r].priority < heap[smallest].priority) smallest = r;
+        if (smallest === i) break;
+        [heap[smallest], heap[i]] = [heap[i], heap[smallest]];
+        i = smallest;
+      }
+    }
+    return top;
+  }
+}
@@ -0,0 +1,87 @@
+// src/spatial/raycast.js
+// Ray helpers shared by the spatial indexes. A ray is origin + t * dir with dir normalised,
+// so t is a distance in world units and hits report it directly.
+
+// Normalises the direction; returns null for a zero-length direction
+export function makeRay(origin, dir, maxDist = Infinity) {
+  const len = Math.hypot(dir.x, dir.y);
+  if (!(len > 0)) return null;
+  return { ox: origin.x, oy: origin.y, dx: dir.x / len, dy: dir.y / len, maxDist };
+}
+
+// Clips t in [tmin, tmax] to the slab lo <= o + t * d <= hi; returns [enter, exit] or null
+export function clipSlab(o, d, lo, hi, tmin, tmax) {
+  if (d === 0) return o >= lo && o <= hi ? [tmin, tmax] : null;
+  let t1 = (lo - o) / d;
+  let t2 = (hi - o) / d;
+  if (t1 > t2) [t1, t2] = [t2, t1];
+  const enter = Math.max(tmin, t1);
+  const exit = Math.min(tmax, t2);
+  return enter <= exit ? [enter, exit] : null;
+}
+
+// Slab test against an AABB; returns [enter, exit] within [tmin, tmax] or null
+export function clipRayToBounds(ray, b, tmin = 0, tmax = ray.maxDist) {
+  const sx = clipSlab(ray.ox, ray.dx, b.minX, b.maxX, tmin, tmax);
+  if (!sx) return null;
+  return clipSlab(ray.oy, ray.dy, b.minY, b.maxY, sx[0], sx[1]);
+}
+
+// Distance along the ray at which it enters the entity's circle (0 if it starts inside)
+export function rayCircleEntry(ray, e) {
+  const fx = ray.ox - e.x;
+  const fy = ray.oy - e.y;
+  const c = fx * fx + fy * fy - e.r * e.r;
+  if (c <= 0) return 0;
+  const b = fx * ray.dx + fy * ray.dy;
+  const disc = b * b - c;
+  if (disc < 0) return Infinity;
+  const t = -b - Math.sqrt(disc);
+  return t >= 0 ? t : Infinity;
+}
+
+// Collects hits for one cast. In first-hit mode maxT shrinks to the closest hit so far,
+// which the indexes use to stop traversing anything that starts further along the ray.
+export class RayHits {
+  constructor(ray, filter = null, firstOnly = true) {
+    this.ray = ray;
+    this.filter = filter;
+    this.firstOnly = firstOnly;
+    this.maxT = ray.maxDist;
+    this.best = null;
+    this.hits = [];
+    this.seen = firstOnly ? null : new Set();
+  }
+
+  test(entity) {
+    if (this.filter && !this.filter(entity)) return;
+    const t = rayCircleEntry(this.ray, entity);
+    if (t === Infinity || t > this.maxT) return;
+
+    if (this.firstOnly) {
+      if (this.best && this.best.distance <= t) return;
+      this.best = this._hit(entity, t);
+      this.maxT = t;
+      return;
+    }
+    if (this.seen.has(entity.id)) return;
+    this.seen.add(entity.id);
+    this.hits.push(this._hit(entity, t));
+  }
+
+  _hit(entity, t) {
+    return {
+      entity,
+      distance: t,
+      point: { x: this.ray.ox + this.ray.dx * t, y: this.ray.oy + this.ray.dy * t },
+    };
+  }
+
+  first() {
+    return this.best;
+  }
+
+  all() {
+    return this.hits.sort((a, b) => a.distance - b.distance);
+  }
+}
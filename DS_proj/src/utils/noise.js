@@ -0,0 +1,113 @@
+// src/utils/noise.js
+// Pluggable 2D noise for terrain. noiseConfig.noise picks a backend; every backend is seeded
+// with a number (seed strings go through seedStringToNumber) and returns values in [0, 1], so
+// terrain thresholds work with any of them.
+//  - value:        hashed lattice values, smoothly blended (the original terrain noise)
+//  - perlin:       gradient Perlin noise
+//  - opensimplex2: OpenSimplex2, free of square-lattice artefacts
+import { seedStringToNumber } from './prng';
+import { createPerlin2D } from './perlin';
+import { createOpenSimplex2D } from './opensimplex2';
+
+export const NOISE_TYPES = ['value', 'perlin', 'opensimplex2'];
+export const DEFAULT_NOISE = 'value';
+
+function fract(x) {
+  return x - Math.floor(x);
+}
+
+function hash2(x, y, seedNum) {
+  const s = Math.sin(x * 127.1 + y * 311.7 + seedNum * 101.7) * 43758.5453123;
+  return fract(s);
+}
+
+function lerp(a, b, t) {
+  return a + (b - a) * t;
+}
+
+function fade(t) {
+  return t * t * (3 - 2 * t);
+}
+
+export function valueNoise2D(x, y, seedNum = 0) {
+  const x0 = Math.floor(x);
+  const y0 = Math.floor(y);
+  const sx = x - x0;
+  const sy = y - y0;
+  const n00 = hash2(x0, y0, seedNum);
+  const n10 = hash2(x0 + 1, y0, seedNum);
+  const n01 = hash2(x0, y0 + 1, seedNum);
+  const n11 = hash2(x0 + 1, y0 + 1, seedNum);
+  const ix0 = lerp(n00, n10, fade(sx));
+  const ix1 = lerp(n01, n11, fade(sx));
+  return lerp(ix0, ix1, fade(sy));
+}
+
+// Gradient backends return [-1, 1]; rescaled (and clamped against rounding) to [0, 1]
+function unsigned(noise) {
+  return (x, y) => Math.min(1, Math.max(0, 0.5 + 0.5 * noise(x, y)));
+}
+
+const BACKENDS = {
+  value: (seedNum) => (x, y) => valueNoise2D(x, y, seedNum),
+  perlin: (seedNum) => unsigned(createPerlin2D(seedNum)),
+  opensimplex2: (seedNum) => unsigned(createOpenSimplex2D(seedNum)),
+};
+
+// Returns noise(x, y) in [0, 1]
+export function createNoise2D(type = DEFAULT_NOISE, seed = 0) {
+  const backend = BACKENDS[type];
+  if (!backend) throw new Error(`Unknown noise type: ${type}`);
+  return backend(typeof seed === 'number' ? seed : seedStringToNumber(seed));
+}
+
+// Returns fbm(x, y) in [0, 1]: octaves of the backend, octave i seeded with seed + i * 1000.
+// The octave generators are built once here, so reuse the result across samples.
+export function createFractalNoise2D(
+  type = DEFAULT_NOISE,
+  seed = 0,
+  octaves = 4,
+  lacunarity = 2.0,
+  gain = 0.5
+) {
+  const seedNum = typeof seed === 'number' ? seed : seedStringToNumber(seed);
+  const layers = [];
+  for (let i = 0; i < octaves; i++) layers.push(createNoise2D(type, seedNum + i * 1000));
+
+  return (x, y) => {
+    let freq = 1,
+      amp = 1,
+      sum = 0,
+      max = 0;
+    for (let i = 0; i < layers.length; i++) {
+      sum += layers[i](x * freq, y * freq) * amp;
+      max += amp;
+      amp *= gain;
+      freq *= lacunarity;
+    }
+    return max === 0 ? 0 : sum / max;
+  };
+}
+
+// One-off fractal value-noise sample
+export function fractalNoise2D(x, y, seedNum = 0, octaves = 3, lacunarity = 2, gain = 0.5) {
+  return createFractalNoise2D('value', seedNum, octaves, lacunarity, gain)(x, y);
+}
+
+/**
+ * getTileForWorld: convenience to map world (tile grid) coordinate to discrete tile id.
+ * config: { noise, scale, octaves, thresholds: { water, air, dirt } }
+ */
+export function getTileForWorld(worldX, worldY, seedNum, config = {}) {
+  const scale = config.scale ?? 0.08;
+  const octaves = config.octaves ?? 3;
+  const v = createFractalNoise2D(config.noise, seedNum, octaves)(worldX * scale, worldY * scale);
+  // thresholds
+  const tWater = config.tWater ?? 0.35;
+  const tAir = config.tAir ?? 0.5;
+  const tDirt = config.tDirt ?? 0.7;
+  if (v < tWater) return 3; // water
+  if (v < tAir) return 0; // air/grass
+  if (v < tDirt) return 1; // dirt
+  return 2; // stone
+}
@@ -0,0 +1,65 @@
+// src/utils/opensimplex2.js
+// OpenSimplex2 noise in 2D, after K.jpg's public-domain OpenSimplex2. It samples a skewed
+// triangular lattice with 24 gradient directions, so unlike square-lattice noise it has no
+// horizontal/vertical bias. Gradients are picked through a seeded permutation table instead of
+// the reference 64-bit hash, which JS numbers can't do cheaply.
+import { permutationTable } from './perlin';
+
+const SKEW_2D = 0.366025403784439;
+const UNSKEW_2D = -0.21132486540518713;
+const RSQUARED_2D = 0.5;
+// Scales the summed contributions to about [-1, 1]
+const NORMALIZER_2D = 0.01001634121365712;
+
+// Every 45 degrees from 22.5, plus 7.5, 37.5, 52.5 and 82.5 in each quadrant; x, y pairs
+const GRADIENTS_2D = new Float64Array(48);
+[22.5, 67.5, 7.5, 37.5, 52.5, 82.5].forEach((deg, i) => {
+  for (let q = 0; q < 4; q++) {
+    const angle = ((deg + q * 90) * Math.PI) / 180;
+    const k = (i * 4 + q) * 2;
+    GRADIENTS_2D[k] = Math.cos(angle) / NORMALIZER_2D;
+    GRADIENTS_2D[k + 1] = Math.sin(angle) / NORMALIZER_2D;
+  }
+});
+
+// Returns noise(x, y) in about [-1, 1] for this seed
+export function createOpenSimplex2D(seedNum) {
+  const perm = permutationTable(seedNum);
+  // Offset into GRADIENTS_2D for each permutation value
+  const gradOffset = new Uint8Array(256);
+  for (let i = 0; i < 256; i++) gradOffset[i] = (i % 24) * 2;
+
+  // Falloff-weighted gradient contribution of lattice vertex (xsv, ysv) at offset (dx, dy)
+  const vertex = (xsv, ysv, dx, dy) => {
+    const a = RSQUARED_2D - dx * dx - dy * dy;
+    if (a <= 0) return 0;
+    const g = gradOffset[perm[perm[xsv & 255] + (ysv & 255)]];
+    return a * a * (a * a) * (GRADIENTS_2D[g] * dx + GRADIENTS_2D[g + 1] * dy);
+  };
+
+  return (x, y) => {
+    // Skew onto the lattice and find the base vertex
+    const s = SKEW_2D * (x + y);
+    const xs = x + s;
+    const ys = y + s;
+    const xsb = Math.floor(xs);
+    const ysb = Math.floor(ys);
+    const xi = xs - xsb;
+    const yi = ys - ysb;
+
+    // Unskewed offset from the base vertex
+    const t = (xi + yi) * UNSKEW_2D;
+    const dx0 = xi + t;
+    const dy0 = yi + t;
+
+    let value = vertex(xsb, ysb, dx0, dy0);
+    value += vertex(xsb + 1, ysb + 1, dx0 - (1 + 2 * UNSKEW_2D), dy0 - (1 + 2 * UNSKEW_2D));
+    // The third vertex is on whichever side of the diagonal the point is
+    if (dy0 > dx0) {
+      value += vertex(xsb, ysb + 1, dx0 - UNSKEW_2D, dy0 - (UNSKEW_2D + 1));
+    } else {
+      value += vertex(xsb + 1, ysb, dx0 - (UNSKEW_2D + 1), dy0 - UNSKEW_2D);
+    }
+    return value;
+  };
+}
@@ -1,78 +1,61 @@
 // src/utils/perlin.js
-function fract(x) {
-  return x - Math.floor(x);
-}
-
-function hash2(x, y, seedNum) {
-  const s = Math.sin(x * 127.1 + y * 311.7 + seedNum * 101.7) * 43758.5453123;
-  return fract(s);
-}
-function lerp(a, b, t) {
-  return a + (b - a) * t;
-}
-function fade(t) {
-  return t * t * (3 - 2 * t);
-}
+// Gradient (Perlin) noise. Each lattice corner gets a pseudo-random gradient from a seeded
+// permutation table and the noise is the faded blend of the corners' gradient dot products,
+// which avoids the blocky, axis-aligned look of value noise.
+import { mulberry32, seedStringToNumber } from './prng';
 
-export function valueNoise2D(x, y, seedNum = 0) {
-  const x0 = Math.floor(x);
-  const y0 = Math.floor(y);
-  const sx = x - x0;
-  const sy = y - y0;
-  const n00 = hash2(x0, y0, seedNum);
-  const n10 = hash2(x0 + 1, y0, seedNum);
-  const n01 = hash2(x0, y0 + 1, seedNum);
-  const n11 = hash2(x0 + 1, y0 + 1, seedNum);
-  const ix0 = lerp(n00, n10, fade(sx));
-  const ix1 = lerp(n01, n11, fade(sx));
-  return lerp(ix0, ix1, fade(sy));
-}
+// Corner gradients: the four diagonals and the four axes
+const GRAD_X = [1, -1, 1, -1, 1, -1, 0, 0];
+const GRAD_Y = [1, 1, -1, -1, 0, 0, 1, -1];
 
-export function fractalNoise2D(x, y, seedNum = 0, octaves = 3, lacunarity = 2, gain = 0.5) {
-  let freq = 1;
-  let amp = 1;
-  let sum = 0;
-  let max = 0;
-  for (let i = 0; i < octaves; i++) {
-    sum += valueNoise2D(x * freq, y * freq, seedNum + i * 1000) * amp;
-    max += amp;
-    amp *= gain;
-    freq *= lacunarity;
+// 0..255 shuffled by the seed, doubled so a lookup can overflow by one row without wrapping
+export function permutationTable(seedNum) {
+  const rng = mulberry32(seedNum);
+  const perm = new Uint8Array(512);
+  for (let i = 0; i < 256; i++) perm[i] = i;
+  for (let i = 255; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    const t = perm[i];
+    perm[i] = perm[j];
+    perm[j] = t;
   }
-  return sum / max;
+  perm.copyWithin(256, 0, 256);
+  return perm;
 }
 
-export function seedToNumber(seed) {
-  if (typeof seed === 'number') return Math.floor(seed) || 0;
-  let s = String(seed || '');
-  let n = 0;
-  for (let i = 0; i < s.length; i++) {
-    n = (n * 31 + s.charCodeAt(i)) >>> 0;
-  }
-  return n || 0;
+function quintic(t) {
+  return t * t * t * (t * (t * 6 - 15) + 10);
 }
 
-/**
- * getTileForWorld: convenience to map world (tile grid) coordinate to discrete tile id.
- * config: { scale, octaves, thresholds: { water, air, dirt } }
- */
-export function getTileForWorld(worldX, worldY, seedNum, config = {}) {
-  const scale = config.scale ?? 0.08;
-  const octaves = config.octaves ?? 3;
-  const v = fractalNoise2D(worldX * scale, worldY * scale, seedNum, octaves);
-  // thresholds
-  const tWater = config.tWater ?? 0.35;
-  const tAir = config.tAir ?? 0.5;
-  const tDirt = config.tDirt ?? 0.7;
-  if (v < tWater) return 3; // water
-  if (v < tAir) return 0; // air/grass
-  if (v < tDirt) return 1; // dirt
-  return 2; // stone
+// Returns noise(x, y) in [-1, 1] for this seed
+export function createPerlin2D(seedNum) {
+  const perm = permutationTable(seedNum);
+  const dot = (hash, dx, dy) => GRAD_X[hash & 7] * dx + GRAD_Y[hash & 7] * dy;
+
+  return (x, y) => {
+    const fx = Math.floor(x);
+    const fy = Math.floor(y);
+    const xi = fx & 255;
+    const yi = fy & 255;
+    const dx = x - fx;
+    const dy = y - fy;
+    const u = quintic(dx);
+    const v = quintic(dy);
+
+    const a = perm[xi] + yi;
+    const b = perm[xi + 1] + yi;
+    const n00 = dot(perm[a], dx, dy);
+    const n10 = dot(perm[b], dx - 1, dy);
+    const n01 = dot(perm[a + 1], dx, dy - 1);
+    const n11 = dot(perm[b + 1], dx - 1, dy - 1);
+    const nx0 = n00 + (n10 - n00) * u;
+    const nx1 = n01 + (n11 - n01) * u;
+    return nx0 + (nx1 - nx0) * v;
+  };
 }
 
-export default {
-  valueNoise2D,
-  fractalNoise2D,
-  seedToNumber,
-  getTileForWorld,
-};
+// One-off Perlin sample in [0, 1]; seed is a number or a seed string
+export function noise2D(x, y, seed = 0) {
+  const seedNum = typeof seed === 'number' ? seed : seedStringToNumber(seed);
+  return 0.5 + 0.5 * createPerlin2D(seedNum)(x, y);
+}
@@ -197,6 +197,7 @@ export default class PerfRecorder {
       'projectiles',
       'playerX',
       'playerY',
+      'mismatches',
     ];
   }
 
@@ -231,6 +232,8 @@ export default class PerfRecorder {
       projectiles: Number(sample.projectiles || 0),
       playerX: Number((sample.playerX || 0).toFixed(2)),
       playerY: Number((sample.playerY || 0).toFixed(2)),
+      // Shadow-validation mismatches so far; blank when validation is off
+      mismatches: sample.mismatches ?? '',
     };
 
     this.samples.push(row);